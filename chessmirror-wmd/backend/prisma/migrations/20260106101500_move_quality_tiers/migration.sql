@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Move" ADD COLUMN     "materialSwing" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Profile" ADD COLUMN     "inaccuracyCount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "mistakeCount" INTEGER NOT NULL DEFAULT 0;
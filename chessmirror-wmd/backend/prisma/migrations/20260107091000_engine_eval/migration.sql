@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Move" ADD COLUMN     "bestMoveUci" TEXT,
+ADD COLUMN     "cpLoss" INTEGER,
+ADD COLUMN     "evalAfter" INTEGER,
+ADD COLUMN     "evalBefore" INTEGER;
+
+-- AlterTable
+ALTER TABLE "Profile" ADD COLUMN     "avgCpLoss" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Game" ADD COLUMN     "endReason" TEXT,
+ADD COLUMN     "endedAt" TIMESTAMP(3);
@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "Session" ADD COLUMN     "endReason" TEXT,
+ADD COLUMN     "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+ADD COLUMN     "activeMs" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "idleMs" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill: existing sessions were last seen at their latest event
+UPDATE "Session" s
+SET "lastSeenAt" = COALESCE(
+  (SELECT MAX(e."ts") FROM "Event" e WHERE e."sessionId" = s."id"),
+  s."startedAt"
+);
+
+-- AlterTable
+ALTER TABLE "Game" ADD COLUMN     "sessionId" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Session_userId_startedAt_idx" ON "Session"("userId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "Game_sessionId_idx" ON "Game"("sessionId");
+
+-- AddForeignKey
+ALTER TABLE "Game" ADD CONSTRAINT "Game_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "Session"("id") ON DELETE SET NULL ON UPDATE CASCADE;
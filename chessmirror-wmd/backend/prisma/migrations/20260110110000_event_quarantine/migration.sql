@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "QuarantinedEvent" (
+    "id" TEXT NOT NULL,
+    "uid" TEXT NOT NULL,
+    "sessionId" TEXT,
+    "ts" TIMESTAMP(3) NOT NULL,
+    "receivedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "type" TEXT NOT NULL,
+    "payload" JSONB NOT NULL,
+    "reason" TEXT NOT NULL,
+    "details" JSONB,
+
+    CONSTRAINT "QuarantinedEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "QuarantinedEvent_type_receivedAt_idx" ON "QuarantinedEvent"("type", "receivedAt");
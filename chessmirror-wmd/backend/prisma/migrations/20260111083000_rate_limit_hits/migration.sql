@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "RateLimitHit" (
+    "id" TEXT NOT NULL,
+    "route" TEXT NOT NULL,
+    "scope" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "firstAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "lastAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RateLimitHit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RateLimitHit_route_scope_key_key" ON "RateLimitHit"("route", "scope", "key");
+
+-- CreateIndex
+CREATE INDEX "RateLimitHit_count_idx" ON "RateLimitHit"("count");
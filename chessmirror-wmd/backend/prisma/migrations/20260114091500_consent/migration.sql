@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "Consent" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "gameplay" BOOLEAN NOT NULL DEFAULT false,
+    "microInteractions" BOOLEAN NOT NULL DEFAULT false,
+    "deviceMeta" BOOLEAN NOT NULL DEFAULT false,
+    "ipHash" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Consent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Consent_userId_createdAt_idx" ON "Consent"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Consent" ADD CONSTRAINT "Consent_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
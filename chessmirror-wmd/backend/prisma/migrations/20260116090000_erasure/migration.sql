@@ -0,0 +1,39 @@
+-- AlterTable
+ALTER TABLE "User" ADD COLUMN     "anonymisedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "ErasureRequest" (
+    "id" TEXT NOT NULL,
+    "uid" TEXT,
+    "uidHash" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'pending',
+    "requestedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "handledAt" TIMESTAMP(3),
+    "handledBy" TEXT,
+
+    CONSTRAINT "ErasureRequest_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "ErasureTombstone" (
+    "id" TEXT NOT NULL,
+    "uidHash" TEXT NOT NULL,
+    "mode" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "adminUsername" TEXT,
+    "requestId" TEXT,
+    "details" JSONB,
+    "erasedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ErasureTombstone_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ErasureRequest_status_requestedAt_idx" ON "ErasureRequest"("status", "requestedAt");
+
+-- CreateIndex
+CREATE INDEX "ErasureRequest_uidHash_idx" ON "ErasureRequest"("uidHash");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ErasureTombstone_uidHash_key" ON "ErasureTombstone"("uidHash");
@@ -0,0 +1,40 @@
+-- CreateTable
+CREATE TABLE "EventRollup" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "day" DATE NOT NULL,
+    "type" TEXT NOT NULL,
+    "count" INTEGER NOT NULL DEFAULT 0,
+    "squares" JSONB,
+    "firstTs" TIMESTAMP(3) NOT NULL,
+    "lastTs" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "EventRollup_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "RetentionRun" (
+    "id" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "rolledUp" INTEGER NOT NULL DEFAULT 0,
+    "deleted" INTEGER NOT NULL DEFAULT 0,
+    "details" JSONB,
+    "error" TEXT,
+
+    CONSTRAINT "RetentionRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "EventRollup_userId_day_type_key" ON "EventRollup"("userId", "day", "type");
+
+-- CreateIndex
+CREATE INDEX "EventRollup_type_day_idx" ON "EventRollup"("type", "day");
+
+-- CreateIndex
+CREATE INDEX "RetentionRun_startedAt_idx" ON "RetentionRun"("startedAt");
+
+-- AddForeignKey
+ALTER TABLE "EventRollup" ADD CONSTRAINT "EventRollup_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
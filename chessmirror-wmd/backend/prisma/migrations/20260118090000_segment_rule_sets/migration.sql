@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "Profile" ADD COLUMN     "ruleSetVersion" INTEGER;
+
+-- CreateTable
+CREATE TABLE "SegmentRuleSet" (
+    "id" TEXT NOT NULL,
+    "version" INTEGER NOT NULL,
+    "name" TEXT NOT NULL,
+    "rules" JSONB NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'draft',
+    "createdBy" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "activatedAt" TIMESTAMP(3),
+    "activatedBy" TEXT,
+
+    CONSTRAINT "SegmentRuleSet_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "SegmentRuleSet_version_key" ON "SegmentRuleSet"("version");
+
+-- CreateIndex
+CREATE INDEX "SegmentRuleSet_status_idx" ON "SegmentRuleSet"("status");
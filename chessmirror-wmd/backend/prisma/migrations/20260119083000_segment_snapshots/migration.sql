@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "SegmentSnapshot" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "segment" TEXT NOT NULL,
+    "previous" TEXT,
+    "ruleSetVersion" INTEGER,
+    "ruleId" TEXT,
+    "reason" TEXT NOT NULL,
+    "stats" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "SegmentSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "SegmentSnapshot_userId_createdAt_idx" ON "SegmentSnapshot"("userId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "SegmentSnapshot" ADD CONSTRAINT "SegmentSnapshot_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "Move" ADD COLUMN     "destHoveredFirst" BOOLEAN,
+ADD COLUMN     "droppedAt" TIMESTAMP(3),
+ADD COLUMN     "explorationLinkedAt" TIMESTAMP(3),
+ADD COLUMN     "exploredSquares" INTEGER,
+ADD COLUMN     "firstHoverToDropMs" INTEGER,
+ADD COLUMN     "piecesPickedUp" INTEGER,
+ADD COLUMN     "sessionId" TEXT;
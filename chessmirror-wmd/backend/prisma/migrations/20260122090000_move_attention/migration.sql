@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Move" ADD COLUMN     "activeThinkTimeMs" INTEGER,
+ADD COLUMN     "afterReturn" BOOLEAN,
+ADD COLUMN     "awayMs" INTEGER;
@@ -0,0 +1,15 @@
+-- AlterTable
+ALTER TABLE "Profile" ADD COLUMN     "analysedMoveCount" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill: avgCpLoss was divided by all player moves, recompute it over the analysed ones
+UPDATE "Profile" p
+SET "analysedMoveCount" = s."analysed",
+    "avgCpLoss" = s."avgCpLoss"
+FROM (
+  SELECT g."userId", COUNT(*)::INTEGER AS "analysed", ROUND(AVG(m."cpLoss"))::INTEGER AS "avgCpLoss"
+  FROM "Move" m
+  JOIN "Game" g ON g."id" = m."gameId"
+  WHERE m."isBot" = false AND m."cpLoss" IS NOT NULL
+  GROUP BY g."userId"
+) s
+WHERE p."userId" = s."userId";
@@ -0,0 +1,17 @@
+-- AlterTable
+ALTER TABLE "Move" ADD COLUMN     "hoverCount" INTEGER;
+
+-- Backfill linked moves (given-up ones keep null features): hovers of the move's session within its think time (client clock)
+UPDATE "Move" m
+SET "hoverCount" = (
+  SELECT COUNT(*)::INTEGER
+  FROM "Event" e
+  JOIN "Game" g ON g."id" = m."gameId"
+  WHERE e."userId" = g."userId"
+    AND e."sessionId" = m."sessionId"
+    AND e."type" = 'hover'
+    AND e."ts" >= m."droppedAt" - m."thinkTimeMs" * INTERVAL '1 millisecond'
+    AND e."ts" <= m."droppedAt"
+)
+WHERE m."explorationLinkedAt" IS NOT NULL
+  AND m."exploredSquares" IS NOT NULL;
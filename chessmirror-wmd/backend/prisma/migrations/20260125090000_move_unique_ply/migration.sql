@@ -0,0 +1,50 @@
+-- Queue retries stored some plies twice: keep the first row of each (gameId, ply)
+CREATE TEMP TABLE "_dup_move_users" AS
+SELECT DISTINCT g."userId"
+FROM "Move" m
+JOIN "Game" g ON g."id" = m."gameId"
+WHERE EXISTS (
+  SELECT 1 FROM "Move" o
+  WHERE o."gameId" = m."gameId" AND o."ply" = m."ply" AND o."id" <> m."id"
+);
+
+DELETE FROM "Move" m
+USING "Move" o
+WHERE o."gameId" = m."gameId"
+  AND o."ply" = m."ply"
+  AND (o."createdAt", o."id") < (m."createdAt", m."id");
+
+-- Backfill: the duplicates were counted into the profile too, recompute it from the player moves
+-- (think time without away time once linked, as analysis/attention.js realThinkMs)
+UPDATE "Profile" p
+SET "moveCount" = s."moves",
+    "blunderCount" = s."blunders",
+    "mistakeCount" = s."mistakes",
+    "inaccuracyCount" = s."inaccuracies",
+    "avgThinkTimeMs" = s."avgThinkTimeMs",
+    "analysedMoveCount" = s."analysed",
+    "avgCpLoss" = s."avgCpLoss"
+FROM (
+  SELECT g."userId",
+    COUNT(*)::INTEGER AS "moves",
+    COUNT(*) FILTER (WHERE m."quality" = 'blunder')::INTEGER AS "blunders",
+    COUNT(*) FILTER (WHERE m."quality" = 'mistake')::INTEGER AS "mistakes",
+    COUNT(*) FILTER (WHERE m."quality" = 'inaccuracy')::INTEGER AS "inaccuracies",
+    ROUND(AVG(COALESCE(m."activeThinkTimeMs", m."thinkTimeMs")))::INTEGER AS "avgThinkTimeMs",
+    COUNT(m."cpLoss")::INTEGER AS "analysed",
+    COALESCE(ROUND(AVG(m."cpLoss")), 0)::INTEGER AS "avgCpLoss"
+  FROM "Move" m
+  JOIN "Game" g ON g."id" = m."gameId"
+  WHERE m."isBot" = false
+    AND g."userId" IN (SELECT "userId" FROM "_dup_move_users")
+  GROUP BY g."userId"
+) s
+WHERE p."userId" = s."userId";
+
+DROP TABLE "_dup_move_users";
+
+-- DropIndex
+DROP INDEX "Move_gameId_ply_idx";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Move_gameId_ply_key" ON "Move"("gameId", "ply");
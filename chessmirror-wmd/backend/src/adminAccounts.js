@@ -0,0 +1,189 @@
+import crypto from "crypto";
+import { prisma } from "./prisma.js";
+
+/**
+ * Admin accounts:
+ * - passwords hashed with scrypt (random salt), compared in constant time
+ * - login issues a random bearer token; only its sha256 is stored (AdminSession)
+ * - tokens expire after ADMIN_SESSION_HOURS, logout revokes them
+ * - MAX_FAILED_LOGINS wrong passwords lock the account for LOCKOUT_MINUTES
+ * - roles are ordered: viewer (read only) < operator (+ interventions / imports)
+ *   < owner (+ deleting data, audit log)
+ */
+
+export const ADMIN_SESSION_HOURS =
+  parseInt(process.env.ADMIN_SESSION_HOURS ?? "12", 10) || 12;
+export const MAX_FAILED_LOGINS = 5;
+export const LOCKOUT_MINUTES = 15;
+export const MIN_PASSWORD_LENGTH = 10;
+export const ADMIN_ROLES = ["viewer", "operator", "owner"];
+
+export function hasRole(role, required) {
+  const have = ADMIN_ROLES.indexOf(role);
+  return have >= 0 && have >= ADMIN_ROLES.indexOf(required);
+}
+
+const SCRYPT = { N: 16384, r: 8, p: 1, keyLen: 64 };
+
+function scrypt(password, salt, { N, r, p, keyLen }) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, keyLen, { N, r, p }, (err, key) =>
+      err ? reject(err) : resolve(key)
+    );
+  });
+}
+
+// "scrypt$N$r$p$saltB64$hashB64" so the cost can change later
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT);
+  return [
+    "scrypt",
+    SCRYPT.N,
+    SCRYPT.r,
+    SCRYPT.p,
+    salt.toString("base64"),
+    key.toString("base64"),
+  ].join("$");
+}
+
+export async function verifyPassword(password, stored) {
+  const [algo, N, r, p, saltB64, hashB64] = String(stored ?? "").split("$");
+  if (algo !== "scrypt" || !saltB64 || !hashB64) return false;
+
+  const expected = Buffer.from(hashB64, "base64");
+  const key = await scrypt(password, Buffer.from(saltB64, "base64"), {
+    N: Number(N),
+    r: Number(r),
+    p: Number(p),
+    keyLen: expected.length,
+  });
+  return crypto.timingSafeEqual(key, expected);
+}
+
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+// unknown usernames still pay for one hash (no timing oracle for usernames)
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString("hex"));
+
+/**
+ * @returns {{ ok: true, token, expiresAt, admin }
+ *         | { ok: false, status: number, error: string, lockedUntil?: Date }}
+ */
+export async function loginAdmin(username, password) {
+  const admin = await prisma.adminUser.findUnique({ where: { username } });
+  const now = new Date();
+
+  if (!admin) {
+    await verifyPassword(password, await DUMMY_HASH);
+    return { ok: false, status: 401, error: "Invalid username or password" };
+  }
+
+  if (admin.lockedUntil && admin.lockedUntil > now) {
+    return {
+      ok: false,
+      status: 423,
+      error: "Account locked after too many failed logins",
+      lockedUntil: admin.lockedUntil,
+    };
+  }
+
+  if (!(await verifyPassword(password, admin.passwordHash))) {
+    // atomic increment: concurrent wrong passwords each count
+    const { failedLogins } = await prisma.adminUser.update({
+      where: { id: admin.id },
+      data: { failedLogins: { increment: 1 } },
+      select: { failedLogins: true },
+    });
+    const lock = failedLogins >= MAX_FAILED_LOGINS;
+    const lockedUntil = lock ? new Date(now.getTime() + LOCKOUT_MINUTES * 60000) : null;
+
+    if (lock) {
+      // lock + reset once, whichever request over the limit gets here first
+      await prisma.adminUser.updateMany({
+        where: { id: admin.id, failedLogins: { gte: MAX_FAILED_LOGINS } },
+        data: { failedLogins: 0, lockedUntil },
+      });
+      return {
+        ok: false,
+        status: 423,
+        error: "Account locked after too many failed logins",
+        lockedUntil,
+      };
+    }
+    return { ok: false, status: 401, error: "Invalid username or password" };
+  }
+
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(now.getTime() + ADMIN_SESSION_HOURS * 3600000);
+
+  await prisma.$transaction([
+    prisma.adminUser.update({
+      where: { id: admin.id },
+      data: { failedLogins: 0, lockedUntil: null, lastLoginAt: now },
+    }),
+    prisma.adminSession.create({
+      data: { adminId: admin.id, tokenHash: hashToken(token), expiresAt },
+    }),
+  ]);
+
+  return {
+    ok: true,
+    token,
+    expiresAt,
+    admin: { id: admin.id, username: admin.username, role: admin.role },
+  };
+}
+
+/**
+ * Bearer token -> { session, admin } (null when unknown / expired / revoked)
+ */
+export async function adminForToken(token) {
+  if (!token) return null;
+
+  const session = await prisma.adminSession.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { admin: true },
+  });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) return null;
+
+  return { session, admin: session.admin };
+}
+
+export async function revokeAdminSession(sessionId) {
+  await prisma.adminSession.update({
+    where: { id: sessionId },
+    data: { revokedAt: new Date() },
+  });
+}
+
+export async function createAdminUser(username, password, role = "viewer") {
+  if (!/^[a-zA-Z0-9_.-]{3,64}$/.test(username ?? "")) {
+    throw new Error("username: 3-64 chars, letters/digits/_ . -");
+  }
+  if ((password ?? "").length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(`role must be one of ${ADMIN_ROLES.join(", ")}`);
+  }
+
+  return prisma.adminUser.create({
+    data: { username, passwordHash: await hashPassword(password), role },
+    select: { id: true, username: true, role: true, createdAt: true },
+  });
+}
+
+export async function setAdminRole(username, role) {
+  if (!ADMIN_ROLES.includes(role)) {
+    throw new Error(`role must be one of ${ADMIN_ROLES.join(", ")}`);
+  }
+
+  return prisma.adminUser.update({
+    where: { username },
+    data: { role },
+    select: { id: true, username: true, role: true },
+  });
+}
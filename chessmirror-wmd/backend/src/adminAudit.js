@@ -0,0 +1,51 @@
+import { prisma } from "./prisma.js";
+import { clientIp, hashIp } from "./util.js";
+
+/**
+ * Audit log of admin actions (AdminAuditLog).
+ * Written before the response is sent: if the row can't be stored the request fails,
+ * so nothing is read or changed without a trace.
+ */
+
+export const AUDIT_ACTIONS = [
+  "auth.login",
+  "auth.logout",
+  "profile.read",
+  "events.read",
+  "game.analysis",
+  "pgn.export",
+  "pgn.import",
+  "interventions.set",
+  "events.delete",
+  "user.erase",
+  "user.anonymise",
+  "retention.run",
+  "segments.draft",
+  "segments.activate",
+];
+
+/**
+ * @param req       request after adminAuth
+ * @param action    one of AUDIT_ACTIONS
+ * @param targetUid player uid the action was about (if any)
+ * @param details   small JSON with what exactly was read / changed
+ * @param admin     defaults to req.admin (login passes the account explicitly)
+ */
+export function auditRow(
+  req,
+  action,
+  { targetUid = null, details = null, admin = req.admin } = {}
+) {
+  return {
+    adminId: admin?.id ?? null,
+    adminUsername: admin?.username ?? "unknown",
+    action,
+    targetUid,
+    details: details ?? undefined,
+    ipHash: hashIp(clientIp(req)),
+  };
+}
+
+export async function audit(req, action, opts) {
+  await prisma.adminAuditLog.create({ data: auditRow(req, action, opts) });
+}
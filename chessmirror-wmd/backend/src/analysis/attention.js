@@ -0,0 +1,151 @@
+/**
+ * Attention from the tracker's page events (client clock, like Event.ts):
+ * - away = window blurred (window_blur .. window_focus) or tab hidden (visibility)
+ * - per player move: away time during its think time, the "real" (active) think time and
+ *   whether it was played right after coming back
+ * - per session: away / idle intervals and the moves on one timeline
+ */
+
+export const ATTENTION_EVENT_TYPES = ["window_blur", "window_focus", "visibility"];
+export const IDLE_EVENT_TYPES = ["idle_start", "idle_end"];
+
+// a move within this long after returning to the tab counts as "after return"
+export const RETURN_WINDOW_MS = 5000;
+
+const at = (e) => new Date(e.ts).getTime();
+
+// think time without away time once linked (src/exploration.js), the raw measurement before
+export function realThinkMs(move) {
+  return move.activeThinkTimeMs ?? move.thinkTimeMs ?? 0;
+}
+
+/**
+ * @param events  attention events, ts ascending
+ * @param initial last attention event before the first one (state at the start), optional
+ * @param until   end of the range: an interval still open then ends there
+ * @returns [{ from, to, kind: "blur" | "hidden", returned }] (ms); returned = false when still away at the end
+ */
+export function awayIntervals(events, { initial = null, until = null } = {}) {
+  let blurred = false;
+  let hidden = false;
+  const apply = (e) => {
+    if (e.type === "window_blur") blurred = true;
+    else if (e.type === "window_focus") blurred = false;
+    else if (e.type === "visibility") hidden = e.payload?.state === "hidden";
+  };
+
+  const intervals = [];
+  let open = null;
+  if (initial) {
+    apply(initial);
+    if (blurred || hidden) open = { from: at(initial), kind: hidden ? "hidden" : "blur" };
+  }
+
+  for (const e of events) {
+    const wasAway = blurred || hidden;
+    apply(e);
+    const away = blurred || hidden;
+
+    if (!wasAway && away) open = { from: at(e), kind: hidden ? "hidden" : "blur" };
+    else if (wasAway && hidden && open?.kind === "blur") open.kind = "hidden";
+    else if (wasAway && !away) {
+      intervals.push({ ...open, to: at(e), returned: true });
+      open = null;
+    }
+  }
+
+  if (open) {
+    const last = events.length ? at(events[events.length - 1]) : open.from;
+    intervals.push({ ...open, to: Math.max(until ?? last, open.from), returned: false });
+  }
+  return intervals;
+}
+
+/**
+ * @param move    Move row { thinkTimeMs, droppedAt }
+ * @param events  attention events of the move's session inside its think time, ts ascending
+ * @param initial last attention event before the think time started (or null)
+ * @returns { awayMs, activeThinkTimeMs, afterReturn }
+ */
+export function moveAttention(move, events, initial = null) {
+  const end = new Date(move.droppedAt).getTime();
+  const start = end - (move.thinkTimeMs ?? 0);
+  const inside = events.filter((e) => at(e) >= start && at(e) <= end);
+
+  let awayMs = 0;
+  let lastReturn = null;
+  for (const i of awayIntervals(inside, { initial, until: end })) {
+    awayMs += Math.max(0, Math.min(i.to, end) - Math.max(i.from, start));
+    if (i.returned) lastReturn = Math.max(lastReturn ?? 0, i.to);
+  }
+
+  return {
+    awayMs,
+    activeThinkTimeMs: Math.max(0, (move.thinkTimeMs ?? 0) - awayMs),
+    afterReturn: lastReturn != null && end - lastReturn <= RETURN_WINDOW_MS,
+  };
+}
+
+/**
+ * Attention score 0-100: share of the (linked) think time the player was on the tab,
+ * minus 2 points per 10% of moves played right after returning.
+ * @param sums over the player moves with the attention columns (src/segmentRules.js):
+ *             { linkedMoves, thinkMs, awayMs, movesAfterReturn }
+ * @returns { score, linkedMoves, awayMs, movesAfterReturn } (score null without linked moves)
+ */
+export function attentionSummary({ linkedMoves = 0, thinkMs = 0, awayMs = 0, movesAfterReturn = 0 } = {}) {
+  let score = null;
+  if (linkedMoves) {
+    const focus = thinkMs > 0 ? 1 - awayMs / thinkMs : 1;
+    const afterReturnShare = movesAfterReturn / linkedMoves;
+    score = Math.max(0, Math.min(100, Math.round(focus * 100 - afterReturnShare * 20)));
+  }
+
+  return { score, linkedMoves, awayMs, movesAfterReturn };
+}
+
+/**
+ * One session on a timeline (ms, client clock).
+ * @param events attention + idle events of the session, ts ascending
+ * @param moves  player Move rows of the session with droppedAt
+ * @returns { from, to, away: [{ from, to, kind }], idle: [{ from, to }], moves, awayMs }
+ */
+export function attentionTimeline(events, moves) {
+  const times = [...events.map(at), ...moves.map((m) => new Date(m.droppedAt).getTime())];
+  if (!times.length) return { from: null, to: null, away: [], idle: [], moves: [], awayMs: 0 };
+  const from = Math.min(...times);
+  const to = Math.max(...times);
+
+  const away = awayIntervals(
+    events.filter((e) => ATTENTION_EVENT_TYPES.includes(e.type)),
+    { until: to }
+  ).map(({ from, to, kind }) => ({ from, to, kind }));
+
+  const idle = [];
+  let idleFrom = null;
+  for (const e of events) {
+    if (e.type === "idle_start" && idleFrom == null) idleFrom = at(e);
+    if (e.type === "idle_end" && idleFrom != null) {
+      idle.push({ from: idleFrom, to: at(e) });
+      idleFrom = null;
+    }
+  }
+  if (idleFrom != null) idle.push({ from: idleFrom, to });
+
+  return {
+    from,
+    to,
+    away,
+    idle,
+    moves: moves.map((m) => ({
+      gameId: m.gameId,
+      ply: m.ply,
+      san: m.san,
+      at: new Date(m.droppedAt).getTime(),
+      thinkTimeMs: m.thinkTimeMs,
+      awayMs: m.awayMs,
+      afterReturn: m.afterReturn,
+    })),
+    awayMs: away.reduce((acc, i) => acc + (i.to - i.from), 0),
+  };
+}
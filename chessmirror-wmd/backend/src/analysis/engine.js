@@ -0,0 +1,319 @@
+import { Chess } from "chess.js";
+import { PIECE_VALUE } from "./moveQuality.js";
+
+/**
+ * Small local search engine (no external binaries):
+ * - Evaluation: material + piece-square tables (centipawns)
+ * - Search: iterative deepening negamax with alpha-beta + capture quiescence
+ * - Bounded by depth AND a node budget; synchronous, so the API runs analyseMove()
+ *   in a worker thread (src/engine.js) and never on the request path
+ *
+ * Not meant to be strong, only consistent: the same budget is used before and
+ * after a player move, so the difference is a usable centipawn-loss signal.
+ */
+
+export const MATE_SCORE = 100000;
+const MATE_THRESHOLD = MATE_SCORE - 1000;
+
+// cp loss above this is "lost anyway", keep averages readable
+export const CP_LOSS_CAP = 1000;
+
+const DEFAULT_DEPTH = parseInt(process.env.ENGINE_DEPTH ?? "3", 10) || 3;
+const DEFAULT_MAX_NODES =
+  parseInt(process.env.ENGINE_MAX_NODES ?? "30000", 10) || 30000;
+const QUIESCENCE_DEPTH = 4;
+
+// Piece-square tables from white's point of view, a8 first (same order as chess.board())
+const PST = {
+  p: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+    5, 5, 10, 25, 25, 10, 5, 5,
+    0, 0, 0, 20, 20, 0, 0, 0,
+    5, -5, -10, 0, 0, -10, -5, 5,
+    5, 10, 10, -20, -20, 10, 10, 5,
+    0, 0, 0, 0, 0, 0, 0, 0,
+  ],
+  n: [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20, 0, 0, 0, 0, -20, -40,
+    -30, 0, 10, 15, 15, 10, 0, -30,
+    -30, 5, 15, 20, 20, 15, 5, -30,
+    -30, 0, 15, 20, 20, 15, 0, -30,
+    -30, 5, 10, 15, 15, 10, 5, -30,
+    -40, -20, 0, 5, 5, 0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50,
+  ],
+  b: [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 10, 10, 5, 0, -10,
+    -10, 5, 5, 10, 10, 5, 5, -10,
+    -10, 0, 10, 10, 10, 10, 0, -10,
+    -10, 10, 10, 10, 10, 10, 10, -10,
+    -10, 5, 0, 0, 0, 0, 5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20,
+  ],
+  r: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    5, 10, 10, 10, 10, 10, 10, 5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    0, 0, 0, 5, 5, 0, 0, 0,
+  ],
+  q: [
+    -20, -10, -10, -5, -5, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5,
+    0, 0, 5, 5, 5, 5, 0, -5,
+    -10, 5, 5, 5, 5, 5, 0, -10,
+    -10, 0, 5, 0, 0, 0, 0, -10,
+    -20, -10, -10, -5, -5, -10, -10, -20,
+  ],
+  k: [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20,
+  ],
+};
+
+class BudgetExceeded extends Error {}
+
+// chess.js' public move() / moves({ verbose }) build FEN strings for every
+// move, which is ~100x too slow for a search tree. The search uses the same
+// internal make/unmake chess.js itself relies on for its legality checks.
+// Private API: chess.js is pinned to an exact version in package.json for this.
+function legalMoves(chess) {
+  return chess._moves({ legal: true });
+}
+
+function make(chess, m) {
+  chess._makeMove(m);
+}
+
+function unmake(chess) {
+  chess._undoMove();
+}
+
+// internal moves use 0x88 square indices
+function squareName(sq) {
+  return "abcdefgh"[sq & 0xf] + (8 - (sq >> 4));
+}
+
+function internalToUci(m) {
+  return `${squareName(m.from)}${squareName(m.to)}${m.promotion ?? ""}`;
+}
+
+/**
+ * Static evaluation in centipawns from WHITE's point of view.
+ */
+export function evaluateStatic(chess) {
+  const board = chess.board();
+  let score = 0;
+  for (let r = 0; r < 8; r++) {
+    for (let f = 0; f < 8; f++) {
+      const sq = board[r][f];
+      if (!sq) continue;
+      const material = sq.type === "k" ? 0 : PIECE_VALUE[sq.type];
+      // black reads the table mirrored vertically
+      const idx = sq.color === "w" ? r * 8 + f : (7 - r) * 8 + f;
+      const v = material + PST[sq.type][idx];
+      score += sq.color === "w" ? v : -v;
+    }
+  }
+  return score;
+}
+
+function orderMoves(moves) {
+  const weight = (m) => {
+    let w = 0;
+    if (m.captured) w += 10 * PIECE_VALUE[m.captured] - PIECE_VALUE[m.piece] / 10;
+    if (m.promotion) w += PIECE_VALUE[m.promotion];
+    return w;
+  };
+  return moves.sort((a, b) => weight(b) - weight(a));
+}
+
+function createSearch(maxNodes) {
+  const state = { nodes: 0 };
+
+  function tick() {
+    state.nodes += 1;
+    if (state.nodes > maxNodes) throw new BudgetExceeded();
+  }
+
+  function sideEval(chess) {
+    const s = evaluateStatic(chess);
+    return chess.turn() === "w" ? s : -s;
+  }
+
+  function quiesce(chess, alpha, beta, qdepth) {
+    tick();
+
+    const standPat = sideEval(chess);
+    if (standPat >= beta) return beta;
+    if (standPat > alpha) alpha = standPat;
+    if (qdepth <= 0) return alpha;
+
+    const captures = orderMoves(
+      legalMoves(chess).filter((m) => m.captured || m.promotion)
+    );
+
+    for (const m of captures) {
+      make(chess, m);
+      const score = -quiesce(chess, -beta, -alpha, qdepth - 1);
+      unmake(chess);
+      if (score >= beta) return beta;
+      if (score > alpha) alpha = score;
+    }
+    return alpha;
+  }
+
+  function negamax(chess, depth, alpha, beta, ply) {
+    tick();
+
+    const moves = legalMoves(chess);
+    if (moves.length === 0) {
+      return chess.isCheck() ? -(MATE_SCORE - ply) : 0;
+    }
+    if (depth <= 0) return quiesce(chess, alpha, beta, QUIESCENCE_DEPTH);
+
+    for (const m of orderMoves(moves)) {
+      make(chess, m);
+      const score = -negamax(chess, depth - 1, -beta, -alpha, ply + 1);
+      unmake(chess);
+      if (score >= beta) return beta;
+      if (score > alpha) alpha = score;
+    }
+    return alpha;
+  }
+
+  function root(chess, depth, preferred) {
+    let moves = orderMoves(legalMoves(chess));
+    // search last iteration's best move first (better cut-offs)
+    if (preferred) {
+      moves = [
+        ...moves.filter((m) => internalToUci(m) === preferred),
+        ...moves.filter((m) => internalToUci(m) !== preferred),
+      ];
+    }
+
+    let best = null;
+    let alpha = -Infinity;
+    for (const m of moves) {
+      make(chess, m);
+      const score = -negamax(chess, depth - 1, -Infinity, -alpha, 1);
+      unmake(chess);
+      if (score > alpha) {
+        alpha = score;
+        best = m;
+      }
+    }
+    return { score: alpha, bestMove: best ? internalToUci(best) : null };
+  }
+
+  return { state, root };
+}
+
+/**
+ * Search a position.
+ * @returns {{ score:number, bestMove:string|null, depth:number, nodes:number, mate:boolean }}
+ *   score is in centipawns from WHITE's point of view.
+ */
+export function searchPosition(
+  fen,
+  { depth = DEFAULT_DEPTH, maxNodes = DEFAULT_MAX_NODES } = {}
+) {
+  const chess = new Chess(fen);
+  const sign = chess.turn() === "w" ? 1 : -1;
+
+  if (chess.isGameOver()) {
+    const score = chess.isCheckmate() ? -MATE_SCORE * sign : 0;
+    return { score, bestMove: null, depth: 0, nodes: 0, mate: chess.isCheckmate() };
+  }
+
+  const search = createSearch(maxNodes);
+  let result = null;
+  let reached = 0;
+
+  for (let d = 1; d <= depth; d++) {
+    try {
+      result = search.root(chess, d, result?.bestMove);
+      reached = d;
+    } catch (err) {
+      if (!(err instanceof BudgetExceeded)) throw err;
+      // keep the last fully searched depth
+      break;
+    }
+  }
+
+  // budget too small for even depth 1 -> fall back to static eval
+  if (!result) {
+    return {
+      score: evaluateStatic(chess),
+      bestMove: null,
+      depth: 0,
+      nodes: search.state.nodes,
+      mate: false,
+    };
+  }
+
+  return {
+    score: result.score * sign,
+    bestMove: result.bestMove,
+    depth: reached,
+    nodes: search.state.nodes,
+    mate: Math.abs(result.score) >= MATE_THRESHOLD,
+  };
+}
+
+/**
+ * Centipawn loss of a played move.
+ * Scores the position before (best line) and after the move with the same
+ * budget, both from the mover's point of view.
+ *
+ * @returns {{ evalBefore:number, evalAfter:number, cpLoss:number, bestMoveUci:string|null }}
+ *   evalBefore/evalAfter in centipawns from WHITE's point of view.
+ */
+export function analyseMove(fenBefore, uci, opts = {}) {
+  const chess = new Chess(fenBefore);
+  const mover = chess.turn();
+  const sign = mover === "w" ? 1 : -1;
+
+  const before = searchPosition(fenBefore, opts);
+
+  chess.move({
+    from: uci.slice(0, 2),
+    to: uci.slice(2, 4),
+    promotion: uci.length > 4 ? uci[4] : undefined,
+  });
+
+  let evalAfter = before.score;
+  if (before.bestMove !== uci) {
+    // one ply less, so both scores look equally far ahead
+    const depth = Math.max(1, (before.depth || 1) - 1);
+    evalAfter = searchPosition(chess.fen(), { ...opts, depth }).score;
+  }
+
+  const cpLoss = Math.max(
+    0,
+    Math.min(CP_LOSS_CAP, (before.score - evalAfter) * sign)
+  );
+
+  return {
+    evalBefore: before.score,
+    evalAfter,
+    cpLoss,
+    bestMoveUci: before.bestMove,
+  };
+}
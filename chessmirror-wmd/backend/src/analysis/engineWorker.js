@@ -0,0 +1,19 @@
+import { parentPort } from "node:worker_threads";
+import { analyseMove, searchPosition } from "./engine.js";
+import { labelUciMove } from "./moveQuality.js";
+
+// the synchronous analysis the API runs in this thread (src/engine.js)
+const TASKS = {
+  analyseMove: (fenBefore, uci) => analyseMove(fenBefore, uci),
+  labelMove: (fenBefore, uci) => labelUciMove(fenBefore, uci),
+  search: (fen, opts) => searchPosition(fen, opts),
+};
+
+// { id, task, args } -> { id, result } | { id, error }
+parentPort.on("message", ({ id, task, args }) => {
+  try {
+    parentPort.postMessage({ id, result: TASKS[task](...args) });
+  } catch (err) {
+    parentPort.postMessage({ id, error: String(err?.message ?? err) });
+  }
+});
@@ -0,0 +1,75 @@
+/**
+ * Candidate-move exploration of one player move, from the micro-events before it.
+ * Everything happens in the client clock: the frontend sends `droppedAt` (Date.now() at the
+ * drop) with the move, the same clock as Event.ts. The window is the move's think time
+ * (droppedAt - thinkTimeMs .. the drop_attempt of the move) within the move's session.
+ * - exploredSquares:    distinct squares hovered or clicked
+ * - hoverCount:         hover events
+ * - destHoveredFirst:   the first hovered square was the destination (null without hovers)
+ * - firstHoverToDropMs: first hover -> drop (null without hovers)
+ * - piecesPickedUp:     distinct pieces picked up (drag starts / drops), the moved one included
+ */
+
+export const EXPLORATION_EVENT_TYPES = [
+  "hover",
+  "square_click",
+  "piece_pickup",
+  "drop_attempt",
+  "illegal_move",
+];
+
+// drop_attempt is tracked just before droppedAt is taken (same applyMove call)
+export const DROP_MATCH_MS = 5000;
+
+/**
+ * @param move   Move row { uci, thinkTimeMs, droppedAt }
+ * @param events the session's EXPLORATION_EVENT_TYPES events around the move, ts ascending
+ * @returns features, or null while the move's drop_attempt has not arrived yet
+ */
+export function explorationFeatures(move, events) {
+  const droppedAt = new Date(move.droppedAt).getTime();
+  const from = move.uci.slice(0, 2);
+  const to = move.uci.slice(2, 4);
+  const at = (e) => new Date(e.ts).getTime();
+
+  // last matching drop before droppedAt (an earlier one may have been rejected / unconfirmed)
+  const drop = events
+    .filter(
+      (e) =>
+        e.type === "drop_attempt" &&
+        e.payload?.from === from &&
+        e.payload?.to === to &&
+        at(e) <= droppedAt &&
+        at(e) >= droppedAt - DROP_MATCH_MS
+    )
+    .pop();
+  if (!drop) return null;
+
+  const dropTs = at(drop);
+  const start = droppedAt - (move.thinkTimeMs ?? 0);
+  const window = events.filter((e) => at(e) >= start && at(e) <= dropTs);
+
+  const hovers = window.filter((e) => e.type === "hover");
+  const considered = new Set(
+    window
+      .filter((e) => e.type === "hover" || e.type === "square_click")
+      .map((e) => e.payload?.square)
+      .filter(Boolean)
+  );
+
+  const pickedUp = new Set([from]);
+  for (const e of window) {
+    if (e.type === "piece_pickup" && e.payload?.square) pickedUp.add(e.payload.square);
+    if ((e.type === "drop_attempt" || e.type === "illegal_move") && e.payload?.from) {
+      pickedUp.add(e.payload.from);
+    }
+  }
+
+  return {
+    exploredSquares: considered.size,
+    hoverCount: hovers.length,
+    destHoveredFirst: hovers.length ? hovers[0].payload?.square === to : null,
+    firstHoverToDropMs: hovers.length ? Math.max(0, dropTs - at(hovers[0])) : null,
+    piecesPickedUp: pickedUp.size,
+  };
+}
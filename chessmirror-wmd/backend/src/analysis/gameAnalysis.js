@@ -0,0 +1,139 @@
+import { MATE_SCORE } from "./engine.js";
+import { replayMoves, fullMoveNumber } from "./replay.js";
+
+/**
+ * Per-game analysis built from stored Move rows:
+ * - replays every move from the start position (chess.js validates)
+ * - per ply: eval (white POV), cp loss, quality label, think time,
+ *   exploration + attention (src/exploration.js)
+ * - player accuracy % (same win%-based formula most chess sites use)
+ *
+ * Evals come from the Move rows when the engine already scored them
+ * (player moves), otherwise a cheap search fills the gap (bot moves).
+ * That search is injected (the API passes the engine worker, src/engine.js);
+ * without it, or once it fails, the remaining gaps stay null ("not analysed").
+ */
+
+// cheap budget for plies that were never scored on /game/move
+const FILL_SEARCH = { depth: 2, maxNodes: 4000 };
+
+// keep mate scores readable in charts
+const EVAL_CLAMP = 2000;
+
+function clampEval(cp) {
+  if (cp == null) return null;
+  return Math.max(-EVAL_CLAMP, Math.min(EVAL_CLAMP, cp));
+}
+
+// win probability (0..100) for the side with `cp` advantage
+function winPercent(cp) {
+  const c = Math.max(-EVAL_CLAMP, Math.min(EVAL_CLAMP, cp));
+  return 50 + 50 * (2 / (1 + Math.exp(-0.00368208 * c)) - 1);
+}
+
+function moveAccuracy(winBefore, winAfter) {
+  const drop = Math.max(0, winBefore - winAfter);
+  const acc = 103.1668 * Math.exp(-0.04354 * drop) - 3.1669;
+  return Math.max(0, Math.min(100, acc));
+}
+
+/**
+ * @param moves Move rows for ONE game (any order)
+ * @param search async (fen, { depth, maxNodes }) -> { score } (white POV)
+ * @returns Promise<{ plies: object[], accuracy: number|null, truncatedAt: number|null, summary: object }>
+ */
+export async function analyseGame(moves, { search = null } = {}) {
+  const { steps, truncatedAt } = replayMoves(moves);
+
+  const plies = steps.map(({ move: m, played, color }) => ({
+    ply: m.ply,
+    moveNumber: fullMoveNumber(played),
+    color,
+    san: played.san,
+    uci: m.uci,
+    isBot: !!m.isBot,
+    thinkTimeMs: m.thinkTimeMs,
+    quality: m.quality ?? null,
+    materialSwing: m.materialSwing ?? null,
+    cpLoss: m.cpLoss ?? null,
+    bestMoveUci: m.bestMoveUci ?? null,
+    evalBefore: m.evalBefore ?? null,
+    evalAfter: m.evalAfter ?? null,
+    // linked but given up (no drop_attempt) leaves the features null
+    exploration:
+      m.exploredSquares != null
+        ? {
+            exploredSquares: m.exploredSquares,
+            hoverCount: m.hoverCount,
+            destHoveredFirst: m.destHoveredFirst,
+            firstHoverToDropMs: m.firstHoverToDropMs,
+            piecesPickedUp: m.piecesPickedUp,
+          }
+        : null,
+    attention:
+      m.awayMs != null
+        ? { awayMs: m.awayMs, activeThinkTimeMs: m.activeThinkTimeMs, afterReturn: m.afterReturn }
+        : null,
+    fen: played.after,
+  }));
+
+  // fill missing evals: a bot ply's eval is the next player ply's evalBefore
+  let searching = !!search;
+  for (let i = 0; i < plies.length; i++) {
+    const p = plies[i];
+    if (p.evalAfter == null) p.evalAfter = plies[i + 1]?.evalBefore ?? null;
+    if (p.evalAfter == null && searching) {
+      try {
+        p.evalAfter = (await search(p.fen, FILL_SEARCH)).score;
+      } catch (err) {
+        // worker busy / timed out: don't queue more searches behind it
+        console.error("ANALYSIS SEARCH ERROR:", err?.message ?? err);
+        searching = false;
+      }
+    }
+    if (p.evalBefore == null) p.evalBefore = i > 0 ? plies[i - 1].evalAfter : null;
+  }
+
+  const accuracies = [];
+  for (const p of plies) {
+    p.eval = clampEval(p.evalAfter);
+    p.mate = Math.abs(p.evalAfter ?? 0) >= MATE_SCORE - 1000;
+
+    if (p.isBot || p.evalBefore == null || p.evalAfter == null) continue;
+
+    const sign = p.color === "w" ? 1 : -1;
+    const acc = moveAccuracy(
+      winPercent(p.evalBefore * sign),
+      winPercent(p.evalAfter * sign)
+    );
+    p.accuracy = Math.round(acc * 10) / 10;
+    accuracies.push(acc);
+  }
+
+  const playerPlies = plies.filter((p) => !p.isBot);
+  const cpLosses = playerPlies.map((p) => p.cpLoss).filter((x) => x != null);
+
+  const countQuality = (label) =>
+    playerPlies.filter((p) => p.quality === label).length;
+
+  return {
+    plies,
+    truncatedAt,
+    accuracy: accuracies.length
+      ? Math.round((accuracies.reduce((s, x) => s + x, 0) / accuracies.length) * 10) / 10
+      : null,
+    summary: {
+      plies: plies.length,
+      unanalysed: plies.filter((p) => p.evalAfter == null).length,
+      playerMoves: playerPlies.length,
+      avgCpLoss: cpLosses.length
+        ? Math.round(cpLosses.reduce((s, x) => s + x, 0) / cpLosses.length)
+        : null,
+      best: countQuality("best"),
+      good: countQuality("good"),
+      inaccuracies: countQuality("inaccuracy"),
+      mistakes: countQuality("mistake"),
+      blunders: countQuality("blunder"),
+    },
+  };
+}
@@ -0,0 +1,67 @@
+import { Chess } from "chess.js";
+import { PIECE_VALUE } from "./moveQuality.js";
+
+/**
+ * Game phase of a move, from the position before it:
+ * - endgame:    little non-pawn material left (both sides together)
+ * - opening:    the first OPENING_MAX_PLY plies while (nearly) all pieces are still on
+ * - middlegame: everything in between
+ * Material = knights, bishops, rooks and queens of both sides (6400 cp at the start).
+ */
+
+export const GAME_PHASES = ["opening", "middlegame", "endgame"];
+
+const OPENING_MAX_PLY = 20; // ply = history length after the move (1 = white's first move)
+const OPENING_MIN_MATERIAL = 5400; // about one minor piece pair traded
+const ENDGAME_MAX_MATERIAL = 2600; // ~1300 per side, e.g. queen + minor piece or two rooks each
+
+export function nonPawnMaterial(chess) {
+  let total = 0;
+  for (const row of chess.board()) {
+    for (const sq of row) {
+      if (sq && sq.type !== "p" && sq.type !== "k") total += PIECE_VALUE[sq.type];
+    }
+  }
+  return total;
+}
+
+/**
+ * @param position FEN or Chess instance before the move
+ * @param ply      ply of the move itself
+ */
+export function classifyPhase(position, ply) {
+  const chess = typeof position === "string" ? new Chess(position) : position;
+  const material = nonPawnMaterial(chess);
+
+  if (material <= ENDGAME_MAX_MATERIAL) return "endgame";
+  if (ply <= OPENING_MAX_PLY && material >= OPENING_MIN_MATERIAL) return "opening";
+  return "middlegame";
+}
+
+/**
+ * Think time, blunder rate and hover density per phase (player moves only), from the
+ * per-phase aggregates of the user's Move rows (src/segmentRules.js).
+ * Think time is the time on the tab (activeThinkTimeMs once linked); hovers are Move.hoverCount,
+ * counted on the client clock when the move was linked (src/exploration.js), so hover density
+ * covers linked moves only (null without any).
+ * @param rows [{ phase, moves, blunders, meanThinkMs, medianThinkMs, hovers, hoverMoves }]
+ * @returns { opening: { moves, blunderRate, meanThinkMs, medianThinkMs, hoversPerMove } | null, ... }
+ */
+export function phaseStats(rows) {
+  return Object.fromEntries(
+    GAME_PHASES.map((p) => {
+      const a = rows.find((r) => r.phase === p);
+      if (!a?.moves) return [p, null];
+      return [
+        p,
+        {
+          moves: a.moves,
+          blunderRate: Math.round((a.blunders / a.moves) * 100),
+          meanThinkMs: Math.round(a.meanThinkMs),
+          medianThinkMs: Math.round(a.medianThinkMs),
+          hoversPerMove: a.hoverMoves ? Math.round((a.hovers / a.hoverMoves) * 10) / 10 : null,
+        },
+      ];
+    })
+  );
+}
@@ -0,0 +1,74 @@
+import { replayMoves } from "./replay.js";
+
+/**
+ * Server-side game completion:
+ * the client only *claims* how the game ended, the stored moves decide.
+ * - checkmate / stalemate / draw must match the replayed final position
+ * - resign / abort are only accepted while the board is still playable
+ * Game.result is stored from the player's point of view (win/loss/draw/aborted).
+ */
+
+export const END_REASONS = ["checkmate", "stalemate", "draw", "resign", "abort"];
+
+const BOARD_REASONS = ["checkmate", "stalemate", "draw"];
+
+// what the board says, with the specific draw rule when there is one
+function boardOutcome(chess) {
+  if (!chess.isGameOver()) return null;
+  if (chess.isCheckmate()) return { reason: "checkmate", endReason: "checkmate" };
+  if (chess.isStalemate()) return { reason: "stalemate", endReason: "stalemate" };
+  if (chess.isInsufficientMaterial()) {
+    return { reason: "draw", endReason: "insufficient_material" };
+  }
+  if (chess.isThreefoldRepetition()) {
+    return { reason: "draw", endReason: "threefold_repetition" };
+  }
+  if (chess.isDrawByFiftyMoves()) return { reason: "draw", endReason: "fifty_moves" };
+  return { reason: "draw", endReason: "draw" };
+}
+
+/**
+ * @param moves  stored Move rows of the game
+ * @param reason claimed reason (one of END_REASONS)
+ * @returns {{ ok: true, result: string, endReason: string, plies: number, finalFen: string }
+ *         | { ok: false, error: string }}
+ */
+export function resolveGameEnd(moves, reason) {
+  if (!END_REASONS.includes(reason)) {
+    return { ok: false, error: `reason must be one of ${END_REASONS.join(", ")}` };
+  }
+
+  const { chess, steps, truncatedAt, playerColor } = replayMoves(moves);
+  const board = truncatedAt == null ? boardOutcome(chess) : null;
+  const base = { plies: steps.length, finalFen: chess.fen() };
+
+  if (BOARD_REASONS.includes(reason)) {
+    if (truncatedAt != null) {
+      return { ok: false, error: `Stored moves are incomplete at ply ${truncatedAt}` };
+    }
+    if (!board || board.reason !== reason) {
+      return {
+        ok: false,
+        error: `Final position is not ${reason} (board: ${board?.endReason ?? "in progress"})`,
+      };
+    }
+
+    let result = "draw";
+    if (board.reason === "checkmate") {
+      // side to move is the side that got mated
+      result = chess.turn() === (playerColor ?? "w") ? "loss" : "win";
+    }
+    return { ok: true, result, endReason: board.endReason, ...base };
+  }
+
+  if (board) {
+    return { ok: false, error: `Game is already over on the board (${board.endReason})` };
+  }
+
+  if (reason === "resign") {
+    // only the player can resign, the bot never does
+    return { ok: true, result: "loss", endReason: "resign", ...base };
+  }
+
+  return { ok: true, result: "aborted", endReason: "abort", ...base };
+}
@@ -0,0 +1,96 @@
+import { realThinkMs } from "./attention.js";
+
+/**
+ * Per-game and per-session aggregates straight from Move rows (player moves only),
+ * so one bad game is not hidden by the lifetime counters on Profile.
+ * Hints and moves are attributed by the ids they carry, never by comparing times
+ * (Event.ts is the client clock, Game / Session / Move.createdAt the server clock):
+ * - a hint_used event belongs to its payload.gameId (hints of older clients have none
+ *   and only count for their session) and to its Event.sessionId
+ * - a move belongs to its own sessionId (set for tracked player moves), else to its game's
+ */
+
+export function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+}
+
+/**
+ * @param moves    player Move rows
+ * @param hints    number of hint_used events in the same window
+ */
+export function summariseMoves(moves, hints = 0) {
+  const count = (q) => moves.filter((m) => m.quality === q).length;
+  const think = moves.map(realThinkMs);
+  const cpLosses = moves.map((m) => m.cpLoss).filter((x) => x != null);
+
+  const blunders = count("blunder");
+  return {
+    moves: moves.length,
+    blunders,
+    mistakes: count("mistake"),
+    inaccuracies: count("inaccuracy"),
+    blunderRate: moves.length ? Math.round((blunders / moves.length) * 100) : 0,
+    meanThinkMs: think.length ? Math.round(think.reduce((a, b) => a + b, 0) / think.length) : null,
+    medianThinkMs: median(think),
+    avgCpLoss: cpLosses.length
+      ? Math.round(cpLosses.reduce((a, b) => a + b, 0) / cpLosses.length)
+      : null,
+    hints,
+  };
+}
+
+// hint_used events { sessionId, payload } -> count per key
+function countBy(hints, key) {
+  const counts = new Map();
+  for (const h of hints) {
+    const k = key(h);
+    if (k) counts.set(k, (counts.get(k) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * @param games    Game rows with `moves` (any order, bot moves are skipped)
+ * @param hints    the user's hint_used events { sessionId, payload }
+ * @returns [{ id, createdAt, endedAt, result, endReason, sessionId, stats }] newest first
+ */
+export function perGameStats(games, hints = []) {
+  const byGame = countBy(hints, (h) => h.payload?.gameId);
+
+  return [...games]
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+    .map((g) => {
+      const hints = byGame.get(g.id) ?? 0;
+      return {
+        id: g.id,
+        createdAt: g.createdAt,
+        endedAt: g.endedAt,
+        result: g.result,
+        endReason: g.endReason,
+        sessionId: g.sessionId,
+        stats: summariseMoves(g.moves.filter((m) => !m.isBot), hints),
+      };
+    });
+}
+
+/**
+ * Moves and hints of each session (a game can span sessions).
+ * @param sessions  sessionMetrics() results
+ * @param games     Game rows with `moves` ({ sessionId } per move)
+ * @param hints     the user's hint_used events { sessionId, payload }
+ * @returns sessions with `stats` added
+ */
+export function perSessionStats(sessions, games, hints = []) {
+  const moves = games.flatMap((g) =>
+    g.moves.filter((m) => !m.isBot).map((m) => ({ ...m, sessionId: m.sessionId ?? g.sessionId }))
+  );
+  const bySession = countBy(hints, (h) => h.sessionId);
+
+  return sessions.map((s) => {
+    const sessionMoves = moves.filter((m) => m.sessionId === s.id);
+    return { ...s, stats: summariseMoves(sessionMoves, bySession.get(s.id) ?? 0) };
+  });
+}
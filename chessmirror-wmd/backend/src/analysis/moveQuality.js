@@ -1,19 +1,170 @@
+import { Chess } from "chess.js";
+
 /**
- * Heuristic "move quality":
- * - If after the move, the moved piece can be captured immediately by opponent
- *   and the capture is legal, we label it as a "blunder" (hung piece).
+ * Heuristic "move quality" based on static exchange evaluation (SEE):
+ * - For every legal move in the position before, we compute the material swing:
+ *   what the move wins (capture / promotion) minus the worst exchange the
+ *   opponent can start on one of our pieces afterwards.
+ * - Exchanges take all attackers and defenders of a square into account
+ *   (least valuable attacker first, x-rays included), so defended pieces,
+ *   even trades and recaptures are no longer counted as hung pieces.
+ * - The played move is graded by how much material it gives away compared
+ *   to the best move available.
  *
- * This is intentionally simple so it runs fast and fully local.
+ * Local and static (no search), but it tries every legal move (tens of ms): the API runs it
+ * in the engine worker thread (src/engine.js), never on the request path.
+ */
+
+// centipawns
+export const PIECE_VALUE = { p: 100, n: 320, b: 330, r: 500, q: 900, k: 20000 };
+
+// loss vs best move (centipawns) -> label
+const QUALITY_TIERS = [
+  { maxLoss: 0, label: "good" },
+  { maxLoss: 90, label: "inaccuracy" },
+  { maxLoss: 250, label: "mistake" },
+];
+
+export const QUALITY_LABELS = ["best", "good", "inaccuracy", "mistake", "blunder"];
+
+function other(color) {
+  return color === "w" ? "b" : "w";
+}
+
+function cheapestAttacker(board, square, color) {
+  let best = null;
+  for (const from of board.attackers(square, color)) {
+    const piece = board.get(from);
+    if (!piece) continue;
+    if (!best || PIECE_VALUE[piece.type] < PIECE_VALUE[best.piece.type]) {
+      best = { from, piece };
+    }
+  }
+  return best;
+}
+
+/**
+ * Material `side` can win by starting a capture sequence on `square`
+ * (0 if it can't or shouldn't). Classic swap-list algorithm.
+ */
+export function staticExchange(chess, square, side) {
+  const target = chess.get(square);
+  if (!target || target.color === side) return 0;
+  if (chess.attackers(square, side).length === 0) return 0;
+
+  const board = new Chess(chess.fen(), { skipValidation: true });
+
+  const gain = [];
+  let depth = 0;
+  let color = side;
+  let onSquare = target;
+
+  for (;;) {
+    const attacker = cheapestAttacker(board, square, color);
+    if (!attacker) break;
+
+    // a king can't capture into a square that is still defended
+    if (
+      attacker.piece.type === "k" &&
+      board.attackers(square, other(color)).length > 0
+    ) {
+      break;
+    }
+
+    gain[depth] = PIECE_VALUE[onSquare.type] - (depth > 0 ? gain[depth - 1] : 0);
+
+    board.remove(attacker.from);
+    board.remove(square);
+    board.put(attacker.piece, square);
+
+    onSquare = attacker.piece;
+    color = other(color);
+    depth += 1;
+  }
+
+  if (depth === 0) return 0;
+
+  // negamax the swap list back to the first capture
+  for (let d = depth - 1; d > 0; d--) {
+    gain[d - 1] = -Math.max(-gain[d - 1], gain[d]);
+  }
+  return Math.max(0, gain[0]);
+}
+
+/**
+ * Worst exchange the opponent (side to move in `chess`) can start
+ * against any piece of `color`.
+ */
+function worstThreat(chess, color) {
+  let worst = 0;
+  for (const row of chess.board()) {
+    for (const sq of row) {
+      if (!sq || sq.color !== color || sq.type === "k") continue;
+      worst = Math.max(worst, staticExchange(chess, sq.square, other(color)));
+    }
+  }
+  return worst;
+}
+
+function immediateGain(move) {
+  let gain = 0;
+  if (move.captured) gain += PIECE_VALUE[move.captured];
+  if (move.promotion) gain += PIECE_VALUE[move.promotion] - PIECE_VALUE.p;
+  return gain;
+}
+
+/**
+ * Material swing (centipawns, mover's perspective) of `move` played in `fen`.
+ */
+export function materialSwing(fen, move) {
+  const chess = new Chess(fen);
+  const played = chess.move(move);
+  if (chess.isCheckmate()) return PIECE_VALUE.k;
+  return immediateGain(played) - worstThreat(chess, played.color);
+}
+
+/**
+ * labelMoveQuality() for a move given as FEN before + uci (worker thread, src/engine.js).
+ */
+export function labelUciMove(fenBefore, uci) {
+  const chess = new Chess(fenBefore);
+  const played = chess.move({
+    from: uci.slice(0, 2),
+    to: uci.slice(2, 4),
+    promotion: uci.length > 4 ? uci[4] : undefined,
+  });
+  return labelMoveQuality(chess, played);
+}
+
+/**
+ * @param chess   position AFTER the move (as returned by chess.js)
+ * @param lastMove verbose move from chess.js ({from,to,piece,color,san,flags,before,...})
+ * @returns {{ quality: string, swing: number }}
  */
 export function labelMoveQuality(chess, lastMove) {
-  // lastMove from chess.js has {from,to,piece,color,san,flags,...}
-  if (!lastMove) return "good";
+  if (!lastMove) return { quality: "good", swing: 0 };
+
+  const fenBefore = lastMove.before ?? null;
+  const swing = chess.isCheckmate()
+    ? PIECE_VALUE.k
+    : immediateGain(lastMove) - worstThreat(chess, lastMove.color);
+
+  // no "before" position -> can only judge the move on its own
+  if (!fenBefore) {
+    return { quality: swing < -250 ? "blunder" : "good", swing };
+  }
+
+  const before = new Chess(fenBefore);
+  let bestSwing = swing;
+  for (const m of before.moves({ verbose: true })) {
+    bestSwing = Math.max(bestSwing, materialSwing(fenBefore, m));
+  }
+
+  const loss = bestSwing - swing;
 
-  const to = lastMove.to;
-  // switch turn to opponent already happened in chess.js after move
-  // Check if opponent has any legal move capturing the piece on `to`
-  const legalMoves = chess.moves({ verbose: true });
-  const canCaptureTo = legalMoves.some(m => m.to === to && m.flags.includes("c"));
+  // played the move that wins the most material
+  if (loss <= 0 && bestSwing > 0) return { quality: "best", swing };
 
-  return canCaptureTo ? "blunder" : "good";
+  const tier = QUALITY_TIERS.find((t) => loss <= t.maxLoss);
+  return { quality: tier ? tier.label : "blunder", swing };
 }
@@ -0,0 +1,256 @@
+import { Chess } from "chess.js";
+import { replayMoves, fullMoveNumber } from "./replay.js";
+
+/**
+ * PGN export/import of games.
+ * - Seven Tag Roster + our own tags (UID, BotMode, GameId)
+ * - Think time per move as [%emt] (elapsed move time) and [%clk] (clock after the move);
+ *   games have no time control, so the clock is virtual: TimeControl is the longer side's
+ *   total think time rounded up to whole minutes, and each side's clock counts down from it
+ * - Move quality as NAG + comment so any chess tool shows it
+ * - Import reads [%emt] directly or derives think time from [%clk] deltas
+ */
+
+const QUALITY_NAG = {
+  best: "$1",
+  inaccuracy: "$6",
+  mistake: "$2",
+  blunder: "$4",
+};
+
+const BOT_NAME = "ChessMirror bot";
+const CLOCK_STEP_MS = 60 * 1000;
+const LINE_WIDTH = 80;
+
+function pad(n, len = 2) {
+  return String(n).padStart(len, "0");
+}
+
+function pgnDate(d) {
+  const x = new Date(d);
+  if (Number.isNaN(x.getTime())) return "????.??.??";
+  return `${x.getUTCFullYear()}.${pad(x.getUTCMonth() + 1)}.${pad(x.getUTCDate())}`;
+}
+
+// 4230 -> "0:00:04.2"
+export function formatClock(ms) {
+  const total = Math.max(0, Math.round((ms ?? 0) / 100)) / 10;
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = (total % 60).toFixed(1);
+  return `${h}:${pad(m)}:${s.padStart(4, "0")}`;
+}
+
+function escapeTag(v) {
+  return String(v ?? "").replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+}
+
+/**
+ * Game.result is stored from the player's point of view.
+ */
+export function pgnResult(result, playerColor, finalPosition) {
+  const win = playerColor === "w" ? "1-0" : "0-1";
+  const loss = playerColor === "w" ? "0-1" : "1-0";
+
+  if (result === "win") return win;
+  if (result === "loss") return loss;
+  if (result === "draw") return "1/2-1/2";
+
+  // nothing stored yet -> trust the board if the game clearly ended
+  if (!result && finalPosition) {
+    if (finalPosition.isCheckmate()) return finalPosition.turn() === "w" ? "0-1" : "1-0";
+    if (finalPosition.isDraw() || finalPosition.isStalemate()) return "1/2-1/2";
+  }
+  return "*";
+}
+
+function moveComment(m, clockMs) {
+  const parts = [`[%emt ${formatClock(m.thinkTimeMs)}]`, `[%clk ${formatClock(clockMs)}]`];
+  if (!m.isBot && m.quality) {
+    let text = m.quality;
+    if (m.cpLoss != null) text += ` (cpLoss ${m.cpLoss})`;
+    if (m.bestMoveUci && m.quality !== "best" && m.quality !== "good") {
+      text += ` best ${m.bestMoveUci}`;
+    }
+    parts.push(text);
+  }
+  return `{${parts.join(" ")}}`;
+}
+
+function wrap(tokens) {
+  const lines = [];
+  let line = "";
+  for (const t of tokens) {
+    if (line && line.length + 1 + t.length > LINE_WIDTH) {
+      lines.push(line);
+      line = t;
+    } else {
+      line = line ? `${line} ${t}` : t;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.join("\n");
+}
+
+/**
+ * @param game    { id, createdAt, result }
+ * @param uid     owner uid
+ * @param moves   Move rows of this game
+ * @param botModes distinct bot modes seen in this game (from bot_move events)
+ */
+export function gameToPgn({ game, uid, moves, botModes = [] }) {
+  const replay = replayMoves(moves);
+  const chess = replay.chess;
+  const tokens = [];
+
+  // virtual clock: both sides start with the longer side's total think time (whole minutes)
+  const used = { w: 0, b: 0 };
+  for (const { move: m, color } of replay.steps) used[color] += m.thinkTimeMs ?? 0;
+  const baseMs = Math.max(1, Math.ceil(Math.max(used.w, used.b) / CLOCK_STEP_MS)) * CLOCK_STEP_MS;
+  const clock = { w: baseMs, b: baseMs };
+
+  // a gap in the stored moves ends the exportable game (replay stops there)
+  for (const { move: m, played, color } of replay.steps) {
+    if (color === "w") tokens.push(`${fullMoveNumber(played)}.`);
+    else if (tokens.length === 0) tokens.push(`${fullMoveNumber(played)}...`);
+
+    tokens.push(played.san);
+    if (!m.isBot && QUALITY_NAG[m.quality]) tokens.push(QUALITY_NAG[m.quality]);
+    clock[color] -= m.thinkTimeMs ?? 0;
+    tokens.push(moveComment(m, clock[color]));
+  }
+
+  const playerColor = replay.playerColor ?? "w";
+  const result = pgnResult(game.result, playerColor, chess);
+  tokens.push(result);
+
+  const headers = [
+    ["Event", "ChessMirror WMD"],
+    ["Site", "ChessMirror"],
+    ["Date", pgnDate(game.createdAt)],
+    ["Round", "-"],
+    ["White", playerColor === "w" ? uid : BOT_NAME],
+    ["Black", playerColor === "b" ? uid : BOT_NAME],
+    ["Result", result],
+    ["UID", uid],
+    ["GameId", game.id],
+    ["BotMode", botModes.length ? botModes.join(",") : "unknown"],
+    ["TimeControl", String(baseMs / 1000)],
+  ];
+  if (game.endReason) headers.push(["Termination", game.endReason]);
+
+  const tagSection = headers
+    .map(([k, v]) => `[${k} "${escapeTag(v)}"]`)
+    .join("\n");
+
+  return `${tagSection}\n\n${wrap(tokens)}\n`;
+}
+
+// "0:00:04.2" / "1:05" -> ms
+export function parseClock(str) {
+  const parts = String(str).trim().split(":").map(Number);
+  if (!parts.length || parts.some((n) => !Number.isFinite(n))) return null;
+  const seconds = parts.reduce((acc, n) => acc * 60 + n, 0);
+  return Math.round(seconds * 1000);
+}
+
+function commandValue(comment, name) {
+  const m = new RegExp(`\\[%${name}\\s+([0-9:.]+)\\]`).exec(comment ?? "");
+  return m ? parseClock(m[1]) : null;
+}
+
+/**
+ * Date header -> Date (null if missing / "????.??.??").
+ */
+export function headerDate(headers) {
+  const date = headers.UTCDate || headers.Date;
+  if (!date || !/^\d{4}\.\d{2}\.\d{2}$/.test(date)) return null;
+  const time = /^\d{2}:\d{2}:\d{2}$/.test(headers.UTCTime ?? "")
+    ? headers.UTCTime
+    : "00:00:00";
+  const d = new Date(`${date.replace(/\./g, "-")}T${time}Z`);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/**
+ * PGN result -> Game.result from the player's point of view.
+ */
+export function resultForPlayer(pgnResultTag, playerColor) {
+  if (pgnResultTag === "1/2-1/2") return "draw";
+  if (pgnResultTag === "1-0") return playerColor === "w" ? "win" : "loss";
+  if (pgnResultTag === "0-1") return playerColor === "b" ? "win" : "loss";
+  return null;
+}
+
+// a multi-game file: every game starts with its tag section
+function splitGames(text) {
+  const normalized = String(text ?? "").replace(/\r\n?/g, "\n").trim();
+  if (!normalized) return [];
+  const chunks = normalized.split(/\n\s*\n(?=\[)/);
+
+  const games = [];
+  let current = "";
+  for (const chunk of chunks) {
+    // a tag section directly after movetext starts the next game
+    if (current && /^\[/.test(chunk) && !/^\[/.test(current.split("\n\n").pop())) {
+      games.push(current);
+      current = chunk;
+    } else {
+      current = current ? `${current}\n\n${chunk}` : chunk;
+    }
+  }
+  if (current) games.push(current);
+  return games;
+}
+
+/**
+ * Parse PGN text (one or many games) into replayable moves.
+ * Every move is validated by chess.js while loading.
+ *
+ * @returns {{ index:number, headers:object, moves:object[], error?:string }[]}
+ *   moves: { ply, color, fenBefore, uci, san, thinkTimeMs }
+ */
+export function parsePgnGames(text) {
+  return splitGames(text).map((chunk, index) => {
+    const chess = new Chess();
+    try {
+      chess.loadPgn(chunk);
+    } catch (err) {
+      return { index, headers: {}, moves: [], error: String(err?.message || err) };
+    }
+
+    const headers = chess.getHeaders();
+
+    // stored games always replay from the start position (see gameAnalysis.js)
+    if (headers.SetUp === "1" || headers.FEN) {
+      return { index, headers, moves: [], error: "Custom start positions (FEN) are not supported" };
+    }
+
+    const comments = new Map(chess.getComments().map((c) => [c.fen, c.comment]));
+
+    // last [%clk] per side, to turn remaining clock into think time
+    const lastClock = { w: null, b: null };
+
+    const moves = chess.history({ verbose: true }).map((m, i) => {
+      const comment = comments.get(m.after);
+
+      let thinkTimeMs = commandValue(comment, "emt");
+      const clk = commandValue(comment, "clk");
+      if (thinkTimeMs == null && clk != null && lastClock[m.color] != null) {
+        thinkTimeMs = Math.max(0, lastClock[m.color] - clk);
+      }
+      if (clk != null) lastClock[m.color] = clk;
+
+      return {
+        ply: i + 1,
+        color: m.color,
+        fenBefore: m.before,
+        uci: `${m.from}${m.to}${m.promotion ?? ""}`,
+        san: m.san,
+        thinkTimeMs: thinkTimeMs ?? 0,
+      };
+    });
+
+    return { index, headers, moves };
+  });
+}
@@ -0,0 +1,52 @@
+import { Chess } from "chess.js";
+
+// move number as printed in PGN, taken from the position before the move
+export function fullMoveNumber(played) {
+  return parseInt(played.before.split(" ")[5], 10) || 1;
+}
+
+/**
+ * Replay stored Move rows of ONE game from the start position.
+ * - dedupes by ply (first row wins) and replays in ply order
+ * - stops at the first gap / illegal row (truncatedAt = that ply)
+ *
+ * @returns {{ chess: Chess, steps: { move: object, played: object, color: string }[],
+ *             truncatedAt: number|null, playerColor: string|null }}
+ */
+export function replayMoves(moves) {
+  const byPly = new Map();
+  for (const m of [...moves].sort((a, b) => a.ply - b.ply)) {
+    if (!byPly.has(m.ply)) byPly.set(m.ply, m);
+  }
+
+  const chess = new Chess();
+  const steps = [];
+  let truncatedAt = null;
+  let playerColor = null;
+
+  for (const m of byPly.values()) {
+    const color = chess.turn();
+
+    let played = null;
+    try {
+      played = chess.move({
+        from: m.uci.slice(0, 2),
+        to: m.uci.slice(2, 4),
+        promotion: m.uci.length > 4 ? m.uci[4] : undefined,
+      });
+    } catch {
+      played = null;
+    }
+
+    if (!played) {
+      // gap or illegal row -> everything after can't be trusted
+      truncatedAt = m.ply;
+      break;
+    }
+
+    if (!m.isBot && !playerColor) playerColor = color;
+    steps.push({ move: m, played, color });
+  }
+
+  return { chess, steps, truncatedAt, playerColor };
+}
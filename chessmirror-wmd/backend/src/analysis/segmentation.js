@@ -0,0 +1,289 @@
+import { z } from "zod";
+import { GAME_PHASES } from "./gamePhase.js";
+
+/**
+ * Behaviour segmentation as data: a rule set is an ordered list of rules,
+ * the first rule whose conditions all hold gives the label.
+ * - fewer than minMoves player moves -> the warmup label (no style claimed yet)
+ * - no rule matches -> the fallback label
+ * The "because ..." and "Evidence: ..." parts of the text are generated from the
+ * conditions, so edited thresholds are always explained correctly.
+ * Rule sets are versioned in the DB (src/segmentRules.js); version 0 = DEFAULT_RULE_SET.
+ * Think-time distribution metrics (medianThinkTime, ...), attentionScore and per-phase metrics
+ * (openingThinkTime, endgameBlunderRate, ...) are null while there are no moves to base them on;
+ * a condition on a null metric never holds.
+ */
+
+// metric -> how it is derived from the profile (see segmentStats)
+export const SEGMENT_METRICS = {
+  moves: { label: "moves", unit: "", digits: 0, description: "Player moves" },
+  avgThinkTime: { label: "avgThink", unit: "s", digits: 1, description: "Average think time (seconds)" },
+  blunderRate: { label: "blunderRate", unit: "%", digits: 0, description: "Blunders per move (%)" },
+  hoversPerMove: { label: "hovers/move", unit: "", digits: 1, description: "Hovered squares per move" },
+  hintsUsed: { label: "hints", unit: "", digits: 0, description: "Hint panels opened" },
+  avgCpLoss: { label: "avgCpLoss", unit: "cp", digits: 0, description: "Average centipawn loss" },
+  medianThinkTime: { label: "medianThink", unit: "s", digits: 1, description: "Median think time (seconds)" },
+  p10ThinkTime: { label: "p10Think", unit: "s", digits: 1, description: "10th percentile think time (seconds)" },
+  p90ThinkTime: { label: "p90Think", unit: "s", digits: 1, description: "90th percentile think time (seconds)" },
+  thinkTimeStdDev: {
+    label: "thinkStdDev",
+    unit: "s",
+    digits: 1,
+    description: "Standard deviation of think time (seconds)",
+  },
+  recentThinkTime: {
+    label: "recentThink",
+    unit: "s",
+    digits: 1,
+    description: "Exponentially weighted average think time, recent moves count most (seconds)",
+  },
+  attentionScore: {
+    label: "attention",
+    unit: "",
+    digits: 0,
+    description: "Attention score 0-100: think time spent on the tab, fewer moves right after returning",
+  },
+  ...Object.fromEntries(
+    GAME_PHASES.flatMap((phase) => [
+      [
+        `${phase}ThinkTime`,
+        { label: `${phase}Think`, unit: "s", digits: 1, description: `Average think time in the ${phase} (seconds)` },
+      ],
+      [
+        `${phase}BlunderRate`,
+        { label: `${phase}BlunderRate`, unit: "%", digits: 0, description: `Blunders per ${phase} move (%)` },
+      ],
+      [
+        `${phase}HoversPerMove`,
+        { label: `${phase}Hovers/move`, unit: "", digits: 1, description: `Hovered squares per ${phase} move` },
+      ],
+    ])
+  ),
+};
+
+const OPS = {
+  ">=": (a, b) => a >= b,
+  "<=": (a, b) => a <= b,
+  ">": (a, b) => a > b,
+  "<": (a, b) => a < b,
+};
+export const SEGMENT_OPS = Object.keys(OPS);
+
+const OP_SIGN = { ">=": "≥", "<=": "≤", ">": ">", "<": "<" };
+
+const labelText = z.object({
+  label: z.string().trim().min(1).max(32),
+  text: z.string().max(500),
+});
+
+const ruleSetSchema = z.object({
+  minMoves: z.number().int().min(0).max(1000),
+  warmup: labelText,
+  rules: z
+    .array(
+      labelText.extend({
+        id: z.string().trim().min(1).max(32),
+        when: z
+          .array(
+            z.object({
+              metric: z.enum(Object.keys(SEGMENT_METRICS)),
+              op: z.enum(SEGMENT_OPS),
+              value: z.number().finite(),
+            })
+          )
+          .min(1)
+          .max(6),
+      })
+    )
+    .max(20),
+  fallback: labelText,
+});
+
+export const DEFAULT_RULE_SET = {
+  minMoves: 6,
+  warmup: {
+    label: "Warming up",
+    text: "Not enough stable data yet to detect a reliable play style. Play a few more moves to lock in a profile.",
+  },
+  rules: [
+    // first so it is not "softened" by the other labels
+    {
+      id: "unstable",
+      label: "Unstable",
+      when: [{ metric: "blunderRate", op: ">=", value: 35 }],
+      text: "Your error rate is very high, which points to inconsistent execution or focus.",
+    },
+    {
+      id: "impulsive",
+      label: "Impulsive",
+      when: [
+        { metric: "avgThinkTime", op: "<=", value: 2.2 },
+        { metric: "blunderRate", op: ">=", value: 25 },
+      ],
+      text: "You play very fast while making many costly mistakes.",
+    },
+    {
+      id: "reflective",
+      label: "Reflective",
+      when: [
+        { metric: "avgThinkTime", op: ">=", value: 6 },
+        { metric: "blunderRate", op: "<=", value: 20 },
+      ],
+      text: "You take more time per move and keep mistakes controlled.",
+    },
+    {
+      id: "hesitant",
+      label: "Hesitant",
+      when: [
+        { metric: "avgThinkTime", op: ">=", value: 4 },
+        { metric: "hoversPerMove", op: ">=", value: 4 },
+      ],
+      text: "You spend longer per move and explore many squares before committing.",
+    },
+    {
+      id: "explorer",
+      label: "Explorer",
+      when: [{ metric: "hoversPerMove", op: ">=", value: 5 }],
+      text:
+        "Your exploration is very high (you hover over many squares/lines). " +
+        "This can be strong, but it’s most effective if you shortlist 1–2 candidate moves.",
+    },
+  ],
+  fallback: {
+    label: "Balanced",
+    text:
+      "Your pace and mistake rate are fairly consistent overall. " +
+      "No extreme pattern (too fast + error-prone, very slow + accurate, or heavy exploration) was dominant.",
+  },
+};
+
+/**
+ * @returns {{ ok: true, rules } | { ok: false, error, details? }}
+ */
+export function validateRuleSet(rules) {
+  const parsed = ruleSetSchema.safeParse(rules);
+  if (!parsed.success) {
+    return { ok: false, error: "Invalid rule set", details: parsed.error.flatten() };
+  }
+
+  const ids = parsed.data.rules.map((r) => r.id);
+  if (new Set(ids).size !== ids.length) return { ok: false, error: "Rule ids must be unique" };
+
+  return { ok: true, rules: parsed.data };
+}
+
+const toSec = (ms) => (ms == null ? null : Math.round((ms / 1000) * 10) / 10);
+
+/**
+ * Profile (+ all-time hover count, + phaseStats() / thinkTimeDistribution() / attentionSummary()
+ * of the user's moves) -> the metrics rules can test.
+ * Same rounding as the stats shown to players and admins.
+ */
+export function segmentStats(
+  profile,
+  hoverCount = 0,
+  { phases = {}, thinkTime = null, attention = null } = {}
+) {
+  const moves = profile?.moveCount ?? 0;
+  const stats = {
+    moves,
+    avgThinkTime: Math.round(((profile?.avgThinkTimeMs ?? 0) / 1000) * 10) / 10,
+    blunderRate: moves > 0 ? Math.round(((profile?.blunderCount ?? 0) / moves) * 100) : 0,
+    hoversPerMove: moves > 0 ? Math.round((hoverCount / moves) * 10) / 10 : 0,
+    hintsUsed: profile?.hintCount ?? 0,
+    avgCpLoss: profile?.avgCpLoss ?? 0,
+    medianThinkTime: toSec(thinkTime?.medianMs),
+    p10ThinkTime: toSec(thinkTime?.p10Ms),
+    p90ThinkTime: toSec(thinkTime?.p90Ms),
+    thinkTimeStdDev: toSec(thinkTime?.stdDevMs),
+    recentThinkTime: toSec(thinkTime?.ewmaMs),
+    attentionScore: attention?.score ?? null,
+  };
+
+  for (const phase of GAME_PHASES) {
+    const p = phases?.[phase];
+    stats[`${phase}ThinkTime`] = p ? toSec(p.meanThinkMs) : null;
+    stats[`${phase}BlunderRate`] = p ? p.blunderRate : null;
+    stats[`${phase}HoversPerMove`] = p ? p.hoversPerMove : null;
+  }
+  return stats;
+}
+
+function fmtMetric(metric, value) {
+  const m = SEGMENT_METRICS[metric];
+  const x = Number(value);
+  if (!Number.isFinite(x)) return "—";
+  return `${x.toFixed(m.digits)}${m.unit}`;
+}
+
+function describeCondition({ metric, op, value }, stats) {
+  const m = SEGMENT_METRICS[metric];
+  return `${m.label}=${fmtMetric(metric, stats[metric])} (${OP_SIGN[op]} ${fmtMetric(metric, value)})`;
+}
+
+function phaseText(stats) {
+  const parts = GAME_PHASES.filter((phase) => stats[`${phase}ThinkTime`] != null).map(
+    (phase) =>
+      `${phase} ${fmtMetric(`${phase}ThinkTime`, stats[`${phase}ThinkTime`])}` +
+      `/${fmtMetric(`${phase}BlunderRate`, stats[`${phase}BlunderRate`])}` +
+      `/${fmtMetric(`${phase}HoversPerMove`, stats[`${phase}HoversPerMove`])}`
+  );
+  return parts.length ? ` By phase (think/blunders/hovers per move): ${parts.join(", ")}.` : "";
+}
+
+function evidenceText(stats) {
+  return (
+    `Evidence: moves=${stats.moves}, avgThink≈${fmtMetric("avgThinkTime", stats.avgThinkTime)}, ` +
+    (stats.medianThinkTime != null
+      ? `medianThink≈${fmtMetric("medianThinkTime", stats.medianThinkTime)}, `
+      : "") +
+    `blunderRate=${fmtMetric("blunderRate", stats.blunderRate)}, ` +
+    `hovers/move≈${fmtMetric("hoversPerMove", stats.hoversPerMove)}.` +
+    phaseText(stats)
+  );
+}
+
+function conditionHolds(c, stats) {
+  const value = stats[c.metric];
+  if (value == null) return false;
+  return OPS[c.op](Number(value), c.value);
+}
+
+/**
+ * @param ruleSet { version, rules } (rules validated by validateRuleSet)
+ * @param stats   segmentStats()
+ * @returns { label, text, ruleId, ruleSetVersion }
+ */
+export function evaluateSegment(ruleSet, stats) {
+  const { version, rules } = ruleSet;
+  const evidence = evidenceText(stats);
+
+  if (!(stats.moves >= rules.minMoves)) {
+    return {
+      label: rules.warmup.label,
+      text: `${rules.warmup.text} ${evidence}`,
+      ruleId: "warmup",
+      ruleSetVersion: version,
+    };
+  }
+
+  for (const rule of rules.rules) {
+    const holds = rule.when.every((c) => conditionHolds(c, stats));
+    if (!holds) continue;
+
+    const because = rule.when.map((c) => describeCondition(c, stats)).join(" and ");
+    return {
+      label: rule.label,
+      text: `${rule.text} This label triggers because ${because}. ${evidence}`,
+      ruleId: rule.id,
+      ruleSetVersion: version,
+    };
+  }
+
+  return {
+    label: rules.fallback.label,
+    text: `${rules.fallback.text} ${evidence}`,
+    ruleId: "fallback",
+    ruleSetVersion: version,
+  };
+}
@@ -0,0 +1,58 @@
+/**
+ * Session lifecycle bookkeeping:
+ * - the tracker opens a session, sends heartbeats and closes it on pagehide / hidden tab
+ * - time since the last heartbeat is credited as active or idle (client reports input activity)
+ * - a gap longer than MAX_HEARTBEAT_GAP_MS means the page was asleep -> the rest is idle
+ * - an open session that stays silent for SESSION_TIMEOUT_MS ended at its lastSeenAt
+ */
+
+export const HEARTBEAT_INTERVAL_MS = 30000;
+export const MAX_HEARTBEAT_GAP_MS = 3 * HEARTBEAT_INTERVAL_MS;
+export const SESSION_TIMEOUT_MS = 30 * 60 * 1000;
+
+export const SESSION_END_REASONS = ["pagehide", "hidden", "reset", "consent"];
+
+export function isSessionExpired(session, now = new Date()) {
+  const lastSeen = new Date(session.lastSeenAt ?? session.startedAt).getTime();
+  return now.getTime() - lastSeen > SESSION_TIMEOUT_MS;
+}
+
+/**
+ * Time since lastSeenAt, split into { activeMs, idleMs } increments.
+ */
+export function creditGap(session, now, active) {
+  const lastSeen = new Date(session.lastSeenAt ?? session.startedAt).getTime();
+  const gap = Math.max(0, now.getTime() - lastSeen);
+  if (!active) return { activeMs: 0, idleMs: gap };
+
+  const credited = Math.min(gap, MAX_HEARTBEAT_GAP_MS);
+  return { activeMs: credited, idleMs: gap - credited };
+}
+
+/**
+ * @param session Session row (+ optional _count { games, events })
+ * @returns metrics for admin views; open sessions run until now
+ */
+export function sessionMetrics(session, now = new Date()) {
+  const start = new Date(session.startedAt).getTime();
+  const end = session.endedAt
+    ? new Date(session.endedAt).getTime()
+    : Math.max(start, now.getTime());
+
+  const durationMs = Math.max(0, end - start);
+  const tracked = (session.activeMs ?? 0) + (session.idleMs ?? 0);
+
+  return {
+    id: session.id,
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    endReason: session.endReason,
+    open: !session.endedAt,
+    durationMs,
+    activeMs: session.activeMs ?? 0,
+    idleMs: session.idleMs ?? 0,
+    activeRatio: tracked > 0 ? Math.round((session.activeMs / tracked) * 100) / 100 : null,
+    games: session._count?.games ?? 0,
+    events: session._count?.events ?? 0,
+  };
+}
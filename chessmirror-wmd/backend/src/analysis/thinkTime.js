@@ -0,0 +1,61 @@
+/**
+ * Think-time distribution of player moves, from SQL aggregates of the Move rows
+ * (src/segmentRules.js; percentiles interpolate between the closest ranks).
+ * Profile.avgThinkTimeMs is a running mean: one long pause shifts it for good.
+ * The median / percentiles are robust against that, the EWMA follows recent play.
+ * Time away from the tab is not thinking: linked moves use activeThinkTimeMs.
+ */
+
+// bucket upper bounds (ms); the last bucket is open-ended
+export const THINK_TIME_BUCKETS = [1000, 2000, 3000, 5000, 10000, 20000, 30000, 60000, 120000];
+
+const EWMA_ALPHA = 0.2; // weight of the newest move (~ the last 10 moves dominate)
+// moves the EWMA is computed over: older ones weigh < 0.8^50 ≈ 0.001%
+export const EWMA_MOVES = 50;
+
+// counts: Map bucket index -> moves; index = number of bounds <= the think time
+// (Postgres width_bucket(value, THINK_TIME_BUCKETS))
+export function thinkTimeHistogram(counts = new Map()) {
+  return [...THINK_TIME_BUCKETS, null].map((toMs, i) => ({
+    fromMs: i === 0 ? 0 : THINK_TIME_BUCKETS[i - 1],
+    toMs,
+    count: counts.get(i) ?? 0,
+  }));
+}
+
+/**
+ * @param agg     { samples, meanMs, medianMs, p10Ms, p90Ms, stdDevMs } over all player moves
+ * @param buckets Map bucket index -> moves
+ * @param recent  think times of the last EWMA_MOVES player moves, oldest first
+ * @returns { samples, meanMs, medianMs, p10Ms, p90Ms, stdDevMs, ewmaMs, histogram } (ms, null without moves)
+ */
+export function thinkTimeDistribution(agg, buckets = new Map(), recent = []) {
+  const n = agg?.samples ?? 0;
+
+  if (!n) {
+    return {
+      samples: 0,
+      meanMs: null,
+      medianMs: null,
+      p10Ms: null,
+      p90Ms: null,
+      stdDevMs: null,
+      ewmaMs: null,
+      histogram: thinkTimeHistogram(),
+    };
+  }
+
+  let ewma = recent[0] ?? null;
+  for (const v of recent.slice(1)) ewma = EWMA_ALPHA * v + (1 - EWMA_ALPHA) * ewma;
+
+  return {
+    samples: n,
+    meanMs: Math.round(agg.meanMs),
+    medianMs: Math.round(agg.medianMs),
+    p10Ms: Math.round(agg.p10Ms),
+    p90Ms: Math.round(agg.p90Ms),
+    stdDevMs: Math.round(agg.stdDevMs),
+    ewmaMs: ewma == null ? null : Math.round(ewma),
+    histogram: thinkTimeHistogram(buckets),
+  };
+}
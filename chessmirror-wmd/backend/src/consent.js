@@ -0,0 +1,130 @@
+import { prisma } from "./prisma.js";
+import { clientIp, hashIp } from "./util.js";
+import { consentCategoryFor } from "./eventTypes.js";
+import { issuePlayerSecret, secretMatches } from "./playerSecret.js";
+
+/**
+ * Player consent per uid (Consent rows: newest wins, older rows are the history).
+ * - gameplay:          games, moves, results + game / intervention / sync / error events
+ * - microInteractions: hovers, clicks, focus / visibility / idle events, sessions
+ * - deviceMeta:        timezone, language, user agent, screen size on User
+ * No row = nothing granted: ingestion refuses every category for that uid.
+ */
+
+export const CONSENT_VERSION = 1;
+export const CONSENT_CATEGORIES = ["gameplay", "microInteractions", "deviceMeta"];
+
+export const NO_CONSENT = {
+  decided: false,
+  version: null,
+  gameplay: false,
+  microInteractions: false,
+  deviceMeta: false,
+  updatedAt: null,
+};
+
+function toConsent(row) {
+  if (!row) return { ...NO_CONSENT };
+  return {
+    decided: true,
+    version: row.version,
+    gameplay: row.gameplay,
+    microInteractions: row.microInteractions,
+    deviceMeta: row.deviceMeta,
+    updatedAt: row.createdAt,
+  };
+}
+
+export async function consentForUser(userId) {
+  const row = await prisma.consent.findFirst({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+  });
+  return toConsent(row);
+}
+
+export async function consentForUid(uid) {
+  const row = await prisma.consent.findFirst({
+    where: { user: { uid } },
+    orderBy: { createdAt: "desc" },
+  });
+  return toConsent(row);
+}
+
+// device meta is only stored with deviceMeta consent
+export function metaIfAllowed(consent, meta) {
+  return consent?.deviceMeta ? meta ?? {} : {};
+}
+
+/**
+ * POST /consent body -> { categories } | { error }
+ * every category must be an explicit boolean (no pre-ticked defaults server-side)
+ */
+export function parseConsentBody(body) {
+  const { uid, version } = body || {};
+  if (!uid || typeof uid !== "string" || uid.length > 128) return { error: "uid required" };
+  if (!Number.isInteger(version) || version < 1) return { error: "version required" };
+
+  const categories = {};
+  for (const c of CONSENT_CATEGORIES) {
+    if (typeof body[c] !== "boolean") return { error: `${c} must be true or false` };
+    categories[c] = body[c];
+  }
+  return { uid, version, categories };
+}
+
+// anything stored for the user already (imports, data from before consent existed)
+async function hasStoredData(tx, userId) {
+  const where = { userId };
+  const select = { id: true };
+  return !!(
+    (await tx.consent.findFirst({ where, select })) ||
+    (await tx.game.findFirst({ where, select })) ||
+    (await tx.event.findFirst({ where, select }))
+  );
+}
+
+/**
+ * Store a consent decision (creates the user on first contact).
+ * - once the uid has a secret, the decision needs it (`secret`, from the Authorization header)
+ * - a secret is only issued to a uid without stored data: whoever posts first for an
+ *   existing uid must not get access to its data
+ * Withdrawing deviceMeta also clears the meta already stored.
+ * @returns {{ consent, secret: string | null } | { unauthorized: true }}
+ *   secret only on the first decision of a new uid
+ */
+export async function recordConsent(req, { uid, version, categories }, secret = null) {
+  return prisma.$transaction(async (tx) => {
+    await tx.user.createMany({ data: [{ uid }], skipDuplicates: true });
+    const user = await tx.user.findUnique({ where: { uid } });
+    if (user.secretHash && !secretMatches(user, secret)) return { unauthorized: true };
+
+    await tx.profile.createMany({ data: [{ userId: user.id }], skipDuplicates: true });
+    const issued =
+      !user.secretHash && !(await hasStoredData(tx, user.id))
+        ? await issuePlayerSecret(tx, user.id)
+        : null;
+
+    const row = await tx.consent.create({
+      data: {
+        userId: user.id,
+        version,
+        ...categories,
+        ipHash: hashIp(clientIp(req)),
+      },
+    });
+
+    if (!categories.deviceMeta) {
+      await tx.user.update({
+        where: { id: user.id },
+        data: { tz: null, lang: null, userAgent: null, screenW: null, screenH: null },
+      });
+    }
+
+    return { consent: toConsent(row), secret: issued };
+  });
+}
+
+export function allowsEvent(consent, type) {
+  return !!consent?.[consentCategoryFor(type)];
+}
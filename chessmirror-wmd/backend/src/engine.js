@@ -0,0 +1,95 @@
+import { Worker } from "node:worker_threads";
+
+/**
+ * Move evaluation, searches (analysis/engine.js) and SEE labels (analysis/moveQuality.js)
+ * off the API's event loop:
+ * - one worker thread, started on first use and restarted after a crash
+ * - jobs run one after another; a caller gives up after ENGINE_TIMEOUT_MS
+ *   (the worker still finishes the search, its result is dropped)
+ * - with ENGINE_MAX_QUEUE jobs waiting, new ones are refused right away
+ * Callers store the move without an eval / label when the worker fails or is busy.
+ */
+
+export const ENGINE_TIMEOUT_MS =
+  parseInt(process.env.ENGINE_TIMEOUT_MS ?? "5000", 10) || 5000;
+const ENGINE_MAX_QUEUE = parseInt(process.env.ENGINE_MAX_QUEUE ?? "50", 10) || 50;
+
+let worker = null;
+let nextId = 1;
+let queued = 0; // jobs posted to the worker and not answered yet (including timed-out ones)
+const pending = new Map(); // id -> { resolve, reject, timer }
+
+function settle(id, fn, value) {
+  const job = pending.get(id);
+  if (!job) return;
+  pending.delete(id);
+  clearTimeout(job.timer);
+  job[fn](value);
+}
+
+function failAll(err) {
+  for (const id of [...pending.keys()]) settle(id, "reject", err);
+}
+
+function ensureWorker() {
+  if (worker) return worker;
+  worker = new Worker(new URL("./analysis/engineWorker.js", import.meta.url));
+  worker.on("message", ({ id, result, error }) => {
+    queued = Math.max(0, queued - 1);
+    if (error) settle(id, "reject", new Error(error));
+    else settle(id, "resolve", result);
+  });
+  worker.on("error", (err) => {
+    console.error("ENGINE WORKER ERROR:", err);
+  });
+  worker.on("exit", (code) => {
+    worker = null;
+    queued = 0;
+    failAll(new Error(`engine worker exited (${code})`));
+  });
+  // never keeps the process alive (scripts exit when done)
+  worker.unref();
+  return worker;
+}
+
+// rejects on timeout, crash or full queue
+function runInWorker(task, args) {
+  if (queued >= ENGINE_MAX_QUEUE) {
+    return Promise.reject(new Error("engine queue full"));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    const timer = setTimeout(
+      () => settle(id, "reject", new Error(`engine timeout after ${ENGINE_TIMEOUT_MS}ms`)),
+      ENGINE_TIMEOUT_MS
+    );
+    pending.set(id, { resolve, reject, timer });
+    queued += 1;
+    ensureWorker().postMessage({ id, task, args });
+  });
+}
+
+/**
+ * analyseMove() in the worker thread.
+ * @returns Promise<{ evalBefore, evalAfter, cpLoss, bestMoveUci }>
+ */
+export function analyseMoveAsync(fenBefore, uci) {
+  return runInWorker("analyseMove", [fenBefore, uci]);
+}
+
+/**
+ * labelUciMove() (SEE quality label) in the worker thread.
+ * @returns Promise<{ quality, swing }>
+ */
+export function labelMoveAsync(fenBefore, uci) {
+  return runInWorker("labelMove", [fenBefore, uci]);
+}
+
+/**
+ * searchPosition() in the worker thread.
+ * @returns Promise<{ score, bestMove, depth, nodes, mate }>
+ */
+export function searchPositionAsync(fen, opts = {}) {
+  return runInWorker("search", [fen, opts]);
+}
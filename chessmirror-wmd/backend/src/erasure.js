@@ -0,0 +1,164 @@
+import crypto from "crypto";
+import { prisma } from "./prisma.js";
+
+/**
+ * Right to erasure for a uid:
+ * - erase:     the User row is deleted; the schema cascades to profile, sessions,
+ *              events, games + moves, consents and admin decisions
+ * - anonymise: games + moves (and the move statistics of the profile) move to a fresh
+ *              pseudonymous user without meta / secret / sessions, then the uid is erased
+ * Both leave an ErasureTombstone (sha256 of the uid) so the uid is never created again.
+ * Admin audit rows of the uid keep their trail under "erased:<sha256>" instead of the uid;
+ * nothing links the hash to the anonymised holder.
+ */
+
+export const ERASURE_MODES = ["erase", "anonymise"];
+
+export class UidErasedError extends Error {
+  constructor(uid) {
+    super(`uid ${uid} was erased`);
+    this.name = "UidErasedError";
+    this.status = 410;
+  }
+}
+
+export function hashUid(uid) {
+  return crypto.createHash("sha256").update(String(uid)).digest("hex");
+}
+
+// AdminAuditLog.targetUid of an erased uid
+export function erasedAuditTarget(uid) {
+  return `erased:${hashUid(uid)}`;
+}
+
+export async function isUidErased(uid) {
+  const tombstone = await prisma.erasureTombstone.findUnique({
+    where: { uidHash: hashUid(uid) },
+    select: { id: true },
+  });
+  return !!tombstone;
+}
+
+// idempotent: a second request for the same uid returns the pending one
+export async function requestErasure(uid, mode) {
+  const uidHash = hashUid(uid);
+  const pending = await prisma.erasureRequest.findFirst({
+    where: { uidHash, status: "pending" },
+  });
+  if (pending) return { request: pending, created: false };
+
+  const request = await prisma.erasureRequest.create({ data: { uid, uidHash, mode } });
+  return { request, created: true };
+}
+
+/**
+ * @param uid
+ * @param mode       erase | anonymise
+ * @param admin      { username } executing it (pending player requests are closed too)
+ * @returns {{ ok: false, status, error } | { ok: true, mode, removed, kept, anonUid }}
+ */
+export async function eraseUser({ uid, mode, admin }) {
+  if (!ERASURE_MODES.includes(mode)) {
+    return { ok: false, status: 400, error: `mode must be one of ${ERASURE_MODES.join(", ")}` };
+  }
+
+  const user = await prisma.user.findUnique({
+    where: { uid },
+    include: { profile: true },
+  });
+  if (!user) {
+    const erased = await isUidErased(uid);
+    return erased
+      ? { ok: false, status: 410, error: "Already erased" }
+      : { ok: false, status: 404, error: "Not found" };
+  }
+  if (user.anonymisedAt) {
+    return { ok: false, status: 400, error: "Already an anonymised holder" };
+  }
+
+  const [events, sessions, games, moves] = await Promise.all([
+    prisma.event.count({ where: { userId: user.id } }),
+    prisma.session.count({ where: { userId: user.id } }),
+    prisma.game.count({ where: { userId: user.id } }),
+    prisma.move.count({ where: { game: { userId: user.id } } }),
+  ]);
+
+  const uidHash = hashUid(uid);
+  const anonymise = mode === "anonymise";
+  const anonUid = anonymise ? `anon_${crypto.randomBytes(8).toString("hex")}` : null;
+
+  const requests = await prisma.erasureRequest.findMany({
+    where: { uidHash, status: "pending" },
+    select: { id: true },
+  });
+
+  const removed = anonymise ? { events, sessions } : { events, sessions, games, moves };
+  const kept = anonymise ? { games, moves } : {};
+
+  await prisma.$transaction(async (tx) => {
+    if (anonymise) {
+      const p = user.profile;
+      const holder = await tx.user.create({
+        data: {
+          uid: anonUid,
+          anonymisedAt: new Date(),
+          // move statistics stay for aggregates; the behavioural label does not
+          profile: {
+            create: p
+              ? {
+                  moveCount: p.moveCount,
+                  blunderCount: p.blunderCount,
+                  mistakeCount: p.mistakeCount,
+                  inaccuracyCount: p.inaccuracyCount,
+                  avgThinkTimeMs: p.avgThinkTimeMs,
+                  avgCpLoss: p.avgCpLoss,
+                  analysedMoveCount: p.analysedMoveCount,
+                  hintCount: p.hintCount,
+                }
+              : {},
+          },
+        },
+      });
+
+      await tx.game.updateMany({
+        where: { userId: user.id },
+        data: { userId: holder.id, sessionId: null },
+      });
+      await tx.move.updateMany({
+        where: { game: { userId: holder.id }, sessionId: { not: null } },
+        data: { sessionId: null },
+      });
+    }
+
+    await tx.adminAuditLog.updateMany({
+      where: { targetUid: uid },
+      data: { targetUid: erasedAuditTarget(uid) },
+    });
+    await tx.quarantinedEvent.deleteMany({ where: { uid } });
+    await tx.rateLimitHit.deleteMany({ where: { scope: "uid", key: uid } });
+    await tx.user.delete({ where: { id: user.id } });
+
+    await tx.erasureTombstone.create({
+      data: {
+        uidHash,
+        mode,
+        source: requests.length ? "player_request" : "admin",
+        adminUsername: admin?.username ?? null,
+        requestId: requests[0]?.id ?? null,
+        details: { removed, kept },
+      },
+    });
+
+    await tx.erasureRequest.updateMany({
+      where: { uidHash, status: "pending" },
+      data: {
+        status: "done",
+        uid: null,
+        handledAt: new Date(),
+        handledBy: admin?.username ?? null,
+      },
+    });
+  });
+
+  return { ok: true, mode, removed, kept, anonUid };
+}
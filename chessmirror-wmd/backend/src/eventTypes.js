@@ -0,0 +1,332 @@
+import { z } from "zod";
+
+/**
+ * Registry of tracked event types, one zod payload schema per type.
+ * - unknown keys in a payload are stripped (zod default)
+ * - unknown types / invalid payloads are rejected or quarantined (EVENT_UNKNOWN_POLICY)
+ * - the category decides which consent the uid needs (CONSENT_BY_CATEGORY)
+ * Add a type here before the frontend starts sending it.
+ */
+
+export const UNKNOWN_EVENT_POLICY =
+  process.env.EVENT_UNKNOWN_POLICY === "reject" ? "reject" : "quarantine";
+
+// event category -> consent category (consent.js); keep frontend lib/consent.js in sync
+const CONSENT_BY_CATEGORY = {
+  interaction: "microInteractions",
+  page: "microInteractions",
+  game: "gameplay",
+  intervention: "gameplay",
+  sync: "gameplay",
+  error: "gameplay",
+};
+
+const square = z.string().regex(/^[a-h][1-8]$/);
+const uid = z.string().max(128);
+const gameId = z.string().max(128).nullable().optional();
+const message = z.string().max(2000);
+const errorPayload = z.object({ message, reason: z.string().max(64).optional() });
+
+const fromTo = z.object({
+  from: square,
+  to: square,
+  piece: z.string().max(8).optional(),
+});
+
+const EVENT_TYPES = {
+  // ----- board micro-interactions -----
+  hover: {
+    category: "interaction",
+    description: "Pointer over a square (client downsampled)",
+    payload: z.object({ square }),
+  },
+  square_click: {
+    category: "interaction",
+    description: "Square clicked",
+    payload: z.object({ square }),
+  },
+  square_right_click: {
+    category: "interaction",
+    description: "Square right-clicked",
+    payload: z.object({ square }),
+  },
+  piece_pickup: {
+    category: "interaction",
+    description: "Piece picked up (drag started)",
+    payload: z.object({ square, piece: z.string().max(8).optional() }),
+  },
+  drop_attempt: {
+    category: "interaction",
+    description: "Piece dropped on a square (before legality check)",
+    payload: fromTo,
+  },
+  illegal_move: {
+    category: "interaction",
+    description: "Dropped move rejected by chess.js",
+    payload: fromTo,
+  },
+  move_blocked_ui_lock: {
+    category: "interaction",
+    description: "Move attempt while the board was locked",
+    payload: z.object({
+      reportLocked: z.boolean(),
+      botThinking: z.boolean(),
+      reportOpen: z.boolean(),
+    }),
+  },
+
+  // ----- confirm modal / hints / report -----
+  confirm_shown: {
+    category: "intervention",
+    description: "Confirm-move prompt shown",
+    payload: z.object({ uid, from: square, to: square }),
+  },
+  confirm_accept: {
+    category: "intervention",
+    description: "Confirm-move prompt accepted",
+    payload: z.object({ uid }),
+  },
+  confirm_cancel: {
+    category: "intervention",
+    description: "Confirm-move prompt cancelled",
+    payload: z.object({ uid }),
+  },
+  confirm_cancel_outside: {
+    category: "intervention",
+    description: "Confirm-move prompt dismissed by clicking outside",
+    payload: z.object({ uid }),
+  },
+  hint_used: {
+    category: "intervention",
+    description: "Hint panel opened (counts towards Profile.hintCount)",
+    payload: z.object({
+      kind: z.string().max(64),
+      gameId: z.string().max(128).nullable().optional(),
+      segment: z.string().max(64).nullable().optional(),
+      hoverBurst: z.number().int().min(0).nullable().optional(),
+      thinkTimeMs: z.number().min(0).nullable().optional(),
+    }),
+  },
+  report_open: {
+    category: "intervention",
+    description: "Post-game / threshold report shown",
+    payload: z.object({
+      uid,
+      reason: z.string().max(32),
+      outcome: z.string().max(32),
+      ply: z.number().int().min(0),
+      fullMoves: z.number().int().min(0),
+      isFinal: z.boolean(),
+    }),
+  },
+  report_close_continue: {
+    category: "intervention",
+    description: "Report closed to keep playing",
+    payload: z.object({ uid, locked: z.boolean() }),
+  },
+  interventions_error: {
+    category: "error",
+    description: "Loading interventions failed",
+    payload: errorPayload,
+  },
+
+  // ----- game lifecycle -----
+  game_start: {
+    category: "game",
+    description: "Server game created",
+    payload: z.object({ uid, gameId, force: z.boolean().optional() }),
+  },
+  game_start_error: {
+    category: "error",
+    description: "Creating a server game failed",
+    payload: errorPayload,
+  },
+  game_resign: {
+    category: "game",
+    description: "Player resigned",
+    payload: z.object({ uid, gameId }),
+  },
+  game_end_saved: {
+    category: "game",
+    description: "Game result stored by /game/end",
+    payload: z.object({
+      uid,
+      gameId,
+      reason: z.string().max(32),
+      result: z.string().max(16).nullable().optional(),
+    }),
+  },
+  game_end_error: {
+    category: "error",
+    description: "/game/end failed",
+    payload: errorPayload,
+  },
+  game_reset_new_uid: {
+    category: "game",
+    description: "New game started with a fresh uid",
+    payload: z.object({ oldUid: uid, newUid: uid }),
+  },
+  bot_move: {
+    category: "game",
+    description: "Bot picked and played a move (botMode used by PGN export)",
+    payload: z.object({
+      uid,
+      gameId,
+      botMode: z.string().max(32),
+      botIntent: z.string().max(64).optional(),
+      thinkMs: z.number().int().min(0),
+      fenBefore: z.string().max(128),
+      fenAfter: z.string().max(128),
+      uci: z.string().min(4).max(5),
+      san: z.string().max(16),
+      plyAfter: z.number().int().min(0),
+      playerLast: z.record(z.any()).nullable().optional(),
+    }),
+  },
+  bot_move_saved: {
+    category: "game",
+    description: "Bot move stored",
+    payload: z.object({
+      uid,
+      gameId,
+      ply: z.number().int().min(0),
+      botMode: z.string().max(32),
+    }),
+  },
+  bot_move_error: {
+    category: "error",
+    description: "Bot move failed",
+    payload: errorPayload,
+  },
+  bot_move_save_error: {
+    category: "error",
+    description: "Storing the bot move failed",
+    payload: errorPayload,
+  },
+  move_saved: {
+    category: "game",
+    description: "Player move stored",
+    payload: z.object({
+      quality: z.string().max(16).nullable().optional(),
+      thinkTimeMs: z.number().int().min(0),
+    }),
+  },
+  move_save_error: {
+    category: "error",
+    description: "Storing a player move failed",
+    payload: errorPayload,
+  },
+  move_queued: {
+    category: "sync",
+    description: "Move put in the durable client queue",
+    payload: z.object({
+      uid,
+      ply: z.number().int().min(0),
+      isBot: z.boolean(),
+      reason: z.string().max(32),
+    }),
+  },
+  pending_moves_flushed: {
+    category: "sync",
+    description: "Durable move queue drained",
+    payload: z.object({
+      uid,
+      sent: z.number().int(),
+      left: z.number().int().min(0),
+    }),
+  },
+  profile_fetch_error: {
+    category: "error",
+    description: "Loading the profile failed",
+    payload: errorPayload,
+  },
+
+  // ----- page / attention -----
+  nav: {
+    category: "page",
+    description: "Route change",
+    payload: z.object({ path: z.string().max(256) }),
+  },
+  window_blur: {
+    category: "page",
+    description: "Window lost focus",
+    payload: z.object({}),
+  },
+  window_focus: {
+    category: "page",
+    description: "Window got focus",
+    payload: z.object({}),
+  },
+  visibility: {
+    category: "page",
+    description: "Tab visibility changed",
+    payload: z.object({ state: z.enum(["visible", "hidden", "prerender"]) }),
+  },
+  idle_start: {
+    category: "page",
+    description: "No input for a while (tracker idle detection)",
+    payload: z.object({ afterMs: z.number().int().min(0) }),
+  },
+  idle_end: {
+    category: "page",
+    description: "Input again after idle",
+    payload: z.object({}),
+  },
+};
+
+export function isKnownEventType(type) {
+  return Object.hasOwn(EVENT_TYPES, type);
+}
+
+// unregistered types are almost always new UI tracking -> treated as micro-interactions
+export function consentCategoryFor(type) {
+  if (!isKnownEventType(type)) return "microInteractions";
+  return CONSENT_BY_CATEGORY[EVENT_TYPES[type].category];
+}
+
+/**
+ * @returns {{ ok: true, payload: object } | { ok: false, reason: string, details?: object }}
+ */
+export function checkEventPayload(type, payload) {
+  if (!isKnownEventType(type)) return { ok: false, reason: "unknown_type" };
+
+  const parsed = EVENT_TYPES[type].payload.safeParse(payload ?? {});
+  if (!parsed.success) {
+    return { ok: false, reason: "invalid_payload", details: parsed.error.flatten() };
+  }
+  return { ok: true, payload: parsed.data };
+}
+
+// zod schema -> { field: "string?" } for the admin listing
+function describeField(schema) {
+  let s = schema;
+  let optional = false;
+  while (["ZodOptional", "ZodNullable", "ZodDefault"].includes(s._def.typeName)) {
+    optional = true;
+    s = s._def.innerType;
+  }
+
+  const name = {
+    ZodString: "string",
+    ZodNumber: "number",
+    ZodBoolean: "boolean",
+    ZodEnum: () => s._def.values.join("|"),
+    ZodRecord: "object",
+    ZodObject: "object",
+  }[s._def.typeName];
+
+  const label = typeof name === "function" ? name() : name ?? "any";
+  return optional ? `${label}?` : label;
+}
+
+export function listEventTypes() {
+  return Object.entries(EVENT_TYPES).map(([type, def]) => ({
+    type,
+    category: def.category,
+    consent: CONSENT_BY_CATEGORY[def.category],
+    description: def.description,
+    fields: Object.fromEntries(
+      Object.entries(def.payload.shape).map(([k, v]) => [k, describeField(v)])
+    ),
+  }));
+}
@@ -0,0 +1,113 @@
+import { prisma } from "./prisma.js";
+import {
+  DROP_MATCH_MS,
+  EXPLORATION_EVENT_TYPES,
+  explorationFeatures,
+} from "./analysis/exploration.js";
+import { ATTENTION_EVENT_TYPES, moveAttention } from "./analysis/attention.js";
+
+/**
+ * Links stored micro-events to recent player moves and stores the features on Move:
+ * - exploration (analysis/exploration.js): hovers, clicks, pick-ups
+ * - attention (analysis/attention.js): away time, active think time, played after returning;
+ *   Profile.avgThinkTimeMs is corrected by the away time
+ * Events are batched by the tracker, so a move and its events arrive in either order:
+ * linking runs after a player move is recorded and after a batch with a drop_attempt,
+ * and a move stays unlinked until its drop_attempt is there - for LINK_GRACE_MS at most.
+ * After that it is given up: explorationLinkedAt is set with the features left null.
+ * Moves without droppedAt (imports, bot moves, older clients, no microInteractions consent)
+ * are never linked.
+ */
+
+// tracker batches arrive within seconds (FLUSH_MS); the offline queue may need longer
+const LINK_GRACE_MS = 10 * 60 * 1000;
+const LINK_BATCH = 50;
+
+// away time no longer counts as thinking: the running mean loses away / moveCount
+async function correctAvgThinkTime(tx, userId, awayMs) {
+  const profile = await tx.profile.findUnique({ where: { userId } });
+  if (!profile?.moveCount) return;
+  await tx.profile.update({
+    where: { userId },
+    data: {
+      avgThinkTimeMs: Math.max(0, Math.round(profile.avgThinkTimeMs - awayMs / profile.moveCount)),
+    },
+  });
+}
+
+/**
+ * @returns number of moves linked
+ */
+export async function linkMoveEvents(userId) {
+  const unlinked = {
+    isBot: false,
+    droppedAt: { not: null },
+    explorationLinkedAt: null,
+    game: { userId },
+  };
+  const graceStart = new Date(Date.now() - LINK_GRACE_MS);
+
+  // drop_attempt never arrived: stop looking (server clock on both sides)
+  await prisma.move.updateMany({
+    where: { ...unlinked, createdAt: { lt: graceStart } },
+    data: { explorationLinkedAt: new Date() },
+  });
+
+  const moves = await prisma.move.findMany({
+    where: { ...unlinked, createdAt: { gte: graceStart } },
+    orderBy: { createdAt: "asc" },
+    take: LINK_BATCH,
+  });
+
+  let linked = 0;
+  for (const move of moves) {
+    const droppedAt = move.droppedAt.getTime();
+    const start = new Date(droppedAt - (move.thinkTimeMs ?? 0));
+    const [events, initial] = await Promise.all([
+      prisma.event.findMany({
+        where: {
+          userId,
+          sessionId: move.sessionId,
+          type: { in: [...EXPLORATION_EVENT_TYPES, ...ATTENTION_EVENT_TYPES] },
+          ts: { gte: new Date(start.getTime() - DROP_MATCH_MS), lte: move.droppedAt },
+        },
+        orderBy: { ts: "asc" },
+        select: { type: true, ts: true, payload: true },
+      }),
+      // focus state when the think time started
+      prisma.event.findFirst({
+        where: {
+          userId,
+          sessionId: move.sessionId,
+          type: { in: ATTENTION_EVENT_TYPES },
+          ts: { lt: start },
+        },
+        orderBy: { ts: "desc" },
+        select: { type: true, ts: true, payload: true },
+      }),
+    ]);
+
+    const features = explorationFeatures(move, events);
+    if (!features) continue;
+
+    const attention = moveAttention(
+      move,
+      events.filter((e) => ATTENTION_EVENT_TYPES.includes(e.type)),
+      initial
+    );
+
+    // a concurrent run may have linked it meanwhile: only the run that sets
+    // explorationLinkedAt corrects the profile
+    const won = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.move.updateMany({
+        where: { id: move.id, explorationLinkedAt: null },
+        data: { ...features, ...attention, explorationLinkedAt: new Date() },
+      });
+      if (count !== 1) return false;
+      if (attention.awayMs > 0) await correctAvgThinkTime(tx, userId, attention.awayMs);
+      return true;
+    });
+    if (won) linked += 1;
+  }
+  return linked;
+}
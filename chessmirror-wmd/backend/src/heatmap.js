@@ -0,0 +1,158 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./prisma.js";
+
+/**
+ * Hover heatmap: hover events ({ square }) counted per square and normalised per player move.
+ * Scope = one user (or everyone) narrowed by game, session and/or time range.
+ * Everything is on the client clock (Event.ts, Move.droppedAt), never against server times:
+ * - game:    hover events carry no gameId, so the game's window is its player moves' think time
+ *            (first droppedAt - thinkTimeMs .. last droppedAt); games without droppedAt
+ *            (imports, older clients) have no hover window
+ * - session: Event.sessionId / Move.sessionId
+ * - from/to: Event.ts / Move.droppedAt (moves without droppedAt only count without a range)
+ * Rolled-up days (src/retention.js) only know user + day, so they are added when there is no
+ * game / session filter, whole days at a time.
+ */
+
+const SQUARES = /^[a-h][1-8]$/;
+
+function parseDate(value) {
+  if (value == null || value === "") return { ok: true, date: null };
+  const date = new Date(String(value));
+  return Number.isNaN(date.getTime()) ? { ok: false } : { ok: true, date };
+}
+
+const later = (a, b) => (!a ? b : !b ? a : a > b ? a : b);
+const earlier = (a, b) => (!a ? b : !b ? a : a < b ? a : b);
+
+function utcDay(date) {
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+// client-clock window of one game: { game, from, to } (from/to null without droppedAt)
+async function gameWindow(userId, gameId) {
+  const game = await prisma.game.findFirst({
+    where: { id: gameId, ...(userId ? { userId } : {}) },
+    select: { id: true, userId: true },
+  });
+  if (!game) return null;
+
+  const where = { gameId, isBot: false, droppedAt: { not: null } };
+  const select = { droppedAt: true, thinkTimeMs: true };
+  const [first, last] = await Promise.all([
+    prisma.move.findFirst({ where, select, orderBy: { droppedAt: "asc" } }),
+    prisma.move.findFirst({ where, select, orderBy: { droppedAt: "desc" } }),
+  ]);
+  if (!first) return { game, from: null, to: null };
+  return {
+    game,
+    from: new Date(first.droppedAt.getTime() - first.thinkTimeMs),
+    // inclusive: the last drop itself
+    to: new Date(last.droppedAt.getTime() + 1),
+  };
+}
+
+/**
+ * @param filters { userId?, gameId?, sessionId?, from?, to? } (from/to: ISO strings or dates)
+ * @returns {{ ok: true, heatmap } | { ok: false, status, error }}
+ *   heatmap = { total, rolledUp, moves, hoversPerMove, max, squares: [{ square, count, perMove, share }] }
+ */
+export async function hoverHeatmap({ userId = null, gameId = null, sessionId = null, from, to } = {}) {
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (!fromDate.ok || !toDate.ok) return { ok: false, status: 400, error: "Invalid from / to" };
+
+  // hover window (Event.ts); the requested range alone also bounds the moves (droppedAt)
+  let since = fromDate.date;
+  let until = toDate.date;
+  let eventUserId = userId;
+
+  if (gameId) {
+    const window = await gameWindow(userId, gameId);
+    if (!window) return { ok: false, status: 404, error: "Game not found" };
+    if (!window.from) {
+      return { ok: false, status: 422, error: "Game has no client move times (imported or older client)" };
+    }
+    since = later(since, window.from);
+    until = earlier(until, window.to);
+    eventUserId = window.game.userId;
+  }
+
+  if (sessionId) {
+    const session = await prisma.session.findFirst({
+      where: { id: sessionId, ...(userId ? { userId } : {}) },
+      select: { id: true },
+    });
+    if (!session) return { ok: false, status: 404, error: "Session not found" };
+  }
+
+  const conditions = [Prisma.sql`"type" = 'hover'`, Prisma.sql`"payload"->>'square' IS NOT NULL`];
+  if (eventUserId) conditions.push(Prisma.sql`"userId" = ${eventUserId}`);
+  if (sessionId) conditions.push(Prisma.sql`"sessionId" = ${sessionId}`);
+  if (since) conditions.push(Prisma.sql`"ts" >= ${since}`);
+  if (until) conditions.push(Prisma.sql`"ts" < ${until}`);
+
+  const rows = await prisma.$queryRaw`
+    SELECT "payload"->>'square' AS "square", COUNT(*)::int AS "count"
+    FROM "Event"
+    WHERE ${Prisma.join(conditions, " AND ")}
+    GROUP BY 1`;
+
+  const counts = new Map();
+  for (const r of rows) {
+    if (SQUARES.test(r.square)) counts.set(r.square, r.count);
+  }
+
+  let rolledUp = 0;
+  if (!gameId && !sessionId) {
+    const day = {};
+    if (since) day.gte = utcDay(since);
+    if (until) day.lte = utcDay(until);
+    const rollups = await prisma.eventRollup.findMany({
+      where: { type: "hover", ...(userId ? { userId } : {}), ...(since || until ? { day } : {}) },
+      select: { squares: true },
+    });
+    for (const r of rollups) {
+      for (const [square, n] of Object.entries(r.squares ?? {})) {
+        if (!SQUARES.test(square)) continue;
+        counts.set(square, (counts.get(square) ?? 0) + n);
+        rolledUp += n;
+      }
+    }
+  }
+
+  const droppedAt = {};
+  if (fromDate.date) droppedAt.gte = fromDate.date;
+  if (toDate.date) droppedAt.lt = toDate.date;
+  const moves = await prisma.move.count({
+    where: {
+      isBot: false,
+      ...(gameId ? { gameId } : {}),
+      ...(sessionId ? { sessionId } : {}),
+      ...(userId ? { game: { userId } } : {}),
+      ...(fromDate.date || toDate.date ? { droppedAt } : {}),
+    },
+  });
+
+  const total = [...counts.values()].reduce((a, b) => a + b, 0);
+  const squares = [...counts.entries()]
+    .map(([square, count]) => ({
+      square,
+      count,
+      perMove: moves > 0 ? Math.round((count / moves) * 100) / 100 : null,
+      share: total > 0 ? Math.round((count / total) * 1000) / 10 : 0,
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    ok: true,
+    heatmap: {
+      total,
+      rolledUp,
+      moves,
+      hoversPerMove: moves > 0 ? Math.round((total / moves) * 10) / 10 : null,
+      max: squares[0]?.count ?? 0,
+      squares,
+    },
+  };
+}
@@ -3,9 +3,14 @@ import cors from "cors";
 import helmet from "helmet";
 import morgan from "morgan";
 import { router } from "./routes.js";
+import { startRetentionSchedule } from "./retention.js";
+import { trustProxySetting } from "./util.js";
 
 const app = express();
 
+// client IPs (rate limits, ip hashes) come from req.ip: only trusted proxies may set them
+app.set("trust proxy", trustProxySetting(process.env.TRUST_PROXY));
+
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: "200kb" }));
@@ -18,4 +23,5 @@ app.use("/api", router);
 const port = process.env.API_PORT ? parseInt(process.env.API_PORT, 10) : 3001;
 app.listen(3001, () => {
   console.log(`API listening on http://localhost:${port} (container port 3001)`);
+  startRetentionSchedule();
 });
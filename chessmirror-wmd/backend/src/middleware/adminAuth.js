@@ -1,8 +1,33 @@
-export function adminAuth(req, res, next) {
-  const expected = process.env.ADMIN_PASSWORD || "admin123";
-  const got = req.headers["x-admin-password"];
-  if (!got || got !== expected) {
-    return res.status(401).json({ error: "Unauthorized" });
+import { adminForToken, hasRole } from "../adminAccounts.js";
+
+// Authorization: Bearer <token from POST /api/admin/login>
+export async function adminAuth(req, res, next) {
+  try {
+    const header = req.headers.authorization ?? "";
+    const token = header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+
+    const found = await adminForToken(token);
+    if (!found) return res.status(401).json({ error: "Unauthorized" });
+
+    req.admin = {
+      id: found.admin.id,
+      username: found.admin.username,
+      role: found.admin.role,
+    };
+    req.adminSessionId = found.session.id;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
   }
-  next();
+}
+
+// after adminAuth: 403 unless the admin has at least `role` (see ADMIN_ROLES)
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.admin?.role, role)) {
+      return res.status(403).json({ error: "Forbidden", requiredRole: role });
+    }
+    next();
+  };
 }
@@ -0,0 +1,23 @@
+import { userForPlayerSecret } from "../playerSecret.js";
+
+export function bearerSecret(req) {
+  const header = req.headers.authorization ?? "";
+  return header.startsWith("Bearer ") ? header.slice(7).trim() : null;
+}
+
+// Authorization: Bearer <secret from POST /api/consent> for the :uid in the path
+export async function playerAuth(req, res, next) {
+  try {
+    const secret = bearerSecret(req);
+
+    // unknown uid and wrong secret look the same (no uid probing)
+    const user = await userForPlayerSecret(req.params.uid, secret);
+    if (!user) return res.status(401).json({ error: "Unauthorized" });
+
+    req.player = user;
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+}
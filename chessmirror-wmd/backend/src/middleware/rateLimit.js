@@ -0,0 +1,124 @@
+import { prisma } from "../prisma.js";
+import { clientIp, hashIp } from "../util.js";
+
+/**
+ * Token-bucket rate limiting per uid AND per hashed IP (in memory, one API process).
+ * - every route group has its own budget: capacity = burst, perSec = sustained rate
+ * - a request must fit in both buckets, otherwise 429 + Retry-After
+ * - rejections are counted per (route, scope, key) and flushed to RateLimitHit
+ *   so admins can spot abusive clients
+ */
+
+export const RATE_BUDGETS = {
+  // cost = number of events (hover bursts arrive as batches)
+  track: { uid: { capacity: 300, perSec: 20 }, ip: { capacity: 600, perSec: 40 } },
+  // every player move runs the engine
+  move: { uid: { capacity: 30, perSec: 1 }, ip: { capacity: 60, perSec: 2 } },
+  game: { uid: { capacity: 20, perSec: 0.5 }, ip: { capacity: 40, perSec: 1 } },
+  session: { uid: { capacity: 20, perSec: 0.2 }, ip: { capacity: 60, perSec: 1 } },
+  consent: { uid: { capacity: 10, perSec: 0.1 }, ip: { capacity: 30, perSec: 0.5 } },
+  // full data export: a few per minute is plenty
+  export: { uid: { capacity: 3, perSec: 0.05 }, ip: { capacity: 10, perSec: 0.1 } },
+  erasure: { uid: { capacity: 3, perSec: 0.01 }, ip: { capacity: 10, perSec: 0.05 } },
+  // admin login has no uid: IP only (lockout handles per-account guessing)
+  login: { ip: { capacity: 10, perSec: 0.05 } },
+};
+
+const FLUSH_INTERVAL_MS = 30000;
+const BUCKET_IDLE_MS = 10 * 60 * 1000;
+
+const buckets = new Map(); // `${route}|${scope}|${key}` -> { tokens, at }
+const pendingHits = new Map(); // same key -> { route, scope, key, count, lastAt }
+
+function refill(id, budget, now) {
+  const b = buckets.get(id) ?? { tokens: budget.capacity, at: now };
+  b.tokens = Math.min(budget.capacity, b.tokens + ((now - b.at) / 1000) * budget.perSec);
+  b.at = now;
+  buckets.set(id, b);
+  return b;
+}
+
+function countHit(route, scope, key) {
+  const id = `${route}|${scope}|${key}`;
+  const hit = pendingHits.get(id) ?? { route, scope, key, count: 0, lastAt: null };
+  hit.count += 1;
+  hit.lastAt = new Date();
+  pendingHits.set(id, hit);
+}
+
+/**
+ * Write pending rejection counts to the DB (also called before admin reads).
+ */
+export async function flushRateLimitHits() {
+  const hits = [...pendingHits.values()];
+  pendingHits.clear();
+
+  for (const h of hits) {
+    await prisma.rateLimitHit.upsert({
+      where: { route_scope_key: { route: h.route, scope: h.scope, key: h.key } },
+      create: { route: h.route, scope: h.scope, key: h.key, count: h.count, lastAt: h.lastAt },
+      update: { count: { increment: h.count }, lastAt: h.lastAt },
+    });
+  }
+}
+
+setInterval(() => {
+  flushRateLimitHits().catch((err) => console.error("RATE LIMIT FLUSH ERROR:", err));
+
+  // forget buckets that are full again
+  const now = Date.now();
+  for (const [id, b] of buckets) {
+    if (now - b.at > BUCKET_IDLE_MS) buckets.delete(id);
+  }
+}, FLUSH_INTERVAL_MS).unref();
+
+/**
+ * @param route   key of RATE_BUDGETS
+ * @param uidCosts (req) => Map<uid, cost>; default: body.uid costs 1
+ */
+export function rateLimit(route, { uidCosts } = {}) {
+  const budget = RATE_BUDGETS[route];
+
+  return (req, res, next) => {
+    const now = Date.now();
+
+    const costs =
+      uidCosts?.(req) ??
+      new Map(typeof req.body?.uid === "string" ? [[req.body.uid, 1]] : []);
+    const total = [...costs.values()].reduce((acc, n) => acc + n, 0) || 1;
+
+    const checks = [
+      { scope: "ip", key: hashIp(clientIp(req)), cost: total, budget: budget.ip },
+      ...[...costs].map(([uid, cost]) => ({ scope: "uid", key: uid, cost, budget: budget.uid })),
+    ].filter((c) => c.key);
+
+    // check every bucket first so a rejected request costs nothing
+    let retryAfterMs = 0;
+    let blocked = null;
+    for (const c of checks) {
+      c.bucket = refill(`${route}|${c.scope}|${c.key}`, c.budget, now);
+      // a batch larger than the burst only has to wait for a full bucket
+      const cost = Math.min(c.cost, c.budget.capacity);
+      if (c.bucket.tokens < cost) {
+        const wait = Math.ceil(((cost - c.bucket.tokens) / c.budget.perSec) * 1000);
+        if (wait > retryAfterMs) {
+          retryAfterMs = wait;
+          blocked = c;
+        }
+      }
+    }
+
+    if (blocked) {
+      countHit(route, blocked.scope, blocked.key);
+      res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+      return res.status(429).json({
+        error: "Too many requests",
+        scope: blocked.scope,
+        retryAfterMs,
+      });
+    }
+
+    for (const c of checks) c.bucket.tokens -= Math.min(c.cost, c.budget.capacity);
+    next();
+  };
+}
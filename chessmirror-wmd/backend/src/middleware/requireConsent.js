@@ -0,0 +1,25 @@
+import { consentForUid } from "../consent.js";
+
+/**
+ * 403 unless the uid in the body granted `category` (see consent.js).
+ * Sets req.consent for the route (e.g. metaIfAllowed).
+ */
+export function requireConsent(category) {
+  return async (req, res, next) => {
+    try {
+      const uid = req.body?.uid;
+      if (!uid || typeof uid !== "string") return res.status(400).json({ error: "uid required" });
+
+      const consent = await consentForUid(uid);
+      if (!consent[category]) {
+        return res.status(403).json({ error: "Consent required", consent: category });
+      }
+
+      req.consent = consent;
+      next();
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "Server error" });
+    }
+  };
+}
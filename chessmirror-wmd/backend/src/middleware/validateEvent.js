@@ -1,7 +1,8 @@
 import { z } from "zod";
 import { clamp } from "../util.js";
+import { checkEventPayload, UNKNOWN_EVENT_POLICY } from "../eventTypes.js";
 
-const EventSchema = z.object({
+export const EventSchema = z.object({
   uid: z.string().min(3).max(128),
   sessionId: z.string().min(3).max(128),
   ts: z.number().int().positive(), // ms since epoch
@@ -18,16 +19,14 @@ const EventSchema = z.object({
     .optional(),
 });
 
-export function validateEvent(req, res, next) {
-  const parsed = EventSchema.safeParse(req.body);
-  if (!parsed.success) {
-    return res
-      .status(400)
-      .json({ error: "Invalid event", details: parsed.error.flatten() });
-  }
+// one flush of the buffered tracker
+export const MAX_BATCH_EVENTS = 200;
 
-  const e = parsed.data;
+const BatchSchema = z.object({
+  events: z.array(EventSchema).min(1).max(MAX_BATCH_EVENTS),
+});
 
+function cleanEvent(e) {
   // ✅ force payload to be an object
   if (!e.payload || typeof e.payload !== "object") e.payload = {};
 
@@ -47,6 +46,76 @@ export function validateEvent(req, res, next) {
     })
   );
 
-  req.cleanedEvent = e;
+  return e;
+}
+
+// registry check (eventTypes.js): payload replaced by the parsed one
+function checkRegistered(e) {
+  const check = checkEventPayload(e.type, e.payload);
+  if (check.ok) return { event: { ...e, payload: check.payload } };
+  return { rejected: { event: e, reason: check.reason, details: check.details } };
+}
+
+/**
+ * Sets req.cleanedEvent, or (quarantine policy) req.quarantined = [item]
+ * for unknown types / invalid payloads.
+ */
+export function validateEvent(req, res, next) {
+  const parsed = EventSchema.safeParse(req.body);
+  if (!parsed.success) {
+    return res
+      .status(400)
+      .json({ error: "Invalid event", details: parsed.error.flatten() });
+  }
+
+  const { event, rejected } = checkRegistered(cleanEvent(parsed.data));
+  if (rejected && UNKNOWN_EVENT_POLICY === "reject") {
+    return res.status(400).json({
+      error: rejected.reason === "unknown_type" ? "Unknown event type" : "Invalid event payload",
+      type: rejected.event.type,
+      details: rejected.details,
+    });
+  }
+
+  req.cleanedEvent = event ?? null;
+  req.quarantined = rejected ? [rejected] : [];
+  next();
+}
+
+/**
+ * Body: { events: [...] } or a bare array.
+ * navigator.sendBeacon posts text/plain (no CORS preflight), so a string body
+ * is parsed here.
+ */
+export function validateEventBatch(req, res, next) {
+  let body = req.body;
+  if (typeof body === "string") {
+    try {
+      body = JSON.parse(body);
+    } catch {
+      return res.status(400).json({ error: "Invalid JSON" });
+    }
+  }
+
+  const parsed = BatchSchema.safeParse(Array.isArray(body) ? { events: body } : body);
+  if (!parsed.success) {
+    return res
+      .status(400)
+      .json({ error: "Invalid event batch", details: parsed.error.flatten() });
+  }
+
+  // one bad event must not cost the whole batch (the tracker queue would drop it)
+  req.cleanedEvents = [];
+  req.quarantined = [];
+  req.rejectedEvents = [];
+
+  parsed.data.events.forEach((raw, index) => {
+    const { event, rejected } = checkRegistered(cleanEvent(raw));
+    if (event) req.cleanedEvents.push(event);
+    else if (UNKNOWN_EVENT_POLICY === "reject") {
+      req.rejectedEvents.push({ index, type: raw.type, reason: rejected.reason });
+    } else req.quarantined.push(rejected);
+  });
+
   next();
 }
@@ -0,0 +1,37 @@
+import crypto from "crypto";
+import { prisma } from "./prisma.js";
+import { hashToken } from "./adminAccounts.js";
+
+/**
+ * Per-uid secret so a player (and only that player) can fetch their own data.
+ * - issued once, on the first consent for a uid without stored data; only its sha256 is stored
+ * - once set, consent changes for the uid need it too (POST /api/consent)
+ * - the client keeps it next to the uid (lib/uid.js); lost secret = no self-service export
+ */
+
+// inside the consent transaction; null when the uid already has a secret
+export async function issuePlayerSecret(tx, userId) {
+  const secret = crypto.randomBytes(24).toString("base64url");
+  const { count } = await tx.user.updateMany({
+    where: { id: userId, secretHash: null },
+    data: { secretHash: hashToken(secret) },
+  });
+  return count === 1 ? secret : null;
+}
+
+// presented secret matches the user's (false without either)
+export function secretMatches(user, secret) {
+  if (!user?.secretHash || !secret) return false;
+
+  const expected = Buffer.from(user.secretHash, "hex");
+  const given = Buffer.from(hashToken(secret), "hex");
+  return crypto.timingSafeEqual(expected, given);
+}
+
+// uid + presented secret -> user (null when unknown uid, no secret or mismatch)
+export async function userForPlayerSecret(uid, secret) {
+  if (!uid || !secret) return null;
+
+  const user = await prisma.user.findUnique({ where: { uid } });
+  return secretMatches(user, secret) ? user : null;
+}
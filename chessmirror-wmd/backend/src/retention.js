@@ -0,0 +1,216 @@
+import { prisma } from "./prisma.js";
+import { listEventTypes } from "./eventTypes.js";
+
+/**
+ * Retention of raw Event rows, per event type:
+ * - days = how long raw rows are kept; null = kept forever
+ * - the scheduled job (in the API process) rolls expired rows up into EventRollup
+ *   (count per user / UTC day / type) and deletes them in the same statement
+ * - cutoffs are aligned to UTC midnight so a day is always rolled up as a whole
+ * Game / intervention / sync events stay: profiles, reports and exports are built from them.
+ */
+
+const DEFAULT_TYPE_DAYS = {
+  hover: 14,
+  nav: 90,
+};
+
+const DEFAULT_CATEGORY_DAYS = {
+  interaction: 30,
+  page: 90,
+  error: 90,
+};
+
+export const RETENTION_INTERVAL_HOURS =
+  parseFloat(process.env.RETENTION_INTERVAL_HOURS ?? "24") || 24;
+
+const FIRST_RUN_DELAY_MS = 60 * 1000;
+const BATCH_SIZE = 5000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "hover=7,page=60,error=keep": event type or category -> days
+function parseOverrides(raw) {
+  const overrides = {};
+  for (const part of String(raw ?? "").split(",")) {
+    const [key, value] = part.split("=").map((s) => s?.trim());
+    if (!key || !value) continue;
+    if (value === "keep") overrides[key] = null;
+    else if (parseInt(value, 10) > 0) overrides[key] = parseInt(value, 10);
+  }
+  return overrides;
+}
+
+const OVERRIDES = parseOverrides(process.env.EVENT_RETENTION_DAYS);
+
+/**
+ * @returns [{ type, category, days, source }] for every registered type
+ * source: env (EVENT_RETENTION_DAYS) / type / category / none
+ */
+export function retentionPolicy() {
+  return listEventTypes().map(({ type, category }) => {
+    const candidates = [
+      ["env", OVERRIDES, type],
+      ["env", OVERRIDES, category],
+      ["type", DEFAULT_TYPE_DAYS, type],
+      ["category", DEFAULT_CATEGORY_DAYS, category],
+    ];
+    for (const [source, table, key] of candidates) {
+      if (Object.hasOwn(table, key)) return { type, category, days: table[key], source };
+    }
+    return { type, category, days: null, source: "none" };
+  });
+}
+
+function cutoffFor(days, now) {
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+  return new Date(midnight - days * DAY_MS);
+}
+
+function mergeSquares(a, b) {
+  if (!a && !b) return null;
+  const out = { ...(a ?? {}) };
+  for (const [sq, n] of Object.entries(b ?? {})) out[sq] = (out[sq] ?? 0) + n;
+  return out;
+}
+
+/**
+ * Delete one batch of expired rows of `type` and add them to the rollups (one transaction).
+ * @returns { deleted, rollups }
+ */
+async function rollUpBatch(type, cutoff) {
+  return prisma.$transaction(async (tx) => {
+    // DELETE ... RETURNING: exactly the deleted rows are counted, late inserts included
+    const rows = await tx.$queryRaw`
+      WITH deleted AS (
+        DELETE FROM "Event" WHERE "id" IN (
+          SELECT "id" FROM "Event"
+          WHERE "type" = ${type} AND "ts" < ${cutoff}
+          ORDER BY "ts"
+          LIMIT ${BATCH_SIZE}
+        )
+        RETURNING "userId", "ts", "payload"
+      )
+      SELECT "userId",
+             date_trunc('day', "ts") AS "day",
+             "payload"->>'square' AS "square",
+             COUNT(*)::int AS "count",
+             MIN("ts") AS "firstTs",
+             MAX("ts") AS "lastTs"
+      FROM deleted
+      GROUP BY 1, 2, 3`;
+
+    const groups = new Map(); // `${userId}|${day}` -> rollup increment
+    for (const r of rows) {
+      const key = `${r.userId}|${r.day.toISOString()}`;
+      const g = groups.get(key) ?? {
+        userId: r.userId,
+        day: r.day,
+        count: 0,
+        squares: null,
+        firstTs: r.firstTs,
+        lastTs: r.lastTs,
+      };
+      g.count += r.count;
+      if (r.square) g.squares = mergeSquares(g.squares, { [r.square]: r.count });
+      if (r.firstTs < g.firstTs) g.firstTs = r.firstTs;
+      if (r.lastTs > g.lastTs) g.lastTs = r.lastTs;
+      groups.set(key, g);
+    }
+
+    for (const g of groups.values()) {
+      const where = { userId_day_type: { userId: g.userId, day: g.day, type } };
+      const existing = await tx.eventRollup.findUnique({ where });
+
+      if (!existing) {
+        await tx.eventRollup.create({ data: { ...g, type, squares: g.squares ?? undefined } });
+        continue;
+      }
+      await tx.eventRollup.update({
+        where,
+        data: {
+          count: { increment: g.count },
+          squares: mergeSquares(existing.squares, g.squares) ?? undefined,
+          firstTs: existing.firstTs < g.firstTs ? existing.firstTs : g.firstTs,
+          lastTs: existing.lastTs > g.lastTs ? existing.lastTs : g.lastTs,
+        },
+      });
+    }
+
+    const deleted = rows.reduce((sum, r) => sum + r.count, 0);
+    return { deleted, rollups: groups.size };
+  });
+}
+
+let running = null;
+
+export function retentionJobRunning() {
+  return !!running;
+}
+
+/**
+ * Roll up + prune every type with a retention. One run at a time: a second call while
+ * a run is busy returns that run's promise.
+ * @param trigger schedule | admin
+ * @returns RetentionRun row
+ */
+export function runRetention(trigger = "schedule", now = new Date()) {
+  if (running) return running;
+
+  running = (async () => {
+    const run = await prisma.retentionRun.create({ data: { trigger } });
+    const details = {};
+    let deleted = 0;
+    let rolledUp = 0;
+
+    try {
+      for (const { type, days } of retentionPolicy()) {
+        if (days == null) continue;
+        const cutoff = cutoffFor(days, now);
+        const stats = { days, cutoff, deleted: 0, rollups: 0 };
+
+        for (;;) {
+          const batch = await rollUpBatch(type, cutoff);
+          stats.deleted += batch.deleted;
+          stats.rollups += batch.rollups;
+          if (batch.deleted < BATCH_SIZE) break;
+        }
+
+        deleted += stats.deleted;
+        rolledUp += stats.rollups;
+        if (stats.deleted > 0) details[type] = stats;
+      }
+
+      return prisma.retentionRun.update({
+        where: { id: run.id },
+        data: { status: "ok", finishedAt: new Date(), deleted, rolledUp, details },
+      });
+    } catch (err) {
+      console.error("RETENTION ERROR:", err);
+      return prisma.retentionRun.update({
+        where: { id: run.id },
+        data: {
+          status: "failed",
+          finishedAt: new Date(),
+          deleted,
+          rolledUp,
+          details,
+          error: String(err?.message || err).slice(0, 2000),
+        },
+      });
+    }
+  })().finally(() => {
+    running = null;
+  });
+
+  return running;
+}
+
+/**
+ * Start the schedule (index.js): first run shortly after boot, then every interval.
+ */
+export function startRetentionSchedule() {
+  const tick = () => runRetention("schedule").catch((err) => console.error("RETENTION ERROR:", err));
+
+  setTimeout(tick, FIRST_RUN_DELAY_MS).unref();
+  setInterval(tick, RETENTION_INTERVAL_HOURS * 60 * 60 * 1000).unref();
+}
@@ -1,11 +1,76 @@
 import express from "express";
 import { prisma } from "./prisma.js";
-import { hashIp, computeSegment } from "./util.js";
-import { validateEvent } from "./middleware/validateEvent.js";
-import { adminAuth } from "./middleware/adminAuth.js";
+import { hashIp, clientIp } from "./util.js";
+import { analyseMoveAsync, labelMoveAsync, searchPositionAsync } from "./engine.js";
+import { validateEvent, validateEventBatch } from "./middleware/validateEvent.js";
+import { listEventTypes, consentCategoryFor, UNKNOWN_EVENT_POLICY } from "./eventTypes.js";
+import { adminAuth, requireRole } from "./middleware/adminAuth.js";
+import { requireConsent } from "./middleware/requireConsent.js";
+import { playerAuth, bearerSecret } from "./middleware/playerAuth.js";
+import { buildUserExport } from "./userExport.js";
+import {
+  ERASURE_MODES,
+  UidErasedError,
+  erasedAuditTarget,
+  eraseUser,
+  isUidErased,
+  requestErasure,
+} from "./erasure.js";
+import { rateLimit, flushRateLimitHits, RATE_BUDGETS } from "./middleware/rateLimit.js";
+import { loginAdmin, revokeAdminSession } from "./adminAccounts.js";
+import {
+  RETENTION_INTERVAL_HOURS,
+  retentionJobRunning,
+  retentionPolicy,
+  runRetention,
+} from "./retention.js";
+import { audit, auditRow, AUDIT_ACTIONS } from "./adminAudit.js";
+import {
+  CONSENT_VERSION,
+  CONSENT_CATEGORIES,
+  consentForUid,
+  consentForUser,
+  metaIfAllowed,
+  allowsEvent,
+  parseConsentBody,
+  recordConsent,
+} from "./consent.js";
 import { Chess } from "chess.js";
-import { labelMoveQuality } from "./analysis/moveQuality.js";
-import { getBehaviorInsight } from "./analysis/behaviorInsight.js";
+import { analyseGame } from "./analysis/gameAnalysis.js";
+import { perGameStats, perSessionStats } from "./analysis/gameStats.js";
+import { classifyPhase } from "./analysis/gamePhase.js";
+import { resolveGameEnd } from "./analysis/gameResult.js";
+import {
+  HEARTBEAT_INTERVAL_MS,
+  SESSION_END_REASONS,
+  isSessionExpired,
+  creditGap,
+  sessionMetrics,
+} from "./analysis/sessionMetrics.js";
+import {
+  gameToPgn,
+  parsePgnGames,
+  headerDate,
+  resultForPlayer,
+} from "./analysis/pgn.js";
+import {
+  activateRuleSet,
+  activeRuleSet,
+  listRuleSets,
+  previewRuleSet,
+  refreshSegment,
+  saveDraft,
+  segmentTimeline,
+  BUILT_IN_RULE_SET,
+} from "./segmentRules.js";
+import { SEGMENT_METRICS, SEGMENT_OPS, validateRuleSet } from "./analysis/segmentation.js";
+import { hoverHeatmap } from "./heatmap.js";
+import { linkMoveEvents } from "./exploration.js";
+import {
+  ATTENTION_EVENT_TYPES,
+  IDLE_EVENT_TYPES,
+  attentionTimeline,
+} from "./analysis/attention.js";
 
 export const router = express.Router();
 
@@ -15,8 +80,11 @@ export const router = express.Router();
  * - Always update meta
  * - Ensure profile exists (createMany + skipDuplicates)
  * - Return user with profile
+ * - Never recreates an erased uid (tombstone) -> UidErasedError
  */
 async function getOrCreateUser(uid, meta = {}) {
+  if (await isUidErased(uid)) throw new UidErasedError(uid);
+
   return prisma.$transaction(async (tx) => {
     await tx.user.createMany({
       data: [
@@ -58,12 +126,12 @@ async function getOrCreateUser(uid, meta = {}) {
   });
 }
 
-async function ensureProfile(userId) {
-  await prisma.profile.createMany({
+async function ensureProfile(userId, db = prisma) {
+  await db.profile.createMany({
     data: [{ userId }],
     skipDuplicates: true,
   });
-  return prisma.profile.findUnique({ where: { userId } });
+  return db.profile.findUnique({ where: { userId } });
 }
 
 async function safeUserByUid(uid) {
@@ -91,17 +159,365 @@ async function upsertSessionForEvent(userId, sessionId, ip) {
   });
 }
 
+// micro-events -> move features (src/exploration.js); never fails the request that triggered it
+async function tryLinkMoveEvents(userId) {
+  try {
+    await linkMoveEvents(userId);
+  } catch (err) {
+    console.error("MOVE EVENT LINK ERROR:", err);
+  }
+}
+
+// drop time (client clock, ms) + session of a player move -> Move columns for exploration linking
+function clientDrop(droppedAt, sessionId) {
+  const at = typeof droppedAt === "number" ? new Date(droppedAt) : null;
+  if (!at || Number.isNaN(at.getTime())) return {};
+  return {
+    droppedAt: at,
+    sessionId: typeof sessionId === "string" && sessionId.length <= 128 ? sessionId : null,
+  };
+}
+
+/**
+ * Validate one move (cheap: one chess.js move) and classify its phase.
+ * Shared by /game/move and the PGN import so both produce identical rows.
+ * Returns null when chess.js rejects the move.
+ */
+function checkMove({ fenBefore, uci, ply }) {
+  const chess = new Chess(fenBefore);
+  const phase = classifyPhase(chess, ply);
+  let parsed = null;
+  try {
+    parsed = chess.move({
+      from: uci.slice(0, 2),
+      to: uci.slice(2, 4),
+      promotion: uci.length > 4 ? uci[4] : undefined,
+    });
+  } catch {
+    parsed = null;
+  }
+
+  if (!parsed) return null;
+  return { phase, playedUci: `${parsed.from}${parsed.to}${parsed.promotion ?? ""}` };
+}
+
+// ✅ quality: only for PLAYER moves; SEE label in the engine worker (src/engine.js)
+async function gradeMove({ fenBefore, isBot }, checked) {
+  if (isBot) return { ...checked, quality: null, materialSwing: null };
+  try {
+    const { quality, swing } = await labelMoveAsync(fenBefore, checked.playedUci);
+    return { ...checked, quality, materialSwing: swing };
+  } catch (err) {
+    // never lose the move because the labelling failed, timed out or is busy
+    console.error("MOVE QUALITY ERROR:", err?.message ?? err);
+    return { ...checked, quality: null, materialSwing: null };
+  }
+}
+
+// engine eval in the worker (src/engine.js); null when it failed, timed out or is busy
+async function engineEval(fenBefore, playedUci) {
+  try {
+    return await analyseMoveAsync(fenBefore, playedUci);
+  } catch (err) {
+    // never lose the move because the evaluator failed
+    console.error("ENGINE ERROR:", err?.message ?? err);
+    return null;
+  }
+}
+
+function clampThinkTime(thinkTimeMs) {
+  return Math.max(0, Math.min(600000, thinkTimeMs ?? 0));
+}
+
+function moveRow({ gameId, ply, uci, san, thinkTimeMs, isBot }, graded, engine) {
+  return {
+    gameId,
+    ply,
+    uci,
+    san,
+    thinkTimeMs: clampThinkTime(thinkTimeMs),
+    quality: graded.quality,
+    materialSwing: graded.materialSwing,
+    evalBefore: engine?.evalBefore ?? null,
+    evalAfter: engine?.evalAfter ?? null,
+    cpLoss: engine?.cpLoss ?? null,
+    bestMoveUci: engine?.bestMoveUci ?? null,
+    isBot: !!isBot,
+    phase: graded.phase,
+  };
+}
+
+/**
+ * Profile counters after adding player moves to `prev`.
+ * avgThinkTimeMs is a running mean over all player moves, avgCpLoss over analysed ones only.
+ * @param rows stored player Move rows { quality, thinkTimeMs, cpLoss }
+ */
+function profileAfterMoves(prev, rows) {
+  const prevMoveCount = prev?.moveCount ?? 0;
+  const prevAnalysed = prev?.analysedMoveCount ?? 0;
+  const count = (q) => rows.filter((r) => r.quality === q).length;
+  const analysed = rows.filter((r) => r.cpLoss != null);
+
+  const moveCount = prevMoveCount + rows.length;
+  const analysedMoveCount = prevAnalysed + analysed.length;
+  const sum = (list, key) => list.reduce((acc, r) => acc + r[key], 0);
+
+  return {
+    moveCount,
+    blunderCount: (prev?.blunderCount ?? 0) + count("blunder"),
+    mistakeCount: (prev?.mistakeCount ?? 0) + count("mistake"),
+    inaccuracyCount: (prev?.inaccuracyCount ?? 0) + count("inaccuracy"),
+    avgThinkTimeMs: moveCount
+      ? Math.round(((prev?.avgThinkTimeMs ?? 0) * prevMoveCount + sum(rows, "thinkTimeMs")) / moveCount)
+      : 0,
+    avgCpLoss: analysed.length
+      ? Math.round(((prev?.avgCpLoss ?? 0) * prevAnalysed + sum(analysed, "cpLoss")) / analysedMoveCount)
+      : prev?.avgCpLoss ?? 0,
+    analysedMoveCount,
+  };
+}
+
+/**
+ * Validate + store one move and (player moves only) update the profile.
+ * Returns { illegal: true } when chess.js rejects the move.
+ */
+async function recordMove(
+  user,
+  { gameId, fenBefore, uci, san, ply, thinkTimeMs, isBot, droppedAt, sessionId }
+) {
+  // Validate move is legal (for BOTH player + bot)
+  const bot = !!isBot;
+  const checked = checkMove({ fenBefore, uci, ply });
+  if (!checked) return { illegal: true };
+  const graded = await gradeMove({ fenBefore, isBot: bot }, checked);
+
+  // ✅ engine eval: only for PLAYER moves (bot moves don't need an accuracy signal)
+  // runs in the engine worker, the event loop stays free meanwhile
+  const engine = bot ? null : await engineEval(fenBefore, graded.playedUci);
+
+  // ✅ create move, but dedupe if already exists (gameId, ply)
+  let row = null;
+  try {
+    row = await prisma.move.create({
+      data: {
+        ...moveRow({ gameId, ply, uci, san, thinkTimeMs, isBot: bot }, graded, engine),
+        ...(bot ? {} : clientDrop(droppedAt, sessionId)),
+      },
+    });
+  } catch (err) {
+    if (err?.code === "P2002") {
+      return {
+        ok: true,
+        quality: bot ? null : "ok",
+        deduped: true,
+        isBot: bot,
+      };
+    }
+    throw err;
+  }
+
+  // ✅ Do NOT let bot moves affect profile or segment
+  if (bot) {
+    return { ok: true, quality: null, isBot: true };
+  }
+
+  // --- Player move => update profile stats ---
+  const prev = await ensureProfile(user.id);
+  const updated = await prisma.profile.update({
+    where: { userId: user.id },
+    data: profileAfterMoves(prev, [row]),
+  });
+
+  await refreshSegment(user.id, { profile: updated, reason: "move" });
+
+  // events of this move may already be stored (only moves with a drop time are linked)
+  if (row.droppedAt) await tryLinkMoveEvents(user.id);
+
+  return {
+    ok: true,
+    quality: graded.quality,
+    materialSwing: graded.materialSwing,
+    cpLoss: engine?.cpLoss ?? null,
+    bestMoveUci: engine?.bestMoveUci ?? null,
+    isBot: false,
+  };
+}
+
+// win/loss/draw counts straight from Game rows (player's point of view)
+async function gameResultCounts(userId) {
+  const rows = await prisma.game.groupBy({
+    by: ["result"],
+    where: { userId, result: { not: null } },
+    _count: { _all: true },
+  });
+
+  const count = (r) => rows.find((x) => x.result === r)?._count._all ?? 0;
+  return {
+    wins: count("win"),
+    losses: count("loss"),
+    draws: count("draw"),
+    aborted: count("aborted"),
+  };
+}
+
+// botMode lives on bot_move events (payload.gameId), not on Move rows
+async function botModesByGame(userId) {
+  const events = await prisma.event.findMany({
+    where: { userId, type: "bot_move" },
+    select: { payload: true },
+  });
+
+  const byGame = new Map();
+  for (const e of events) {
+    const gid = e.payload?.gameId;
+    const mode = e.payload?.botMode;
+    if (!gid || !mode) continue;
+    if (!byGame.has(gid)) byGame.set(gid, new Set());
+    byGame.get(gid).add(mode);
+  }
+  return byGame;
+}
+
+const MAX_IMPORT_GAMES = 25;
+// engine evals per import request (~0.5 s each in the worker); later player moves stay without
+const IMPORT_ENGINE_MOVES = 100;
+
+function sendPgn(res, filename, pgn) {
+  res.setHeader("Content-Type", "application/x-chess-pgn; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(pgn);
+}
+
+async function applyHintEvents(user, count) {
+  const profile = user.profile ?? (await ensureProfile(user.id));
+  const next = (profile?.hintCount ?? 0) + count;
+
+  const updated = await prisma.profile.update({
+    where: { userId: user.id },
+    data: { hintCount: next },
+  });
+
+  await refreshSegment(user.id, { profile: updated, reason: "hint" });
+}
+
+// unknown type / invalid payload under the quarantine policy: kept aside, never in Event
+async function storeQuarantined(items) {
+  if (!items.length) return 0;
+  const { count } = await prisma.quarantinedEvent.createMany({
+    data: items.map(({ event: e, reason, details }) => ({
+      uid: e.uid,
+      sessionId: e.sessionId,
+      ts: new Date(e.ts),
+      type: e.type,
+      payload: e.payload ?? {},
+      reason,
+      details: details ?? undefined,
+    })),
+  });
+  return count;
+}
+
+// one consent lookup per uid of a request
+async function consentByUid(uids) {
+  const byUid = new Map();
+  for (const uid of new Set(uids)) byUid.set(uid, await consentForUid(uid));
+  return byUid;
+}
+
+/**
+ * Open sessions that stopped sending heartbeats ended at their lastSeenAt.
+ */
+async function closeStaleSessions(userId) {
+  const now = new Date();
+  const open = await prisma.session.findMany({
+    where: { userId, endedAt: null },
+    select: { id: true, startedAt: true, lastSeenAt: true },
+  });
+
+  for (const s of open.filter((x) => isSessionExpired(x, now))) {
+    await prisma.session.update({
+      where: { id: s.id },
+      data: { endedAt: s.lastSeenAt, endReason: "timeout" },
+    });
+  }
+}
+
+/**
+ * Recent games + the given sessions, each with its own aggregates (analysis/gameStats.js).
+ * @param sessions sessionMetrics() results
+ */
+async function recentAggregates(userId, sessions, take = 10) {
+  const games = await prisma.game.findMany({
+    where: { userId },
+    orderBy: { createdAt: "desc" },
+    take,
+    include: {
+      moves: {
+        select: {
+          thinkTimeMs: true,
+          activeThinkTimeMs: true,
+          quality: true,
+          cpLoss: true,
+          isBot: true,
+          createdAt: true,
+          sessionId: true,
+        },
+      },
+    },
+  });
+
+  // hints carry their game (payload.gameId) and session; older ones only the session
+  const hints = await prisma.event.findMany({
+    where: {
+      userId,
+      type: "hint_used",
+      OR: [
+        { sessionId: { in: sessions.map((s) => s.id) } },
+        ...games.map((g) => ({ payload: { path: ["gameId"], equals: g.id } })),
+      ],
+    },
+    select: { sessionId: true, payload: true },
+  });
+
+  return {
+    games: perGameStats(games, hints),
+    sessions: perSessionStats(sessions, games, hints),
+  };
+}
+
+function readSessionBody(body) {
+  const { uid, sessionId } = body || {};
+  if (!uid || typeof uid !== "string") return { error: "uid required" };
+  if (!sessionId || typeof sessionId !== "string" || sessionId.length > 128) {
+    return { error: "sessionId required" };
+  }
+  return { uid, sessionId, active: body.active !== false };
+}
+
+async function sessionForUid(sessionId, uid) {
+  return prisma.session.findFirst({ where: { id: sessionId, user: { uid } } });
+}
+
 // ===== Track micro-events =====
-router.post("/track/event", validateEvent, async (req, res) => {
+router.post("/track/event", rateLimit("track"), validateEvent, async (req, res) => {
   try {
-    const e = req.cleanedEvent;
+    const incoming = req.cleanedEvent ?? req.quarantined[0].event;
+    const consent = await consentForUid(incoming.uid);
+    if (!allowsEvent(consent, incoming.type)) {
+      return res
+        .status(403)
+        .json({ error: "Consent required", consent: consentCategoryFor(incoming.type) });
+    }
+
+    if (!req.cleanedEvent) {
+      await storeQuarantined(req.quarantined);
+      return res.json({ ok: true, quarantined: true });
+    }
 
-    const ip =
-      req.headers["x-forwarded-for"]?.toString().split(",")[0]?.trim() ||
-      req.socket.remoteAddress ||
-      "unknown";
+    const e = req.cleanedEvent;
+    const ip = clientIp(req);
 
-    const user = await getOrCreateUser(e.uid, e.meta || {});
+    const user = await getOrCreateUser(e.uid, metaIfAllowed(consent, e.meta));
     if (!user) return res.status(500).json({ error: "User create failed" });
 
     const session = await upsertSessionForEvent(user.id, e.sessionId, ip);
@@ -116,159 +532,484 @@ router.post("/track/event", validateEvent, async (req, res) => {
       },
     });
 
-    if (e.type === "hint_used") {
-      const profile = user.profile ?? (await ensureProfile(user.id));
-      const next = (profile?.hintCount ?? 0) + 1;
-
-      const updated = await prisma.profile.update({
-        where: { userId: user.id },
-        data: { hintCount: next },
-      });
-
-      await prisma.profile.update({
-        where: { userId: user.id },
-        data: { segment: computeSegment(updated) },
-      });
-    }
+    if (e.type === "hint_used") await applyHintEvents(user, 1);
+    if (e.type === "drop_attempt") await tryLinkMoveEvents(user.id);
 
     res.json({ ok: true });
   } catch (err) {
+    if (err instanceof UidErasedError) return res.status(410).json({ error: "uid was erased" });
     console.error(err);
     res.status(500).json({ error: "Server error", code: err?.code });
   }
 });
 
-// ===== Game start =====
-router.post("/game/start", async (req, res) => {
-  try {
-    const { uid, meta } = req.body || {};
-    if (!uid || typeof uid !== "string") {
-      return res.status(400).json({ error: "uid required" });
-    }
+// batch cost = events per uid (quarantined ones count too)
+function batchUidCosts(req) {
+  const costs = new Map();
+  for (const e of [...req.cleanedEvents, ...req.quarantined.map((q) => q.event)]) {
+    costs.set(e.uid, (costs.get(e.uid) ?? 0) + 1);
+  }
+  return costs;
+}
 
-    const user = await getOrCreateUser(uid, meta || {});
-    if (!user) return res.status(500).json({ error: "User create failed" });
+// ===== Track buffered micro-events (tracker flush / sendBeacon) =====
+// One user transaction + one session upsert per uid/session instead of per event.
+// Events of a category the uid didn't consent to are dropped (counted as refused).
+router.post(
+  "/track/batch",
+  express.text({ type: "text/plain", limit: "200kb" }),
+  validateEventBatch,
+  rateLimit("track", { uidCosts: batchUidCosts }),
+  async (req, res) => {
+    try {
+      const ip = clientIp(req);
+
+      const consents = await consentByUid([
+        ...req.cleanedEvents.map((e) => e.uid),
+        ...req.quarantined.map((q) => q.event.uid),
+      ]);
+      const allowed = (e) => allowsEvent(consents.get(e.uid), e.type);
+
+      const events = req.cleanedEvents.filter(allowed);
+      const quarantinable = req.quarantined.filter((q) => allowed(q.event));
+      const refused =
+        req.cleanedEvents.length - events.length + req.quarantined.length - quarantinable.length;
+
+      const byUid = new Map();
+      for (const e of events) {
+        if (!byUid.has(e.uid)) byUid.set(e.uid, []);
+        byUid.get(e.uid).push(e);
+      }
 
-    const game = await prisma.game.create({
-      data: { userId: user.id },
-      select: { id: true },
-    });
+      let accepted = 0;
+      for (const [uid, events] of byUid) {
+        const meta = events.find((e) => e.meta)?.meta ?? {};
+        const user = await getOrCreateUser(uid, metaIfAllowed(consents.get(uid), meta));
+        if (!user) return res.status(500).json({ error: "User create failed" });
+
+        // sessions of another uid are not linked (same rule as /game/start)
+        const sessionIds = new Map();
+        for (const sid of new Set(events.map((e) => e.sessionId))) {
+          const session = await upsertSessionForEvent(user.id, sid, ip);
+          sessionIds.set(sid, session.userId === user.id ? session.id : null);
+        }
+
+        const { count } = await prisma.event.createMany({
+          data: events.map((e) => ({
+            userId: user.id,
+            sessionId: sessionIds.get(e.sessionId),
+            ts: new Date(e.ts),
+            type: e.type,
+            payload: e.payload ?? {},
+          })),
+        });
+        accepted += count;
 
-    return res.json({ gameId: game.id });
-  } catch (err) {
-    console.error("START ERROR:", err);
-    return res.status(500).json({ error: "Server error", code: err?.code });
-  }
-});
+        const hints = events.filter((e) => e.type === "hint_used").length;
+        if (hints > 0) await applyHintEvents(user, hints);
 
-// ===== Submit move =====
-router.post("/game/move", async (req, res) => {
-  try {
-    const { uid, gameId, fenBefore, uci, san, ply, thinkTimeMs, isBot } =
-      req.body || {};
-
-    if (
-      !uid ||
-      !gameId ||
-      !fenBefore ||
-      !uci ||
-      !san ||
-      typeof ply !== "number"
-    ) {
-      return res.status(400).json({ error: "Missing fields" });
+        // a drop_attempt completes the events of a move that may already be stored
+        if (events.some((e) => e.type === "drop_attempt")) await tryLinkMoveEvents(user.id);
+      }
+
+      const quarantined = await storeQuarantined(quarantinable);
+
+      res.json({ ok: true, accepted, quarantined, rejected: req.rejectedEvents, refused });
+    } catch (err) {
+      if (err instanceof UidErasedError) return res.status(410).json({ error: "uid was erased" });
+      console.error(err);
+      res.status(500).json({ error: "Server error", code: err?.code });
     }
+  }
+);
+
+// ===== Session lifecycle =====
+// start (or reopen after a hidden tab), heartbeat, end. Expired ids must be replaced.
+router.post(
+  "/session/start",
+  rateLimit("session"),
+  requireConsent("microInteractions"),
+  async (req, res) => {
+    try {
+      const b = readSessionBody(req.body);
+      if (b.error) return res.status(400).json({ error: b.error });
 
-    const user = await safeUserByUid(uid);
-    if (!user) return res.status(404).json({ error: "Unknown uid" });
+      const user = await getOrCreateUser(b.uid, metaIfAllowed(req.consent, req.body.meta));
+      if (!user) return res.status(500).json({ error: "User create failed" });
 
-    // ✅ HARD FK FIX: ensure the game exists (even after docker down -v)
-    await prisma.game.upsert({
-      where: { id: gameId },
-      update: {},
-      create: { id: gameId, userId: user.id },
-    });
+      const now = new Date();
+      const existing = await prisma.session.findUnique({ where: { id: b.sessionId } });
 
-    // Validate move is legal (for BOTH player + bot)
-    const chess = new Chess(fenBefore);
-    const parsed = chess.move(
-      {
-        from: uci.slice(0, 2),
-        to: uci.slice(2, 4),
-        promotion: uci.length > 4 ? uci[4] : undefined,
-      },
-      { sloppy: true }
-    );
+      if (existing && existing.userId !== user.id) {
+        return res.status(409).json({ error: "Session belongs to another uid", expired: true });
+      }
 
-    if (!parsed) {
-      return res.status(400).json({ error: "Illegal/invalid move" });
-    }
+      if (!existing) {
+        await prisma.session.create({
+          data: {
+            id: b.sessionId,
+            userId: user.id,
+            ipHash: hashIp(clientIp(req)),
+            startedAt: now,
+            lastSeenAt: now,
+          },
+        });
+        return res.json({ ok: true, reopened: false, heartbeatMs: HEARTBEAT_INTERVAL_MS });
+      }
+
+      if (isSessionExpired(existing, now)) {
+        if (!existing.endedAt) {
+          await prisma.session.update({
+            where: { id: existing.id },
+            data: { endedAt: existing.lastSeenAt, endReason: "timeout" },
+          });
+        }
+        return res.status(409).json({ error: "Session expired", expired: true });
+      }
 
-    const bot = !!isBot;
+      // back from a hidden tab / reload: the time away counts as idle
+      const gap = creditGap(existing, now, false);
+      await prisma.session.update({
+        where: { id: existing.id },
+        data: {
+          endedAt: null,
+          endReason: null,
+          lastSeenAt: now,
+          idleMs: { increment: gap.idleMs },
+        },
+      });
 
-    // ✅ quality: only for PLAYER moves
-    const quality = bot ? null : labelMoveQuality(chess, parsed);
+      return res.json({ ok: true, reopened: !!existing.endedAt, heartbeatMs: HEARTBEAT_INTERVAL_MS });
+    } catch (err) {
+      if (err instanceof UidErasedError) return res.status(410).json({ error: "uid was erased" });
+      console.error("SESSION START ERROR:", err);
+      return res.status(500).json({ error: "Server error", code: err?.code });
+    }
+  }
+);
 
-    // ✅ create move, but dedupe if already exists (gameId, ply)
+router.post(
+  "/session/heartbeat",
+  rateLimit("session"),
+  requireConsent("microInteractions"),
+  async (req, res) => {
     try {
-      await prisma.move.create({
+      const b = readSessionBody(req.body);
+      if (b.error) return res.status(400).json({ error: b.error });
+
+      const now = new Date();
+      const session = await sessionForUid(b.sessionId, b.uid);
+
+      // unknown / closed / expired -> the tracker starts again
+      if (!session || session.endedAt || isSessionExpired(session, now)) {
+        return res.status(409).json({ error: "Session not open", restart: true });
+      }
+
+      const gap = creditGap(session, now, b.active);
+      await prisma.session.update({
+        where: { id: session.id },
         data: {
-          gameId,
-          ply,
-          uci,
-          san,
-          thinkTimeMs: Math.max(0, Math.min(600000, thinkTimeMs ?? 0)),
-          quality,
-          isBot: bot,
+          lastSeenAt: now,
+          activeMs: { increment: gap.activeMs },
+          idleMs: { increment: gap.idleMs },
         },
       });
+
+      return res.json({ ok: true });
     } catch (err) {
-      if (err?.code === "P2002") {
-        return res.json({
-          ok: true,
-          quality: bot ? null : "ok",
-          deduped: true,
-          isBot: bot,
-        });
-      }
-      throw err;
+      console.error("SESSION HEARTBEAT ERROR:", err);
+      return res.status(500).json({ error: "Server error", code: err?.code });
     }
+  }
+);
 
-    // ✅ Do NOT let bot moves affect profile or segment
-    if (bot) {
-      return res.json({ ok: true, quality: null, isBot: true });
+router.post("/session/end", rateLimit("session"), async (req, res) => {
+  try {
+    const b = readSessionBody(req.body);
+    if (b.error) return res.status(400).json({ error: b.error });
+
+    const reason = req.body.reason;
+    if (!SESSION_END_REASONS.includes(reason)) {
+      return res
+        .status(400)
+        .json({ error: `reason must be one of ${SESSION_END_REASONS.join(", ")}` });
     }
 
-    // --- Player move => update profile stats ---
-    const prev = user.profile ?? (await ensureProfile(user.id));
+    const session = await sessionForUid(b.sessionId, b.uid);
+    if (!session) return res.status(404).json({ error: "Session not found" });
 
-    const moveCount = (prev?.moveCount ?? 0) + 1;
-    const blunderCount =
-      (prev?.blunderCount ?? 0) + (quality === "blunder" ? 1 : 0);
+    // idempotent: pagehide right after visibilitychange sends a second end
+    if (session.endedAt) return res.json({ ok: true, already: true });
 
-    const prevMoveCount = prev?.moveCount ?? 0;
-    const prevAvg = prev?.avgThinkTimeMs ?? 0;
-
-    const avgThinkTimeMs = Math.round(
-      (prevAvg * prevMoveCount + (thinkTimeMs ?? 0)) / moveCount
-    );
+    const now = new Date();
+    if (isSessionExpired(session, now)) {
+      await prisma.session.update({
+        where: { id: session.id },
+        data: { endedAt: session.lastSeenAt, endReason: "timeout" },
+      });
+      return res.json({ ok: true, expired: true });
+    }
 
-    const updated = await prisma.profile.update({
-      where: { userId: user.id },
-      data: { moveCount, blunderCount, avgThinkTimeMs },
+    const gap = creditGap(session, now, b.active);
+    await prisma.session.update({
+      where: { id: session.id },
+      data: {
+        endedAt: now,
+        endReason: reason,
+        lastSeenAt: now,
+        activeMs: { increment: gap.activeMs },
+        idleMs: { increment: gap.idleMs },
+      },
     });
 
-    await prisma.profile.update({
-      where: { userId: user.id },
-      data: { segment: computeSegment(updated) },
-    });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error("SESSION END ERROR:", err);
+    return res.status(500).json({ error: "Server error", code: err?.code });
+  }
+});
+
+// ===== Consent =====
+// POST /api/consent { uid, version, gameplay, microInteractions, deviceMeta }
+// (Authorization: Bearer <secret> once the uid has one)
+router.post("/consent", rateLimit("consent"), async (req, res) => {
+  try {
+    const parsed = parseConsentBody(req.body);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    if (await isUidErased(parsed.uid)) return res.status(410).json({ error: "uid was erased" });
+
+    // a uid with a secret only changes its consent with it (Authorization: Bearer <secret>)
+    const result = await recordConsent(req, parsed, bearerSecret(req));
+    if (result.unauthorized) return res.status(401).json({ error: "Unauthorized" });
 
-    return res.json({ ok: true, quality, isBot: false });
+    const { consent, secret } = result;
+    // secret: first decision of a new uid only, the client has to keep it (data export)
+    res.json({ ok: true, consent, secret: secret ?? undefined, currentVersion: CONSENT_VERSION });
+  } catch (err) {
+    console.error("CONSENT ERROR:", err);
+    res.status(500).json({ error: "Server error", code: err?.code });
+  }
+});
+
+router.get("/consent/:uid", async (req, res) => {
+  try {
+    const consent = await consentForUid(req.params.uid);
+    res.json({ consent, categories: CONSENT_CATEGORIES, currentVersion: CONSENT_VERSION });
   } catch (err) {
     console.error(err);
-    return res.status(500).json({ error: "Server error", code: err?.code });
+    res.status(500).json({ error: "Server error" });
   }
 });
 
+// ===== Self-service data export =====
+// GET /api/me/:uid/export  (Authorization: Bearer <secret from the first POST /consent>)
+router.get(
+  "/me/:uid/export",
+  rateLimit("export", { uidCosts: (req) => new Map([[req.params.uid, 1]]) }),
+  playerAuth,
+  async (req, res) => {
+    try {
+      const bundle = await buildUserExport(req.player);
+
+      res.setHeader("Cache-Control", "no-store");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="chessmirror-${req.player.uid}.json"`
+      );
+      res.json(bundle);
+    } catch (err) {
+      console.error("EXPORT ERROR:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// POST /api/me/:uid/erasure-request { mode?: erase | anonymise } -> pending until an owner runs it
+router.post(
+  "/me/:uid/erasure-request",
+  rateLimit("erasure", { uidCosts: (req) => new Map([[req.params.uid, 1]]) }),
+  playerAuth,
+  async (req, res) => {
+    try {
+      const mode = req.body?.mode ?? "erase";
+      if (!ERASURE_MODES.includes(mode)) {
+        return res.status(400).json({ error: `mode must be one of ${ERASURE_MODES.join(", ")}` });
+      }
+
+      const { request, created } = await requestErasure(req.player.uid, mode);
+      res.status(created ? 201 : 200).json({
+        ok: true,
+        requestId: request.id,
+        mode: request.mode,
+        status: request.status,
+        requestedAt: request.requestedAt,
+      });
+    } catch (err) {
+      console.error("ERASURE REQUEST ERROR:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// ===== Game start =====
+router.post(
+  "/game/start",
+  rateLimit("game"),
+  requireConsent("gameplay"),
+  async (req, res) => {
+    try {
+      const { uid, meta, sessionId } = req.body || {};
+      if (!uid || typeof uid !== "string") {
+        return res.status(400).json({ error: "uid required" });
+      }
+
+      const user = await getOrCreateUser(uid, metaIfAllowed(req.consent, meta));
+      if (!user) return res.status(500).json({ error: "User create failed" });
+
+      // link the game to the tab session it was played in (games per session);
+      // sessions are micro-interaction data
+      let linkedSessionId = null;
+      if (
+        req.consent.microInteractions &&
+        typeof sessionId === "string" &&
+        sessionId.length >= 3 &&
+        sessionId.length <= 128
+      ) {
+        const session = await upsertSessionForEvent(user.id, sessionId, clientIp(req));
+        if (session.userId === user.id) linkedSessionId = session.id;
+      }
+
+      const game = await prisma.game.create({
+        data: { userId: user.id, sessionId: linkedSessionId },
+        select: { id: true },
+      });
+
+      return res.json({ gameId: game.id });
+    } catch (err) {
+      if (err instanceof UidErasedError) return res.status(410).json({ error: "uid was erased" });
+      console.error("START ERROR:", err);
+      return res.status(500).json({ error: "Server error", code: err?.code });
+    }
+  }
+);
+
+// ===== Submit move =====
+router.post(
+  "/game/move",
+  rateLimit("move"),
+  requireConsent("gameplay"),
+  async (req, res) => {
+    try {
+      const { uid, gameId, fenBefore, uci, san, ply, thinkTimeMs, isBot, droppedAt, sessionId } =
+        req.body || {};
+
+      if (
+        !uid ||
+        !gameId ||
+        !fenBefore ||
+        !uci ||
+        !san ||
+        typeof ply !== "number"
+      ) {
+        return res.status(400).json({ error: "Missing fields" });
+      }
+
+      const user = await safeUserByUid(uid);
+      if (!user) return res.status(404).json({ error: "Unknown uid" });
+
+      // ✅ HARD FK FIX: ensure the game exists (even after docker down -v)
+      await prisma.game.upsert({
+        where: { id: gameId },
+        update: {},
+        create: { id: gameId, userId: user.id },
+      });
+
+      // drop time + session only link micro-events, which need microInteractions consent
+      const result = await recordMove(user, {
+        gameId,
+        fenBefore,
+        uci,
+        san,
+        ply,
+        thinkTimeMs,
+        isBot,
+        ...(req.consent.microInteractions ? { droppedAt, sessionId } : {}),
+      });
+
+      if (result.illegal) {
+        return res.status(400).json({ error: "Illegal/invalid move" });
+      }
+
+      return res.json(result);
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Server error", code: err?.code });
+    }
+  }
+);
+
+// ===== End game =====
+// POST /api/game/end { uid, gameId, reason } -> result is decided from the stored moves
+router.post(
+  "/game/end",
+  rateLimit("game"),
+  requireConsent("gameplay"),
+  async (req, res) => {
+    try {
+      const { uid, gameId, reason } = req.body || {};
+      if (!uid || !gameId || !reason) {
+        return res.status(400).json({ error: "Missing fields" });
+      }
+
+      const user = await safeUserByUid(uid);
+      if (!user) return res.status(404).json({ error: "Unknown uid" });
+
+      const game = await prisma.game.findUnique({
+        where: { id: gameId },
+        include: { moves: { orderBy: { ply: "asc" } } },
+      });
+      if (!game || game.userId !== user.id) {
+        return res.status(404).json({ error: "Unknown game" });
+      }
+
+      // ✅ idempotent: first end wins (page unload + game over can both fire)
+      if (game.endedAt) {
+        return res.json({
+          ok: true,
+          already: true,
+          result: game.result,
+          endReason: game.endReason,
+        });
+      }
+
+      const outcome = resolveGameEnd(game.moves, reason);
+      if (!outcome.ok) {
+        return res.status(409).json({ error: outcome.error });
+      }
+
+      const updated = await prisma.game.update({
+        where: { id: game.id },
+        data: {
+          result: outcome.result,
+          endReason: outcome.endReason,
+          endedAt: new Date(),
+        },
+      });
+
+      return res.json({
+        ok: true,
+        result: updated.result,
+        endReason: updated.endReason,
+        endedAt: updated.endedAt,
+        plies: outcome.plies,
+      });
+    } catch (err) {
+      console.error(err);
+      return res.status(500).json({ error: "Server error", code: err?.code });
+    }
+  }
+);
+
 // ===== Public profile (segment-aware, no auth) =====
 // GET /api/profile/:uid -> { segment, stats }
 router.get("/profile/:uid", async (req, res) => {
@@ -287,9 +1028,14 @@ router.get("/profile/:uid", async (req, res) => {
           moves: 0,
           avgThinkTime: 0,
           blunderRate: 0,
+          avgCpLoss: 0,
           hoverCount: 0,
           hoversPerMove: 0,
           hintsUsed: 0,
+          attentionScore: null,
+          wins: 0,
+          losses: 0,
+          draws: 0,
         },
       });
     }
@@ -304,13 +1050,11 @@ router.get("/profile/:uid", async (req, res) => {
     const blunderRate =
       moveCount > 0 ? Math.round((blunderCount / moveCount) * 100) : 0;
 
-    const events = await prisma.event.findMany({
-      where: { userId: user.id },
-      orderBy: { ts: "desc" },
-      take: 500,
+    // one evaluator for label + text (active rule set); hovers counted all-time
+    const { insight, hoverCount, phases, thinkTime, attention } = await refreshSegment(user.id, {
+      profile,
     });
-
-    const hoverCount = events.filter((e) => e.type === "hover").length;
+    const segment = insight.label;
 
     // ✅ source of truth: profile.hintCount (not event scan, avoids drift)
     const hintsUsed = profile?.hintCount ?? 0;
@@ -318,28 +1062,46 @@ router.get("/profile/:uid", async (req, res) => {
     const hoversPerMove =
       moveCount > 0 ? Math.round((hoverCount / moveCount) * 10) / 10 : 0;
 
+    const results = await gameResultCounts(user.id);
+
+    await closeStaleSessions(user.id);
+    const sessionRows = await prisma.session.findMany({
+      where: { userId: user.id },
+      orderBy: { startedAt: "desc" },
+      take: 20,
+      include: { _count: { select: { games: true, events: true } } },
+    });
+    const sessions = sessionRows.map((s) => sessionMetrics(s));
+
     const stats = {
       moves: moveCount,
         moveCount, // ✅ alias so nothing breaks
 
       avgThinkTime: Math.round((avgThinkTimeMs / 1000) * 10) / 10,
       blunderRate,
+      avgCpLoss: profile?.avgCpLoss ?? 0,
       hoverCount,
       hoversPerMove,
       hintsUsed,
+      attentionScore: attention.score,
+      wins: results.wins,
+      losses: results.losses,
+      draws: results.draws,
     };
 
-    const insight = getBehaviorInsight(stats);
-    const segment = insight.label; // whatever your insight uses
+    // lifetime stats above; the same numbers per game / per session below
+    const recent = await recentAggregates(user.id, sessions);
 
-    if (profile?.segment !== segment) {
-      await prisma.profile.update({
-        where: { userId: user.id },
-        data: { segment },
-      });
-    }
-
-    return res.json({ segment, stats });
+    return res.json({
+      segment,
+      insight,
+      stats,
+      phases,
+      thinkTime,
+      attention,
+      games: recent.games,
+      sessions: recent.sessions,
+    });
   } catch (err) {
     console.error(err);
     return res.status(500).json({ error: "Server error" });
@@ -347,6 +1109,47 @@ router.get("/profile/:uid", async (req, res) => {
 });
 
 // ===== Admin routes =====
+// ===== Admin accounts =====
+router.post("/admin/login", rateLimit("login"), async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (typeof username !== "string" || typeof password !== "string" || !username || !password) {
+      return res.status(400).json({ error: "username and password required" });
+    }
+
+    const r = await loginAdmin(username, password);
+    if (!r.ok) {
+      return res.status(r.status).json({ error: r.error, lockedUntil: r.lockedUntil });
+    }
+
+    await audit(req, "auth.login", { admin: r.admin });
+
+    res.json({
+      token: r.token,
+      expiresAt: r.expiresAt,
+      admin: { username: r.admin.username, role: r.admin.role },
+    });
+  } catch (err) {
+    console.error("ADMIN LOGIN ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.post("/admin/logout", adminAuth, async (req, res) => {
+  try {
+    await revokeAdminSession(req.adminSessionId);
+    await audit(req, "auth.logout");
+    res.json({ ok: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+router.get("/admin/me", adminAuth, (req, res) => {
+  res.json({ admin: { username: req.admin.username, role: req.admin.role } });
+});
+
 router.get("/admin/users", adminAuth, async (req, res) => {
   try {
     const users = await prisma.user.findMany({
@@ -354,15 +1157,29 @@ router.get("/admin/users", adminAuth, async (req, res) => {
       include: { profile: true },
     });
 
+    await flushRateLimitHits();
+    const hits = await prisma.rateLimitHit.groupBy({
+      by: ["key"],
+      where: { scope: "uid" },
+      _sum: { count: true },
+    });
+    const rateLimitedByUid = new Map(hits.map((h) => [h.key, h._sum.count ?? 0]));
+
     res.json(
       users.map((u) => ({
         uid: u.uid,
         createdAt: u.createdAt,
         segment: u.profile?.segment ?? "unknown",
+        ruleSetVersion: u.profile?.ruleSetVersion ?? null,
         moveCount: u.profile?.moveCount ?? 0,
         blunderCount: u.profile?.blunderCount ?? 0,
+        mistakeCount: u.profile?.mistakeCount ?? 0,
+        inaccuracyCount: u.profile?.inaccuracyCount ?? 0,
         avgThinkTimeMs: u.profile?.avgThinkTimeMs ?? 0,
+        avgCpLoss: u.profile?.avgCpLoss ?? 0,
         hintCount: u.profile?.hintCount ?? 0,
+        rateLimited: rateLimitedByUid.get(u.uid) ?? 0,
+        anonymised: !!u.anonymisedAt,
       }))
     );
   } catch (err) {
@@ -381,6 +1198,8 @@ router.get("/admin/users/:uid/profile", adminAuth, async (req, res) => {
     });
     if (!user) return res.status(404).json({ error: "Not found" });
 
+    await audit(req, "profile.read", { targetUid: uid });
+
     let profile = user.profile;
     if (!profile) profile = await ensureProfile(user.id);
 
@@ -406,7 +1225,11 @@ router.get("/admin/users/:uid/profile", adminAuth, async (req, res) => {
           ply: m.ply,
           thinkTimeMs: m.thinkTimeMs,
           quality: m.quality,
+          materialSwing: m.materialSwing,
+          cpLoss: m.cpLoss,
+          bestMoveUci: m.bestMoveUci,
           isBot: m.isBot,
+          phase: m.phase,
           createdAt: m.createdAt,
         }))
       )
@@ -418,34 +1241,57 @@ router.get("/admin/users/:uid/profile", adminAuth, async (req, res) => {
       take: 200,
     });
 
-    const hoverCount = events.filter((e) => e.type === "hover").length;
+    const refreshed = await refreshSegment(user.id, { profile });
+    profile = refreshed.profile;
+    const { insight, hoverCount, phases, thinkTime, attention } = refreshed;
+    const segment = insight.label;
+
     const hoversPerMove =
       moveCount > 0 ? Math.round((hoverCount / moveCount) * 10) / 10 : 0;
 
+    const results = await gameResultCounts(user.id);
+
+    await closeStaleSessions(user.id);
+    const sessionRows = await prisma.session.findMany({
+      where: { userId: user.id },
+      orderBy: { startedAt: "desc" },
+      take: 20,
+      include: { _count: { select: { games: true, events: true } } },
+    });
+    const sessions = sessionRows.map((s) => sessionMetrics(s));
+    const sessionCount = await prisma.session.count({ where: { userId: user.id } });
+
     const stats = {
       moves: moveCount,
         moveCount, // ✅ alias so nothing breaks
 
       avgThinkTime: Math.round((avgThinkTimeMs / 1000) * 10) / 10,
       blunderRate,
+      avgCpLoss: profile?.avgCpLoss ?? 0,
       hintCount,
       hoverCount,
       hoversPerMove,
+      attentionScore: attention.score,
+      wins: results.wins,
+      losses: results.losses,
+      draws: results.draws,
+      aborted: results.aborted,
+      sessionCount,
+      avgSessionMs: sessions.length
+        ? Math.round(sessions.reduce((acc, x) => acc + x.durationMs, 0) / sessions.length)
+        : 0,
+      gamesPerSession: sessions.length
+        ? Math.round((sessions.reduce((acc, x) => acc + x.games, 0) / sessions.length) * 10) / 10
+        : 0,
     };
 
-    const insight = getBehaviorInsight(stats);
-    const segment = insight.label;
-
-    if (profile?.segment !== segment) {
-      profile = await prisma.profile.update({
-        where: { userId: user.id },
-        data: { segment },
-      });
-    }
+    const consent = await consentForUser(user.id);
+    const recent = await recentAggregates(user.id, sessions, games.length);
 
     res.json({
       uid: user.uid,
       createdAt: user.createdAt,
+      consent,
       meta: {
         tz: user.tz,
         lang: user.lang,
@@ -460,7 +1306,20 @@ router.get("/admin/users/:uid/profile", adminAuth, async (req, res) => {
       segment,
       insight,
       stats,
+      phases,
+      thinkTime,
+      attention,
       moves: flatMoves,
+      games: games.map((g) => ({
+        id: g.id,
+        createdAt: g.createdAt,
+        result: g.result,
+        endReason: g.endReason,
+        endedAt: g.endedAt,
+        plies: g.moves.length,
+        stats: recent.games.find((x) => x.id === g.id)?.stats ?? null,
+      })),
+      sessions: recent.sessions,
       recentEvents: events.slice(0, 25),
     });
   } catch (err) {
@@ -480,6 +1339,8 @@ router.get("/admin/users/:uid/events", adminAuth, async (req, res) => {
       Math.max(1, parseInt(req.query.take ?? "200", 10))
     );
 
+    await audit(req, "events.read", { targetUid: uid, details: { take } });
+
     const events = await prisma.event.findMany({
       where: { userId: user.id },
       orderBy: { ts: "desc" },
@@ -493,27 +1354,672 @@ router.get("/admin/users/:uid/events", adminAuth, async (req, res) => {
   }
 });
 
-router.post("/admin/users/:uid/interventions", adminAuth, async (req, res) => {
+// registered event types + how often each was stored / quarantined
+router.get("/admin/event-types", adminAuth, async (req, res) => {
+  try {
+    const [stored, quarantined] = await Promise.all([
+      prisma.event.groupBy({ by: ["type"], _count: { _all: true } }),
+      prisma.quarantinedEvent.groupBy({ by: ["type", "reason"], _count: { _all: true } }),
+    ]);
+
+    const storedByType = new Map(stored.map((r) => [r.type, r._count._all]));
+    const quarantinedByType = new Map();
+    for (const r of quarantined) {
+      quarantinedByType.set(r.type, (quarantinedByType.get(r.type) ?? 0) + r._count._all);
+    }
+
+    const types = listEventTypes().map((t) => ({
+      ...t,
+      stored: storedByType.get(t.type) ?? 0,
+      quarantined: quarantinedByType.get(t.type) ?? 0,
+    }));
+
+    // types the frontend sends that nobody registered yet
+    const unregistered = quarantined
+      .filter((r) => r.reason === "unknown_type")
+      .map((r) => ({ type: r.type, quarantined: r._count._all }))
+      .sort((a, b) => b.quarantined - a.quarantined);
+
+    res.json({ policy: UNKNOWN_EVENT_POLICY, types, unregistered });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// budgets + clients that hit them most (uid or hashed IP)
+router.get("/admin/rate-limits", adminAuth, async (req, res) => {
+  try {
+    await flushRateLimitHits();
+
+    const offenders = await prisma.rateLimitHit.findMany({
+      orderBy: { count: "desc" },
+      take: 50,
+    });
+
+    res.json({ budgets: RATE_BUDGETS, offenders });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ===== Segmentation rule sets =====
+// GET /api/admin/segment-rules -> every version + what the editor may use
+router.get("/admin/segment-rules", adminAuth, async (req, res) => {
+  try {
+    const [active, ruleSets] = await Promise.all([activeRuleSet(), listRuleSets()]);
+    res.json({
+      activeVersion: active.version,
+      ruleSets,
+      builtIn: BUILT_IN_RULE_SET,
+      metrics: SEGMENT_METRICS,
+      ops: SEGMENT_OPS,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/admin/segment-rules/preview { rules } -> how existing profiles would be labelled
+router.post("/admin/segment-rules/preview", adminAuth, requireRole("operator"), async (req, res) => {
+  try {
+    const checked = validateRuleSet(req.body?.rules);
+    if (!checked.ok) return res.status(400).json({ error: checked.error, details: checked.details });
+
+    res.json(await previewRuleSet(checked.rules));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+async function saveRuleSetDraft(req, res, version) {
+  try {
+    const r = await saveDraft({
+      version,
+      name: req.body?.name,
+      rules: req.body?.rules,
+      admin: req.admin,
+    });
+    if (!r.ok) return res.status(r.status).json({ error: r.error, details: r.details });
+
+    await audit(req, "segments.draft", {
+      details: { version: r.ruleSet.version, name: r.ruleSet.name, created: version == null },
+    });
+    res.status(version == null ? 201 : 200).json({ ok: true, ruleSet: r.ruleSet });
+  } catch (err) {
+    console.error("SEGMENT RULES SAVE ERROR:", err);
+    res.status(500).json({ error: "Server error", code: err?.code });
+  }
+}
+
+// POST /api/admin/segment-rules { name, rules } -> new draft version
+router.post("/admin/segment-rules", adminAuth, requireRole("operator"), (req, res) =>
+  saveRuleSetDraft(req, res, null)
+);
+
+// PUT /api/admin/segment-rules/:version { name, rules } -> edit a draft
+router.put("/admin/segment-rules/:version", adminAuth, requireRole("operator"), (req, res) => {
+  const version = parseInt(req.params.version, 10);
+  if (!Number.isFinite(version)) return res.status(400).json({ error: "Invalid version" });
+  return saveRuleSetDraft(req, res, version);
+});
+
+// POST /api/admin/segment-rules/:version/activate -> relabels every profile
+router.post(
+  "/admin/segment-rules/:version/activate",
+  adminAuth,
+  requireRole("owner"),
+  async (req, res) => {
+    try {
+      const version = parseInt(req.params.version, 10);
+      if (!Number.isFinite(version)) return res.status(400).json({ error: "Invalid version" });
+
+      const r = await activateRuleSet(version, req.admin);
+      if (!r.ok) return res.status(r.status).json({ error: r.error, details: r.details });
+
+      await audit(req, "segments.activate", {
+        details: { version, name: r.ruleSet.name, relabeled: r.relabeled },
+      });
+      res.json(r);
+    } catch (err) {
+      console.error("SEGMENT RULES ACTIVATE ERROR:", err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/admin/retention -> policy per event type, rollup totals, recent job runs
+router.get("/admin/retention", adminAuth, async (req, res) => {
+  try {
+    const [runs, rollups] = await Promise.all([
+      prisma.retentionRun.findMany({ orderBy: { startedAt: "desc" }, take: 10 }),
+      prisma.eventRollup.groupBy({
+        by: ["type"],
+        _sum: { count: true },
+        _count: { _all: true },
+        _min: { day: true },
+      }),
+    ]);
+
+    res.json({
+      policy: retentionPolicy(),
+      intervalHours: RETENTION_INTERVAL_HOURS,
+      running: retentionJobRunning(),
+      runs,
+      rollups: rollups.map((r) => ({
+        type: r.type,
+        events: r._sum.count ?? 0,
+        rows: r._count._all,
+        since: r._min.day,
+      })),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/admin/retention/run -> run the job now (waits for it)
+router.post("/admin/retention/run", adminAuth, requireRole("owner"), async (req, res) => {
+  try {
+    const run = await runRetention("admin");
+    await audit(req, "retention.run", {
+      details: { runId: run.id, status: run.status, deleted: run.deleted, rolledUp: run.rolledUp },
+    });
+    res.json({ ok: run.status === "ok", run });
+  } catch (err) {
+    console.error("RETENTION RUN ERROR:", err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/admin/games/:gameId/analysis -> per-ply eval/cpLoss/quality + accuracy
+router.get("/admin/games/:gameId/analysis", adminAuth, async (req, res) => {
+  try {
+    const game = await prisma.game.findUnique({
+      where: { id: req.params.gameId },
+      include: {
+        user: { select: { uid: true } },
+        moves: { orderBy: { ply: "asc" } },
+      },
+    });
+    if (!game) return res.status(404).json({ error: "Not found" });
+
+    await audit(req, "game.analysis", {
+      targetUid: game.user?.uid ?? null,
+      details: { gameId: game.id },
+    });
+
+    const analysis = await analyseGame(game.moves, { search: searchPositionAsync });
+
+    res.json({
+      gameId: game.id,
+      uid: game.user?.uid ?? null,
+      createdAt: game.createdAt,
+      result: game.result,
+      endReason: game.endReason,
+      ...analysis,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/admin/games/:gameId/pgn -> single game as PGN
+router.get("/admin/games/:gameId/pgn", adminAuth, async (req, res) => {
+  try {
+    const game = await prisma.game.findUnique({
+      where: { id: req.params.gameId },
+      include: {
+        user: { select: { uid: true } },
+        moves: { orderBy: { ply: "asc" } },
+      },
+    });
+    if (!game) return res.status(404).json({ error: "Not found" });
+
+    await audit(req, "pgn.export", { targetUid: game.user.uid, details: { gameId: game.id } });
+
+    const modes = (await botModesByGame(game.userId)).get(game.id);
+
+    const pgn = gameToPgn({
+      game,
+      uid: game.user.uid,
+      moves: game.moves,
+      botModes: [...(modes ?? [])],
+    });
+
+    sendPgn(res, `chessmirror-${game.id}.pgn`, pgn);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/admin/users/:uid/pgn -> every game of a uid (oldest first)
+router.get("/admin/users/:uid/pgn", adminAuth, async (req, res) => {
   try {
     const uid = req.params.uid;
     const user = await prisma.user.findUnique({ where: { uid } });
     if (!user) return res.status(404).json({ error: "Not found" });
 
-    const interventions = req.body?.interventions ?? {};
-    const decision = await prisma.adminDecision.create({
-      data: {
+    await audit(req, "pgn.export", { targetUid: uid, details: { allGames: true } });
+
+    const games = await prisma.game.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: "asc" },
+      include: { moves: { orderBy: { ply: "asc" } } },
+    });
+
+    const modesByGame = await botModesByGame(user.id);
+
+    const pgn = games
+      .filter((g) => g.moves.length > 0)
+      .map((g) =>
+        gameToPgn({
+          game: g,
+          uid,
+          moves: g.moves,
+          botModes: [...(modesByGame.get(g.id) ?? [])],
+        })
+      )
+      .join("\n");
+
+    sendPgn(res, `chessmirror-${uid}.pgn`, pgn);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/admin/users/:uid/import-pgn { pgn, playerColor? }
+// Seeds games like played ones: same validation, labelling and profile counters.
+// The side that isn't the player is stored as bot moves.
+// Each game is stored in one transaction (all plies or nothing), the profile / segment update once per game.
+router.post("/admin/users/:uid/import-pgn", adminAuth, requireRole("operator"), async (req, res) => {
+  try {
+    const uid = req.params.uid;
+    const { pgn, playerColor } = req.body || {};
+
+    if (!pgn || typeof pgn !== "string") {
+      return res.status(400).json({ error: "pgn required" });
+    }
+    if (playerColor != null && playerColor !== "w" && playerColor !== "b") {
+      return res.status(400).json({ error: "playerColor must be w or b" });
+    }
+
+    const parsedGames = parsePgnGames(pgn);
+    if (parsedGames.length === 0) {
+      return res.status(400).json({ error: "No games found in PGN" });
+    }
+    if (parsedGames.length > MAX_IMPORT_GAMES) {
+      return res
+        .status(400)
+        .json({ error: `Too many games (max ${MAX_IMPORT_GAMES} per import)` });
+    }
+
+    if (await isUidErased(uid)) return res.status(410).json({ error: "uid was erased" });
+
+    const user = await getOrCreateUser(uid, {});
+    if (!user) return res.status(500).json({ error: "User create failed" });
+
+    const imported = [];
+    const errors = [];
+    let engineBudget = IMPORT_ENGINE_MOVES;
+
+    for (const g of parsedGames) {
+      if (g.error) {
+        errors.push({ index: g.index, error: g.error });
+        continue;
+      }
+      if (g.moves.length === 0) {
+        errors.push({ index: g.index, error: "Game has no moves" });
+        continue;
+      }
+
+      const color =
+        playerColor ??
+        (g.headers.Black === uid && g.headers.White !== uid ? "b" : "w");
+
+      // validate every ply first: an illegal move stores nothing of the game
+      const plies = [];
+      let illegalAt = null;
+      for (const m of g.moves) {
+        const input = { ...m, isBot: m.color !== color };
+        const checked = checkMove(input);
+        if (!checked) {
+          illegalAt = m.ply;
+          break;
+        }
+        plies.push({ input, checked });
+      }
+      if (illegalAt != null) {
+        errors.push({ index: g.index, error: `Illegal move at ply ${illegalAt}` });
+        continue;
+      }
+
+      // labels in the worker; engine evals for at most IMPORT_ENGINE_MOVES player moves per
+      // import, the rest stay without
+      const rows = [];
+      for (const { input, checked } of plies) {
+        const graded = await gradeMove(input, checked);
+        let engine = null;
+        if (!input.isBot && engineBudget > 0) {
+          engineBudget -= 1;
+          engine = await engineEval(input.fenBefore, graded.playedUci);
+        }
+        rows.push(moveRow(input, graded, engine));
+      }
+
+      const { game, profile } = await prisma.$transaction(async (tx) => {
+        const game = await tx.game.create({
+          data: {
+            userId: user.id,
+            createdAt: headerDate(g.headers) ?? undefined,
+            result: resultForPlayer(g.headers.Result, color),
+          },
+          select: { id: true, result: true },
+        });
+        await tx.move.createMany({
+          data: rows.map((r) => ({ ...r, gameId: game.id })),
+        });
+
+        const prev = await ensureProfile(user.id, tx);
+        const profile = await tx.profile.update({
+          where: { userId: user.id },
+          data: profileAfterMoves(prev, rows.filter((r) => !r.isBot)),
+        });
+        return { game, profile };
+      });
+
+      await refreshSegment(user.id, { profile, reason: "move" });
+
+      imported.push({
+        index: g.index,
+        gameId: game.id,
+        plies: rows.length,
+        playerColor: color,
+        result: game.result,
+      });
+    }
+
+    await audit(req, "pgn.import", {
+      targetUid: uid,
+      details: { games: imported.map((g) => g.gameId), errors: errors.length },
+    });
+
+    res.json({ ok: true, uid, imported, errors });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error", code: err?.code });
+  }
+});
+
+router.post(
+  "/admin/users/:uid/interventions",
+  adminAuth,
+  requireRole("operator"),
+  async (req, res) => {
+    try {
+      const uid = req.params.uid;
+      const user = await prisma.user.findUnique({ where: { uid } });
+      if (!user) return res.status(404).json({ error: "Not found" });
+
+      const interventions = req.body?.interventions ?? {};
+      const previous = await prisma.adminDecision.findFirst({
+        where: { userId: user.id },
+        orderBy: { createdAt: "desc" },
+      });
+
+      // decision + audit row together: a change is never stored without its trace
+      const [decision] = await prisma.$transaction([
+        prisma.adminDecision.create({
+          data: {
+            userId: user.id,
+            interventions,
+          },
+        }),
+        prisma.adminAuditLog.create({
+          data: auditRow(req, "interventions.set", {
+            targetUid: uid,
+            details: { before: previous?.interventions ?? null, after: interventions },
+          }),
+        }),
+      ]);
+
+      res.json({ ok: true, decisionId: decision.id });
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: "Server error" });
+    }
+  }
+);
+
+// GET /api/admin/users/:uid/segment-history -> label changes + interventions in force at each
+router.get("/admin/users/:uid/segment-history", adminAuth, async (req, res) => {
+  try {
+    const uid = req.params.uid;
+    const user = await prisma.user.findUnique({ where: { uid } });
+    if (!user) return res.status(404).json({ error: "Not found" });
+
+    await audit(req, "profile.read", { targetUid: uid, details: { view: "segment-history" } });
+
+    const { timeline, decisions } = await segmentTimeline(user.id, DEFAULT_INTERVENTIONS);
+    res.json({ uid, defaults: DEFAULT_INTERVENTIONS, timeline, decisions });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/admin/users/:uid/heatmap?gameId=&sessionId=&from=&to= -> hovers per square (src/heatmap.js)
+router.get("/admin/users/:uid/heatmap", adminAuth, async (req, res) => {
+  try {
+    const uid = req.params.uid;
+    const user = await prisma.user.findUnique({ where: { uid } });
+    if (!user) return res.status(404).json({ error: "Not found" });
+
+    const r = await hoverHeatmap({
+      userId: user.id,
+      gameId: req.query.gameId ? String(req.query.gameId) : null,
+      sessionId: req.query.sessionId ? String(req.query.sessionId) : null,
+      from: req.query.from,
+      to: req.query.to,
+    });
+    if (!r.ok) return res.status(r.status).json({ error: r.error });
+
+    await audit(req, "profile.read", { targetUid: uid, details: { view: "heatmap" } });
+    res.json({ uid, ...r.heatmap });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// GET /api/admin/users/:uid/attention?sessionId= -> away / idle / moves timeline of one session
+// (latest session without sessionId; analysis/attention.js)
+router.get("/admin/users/:uid/attention", adminAuth, async (req, res) => {
+  try {
+    const uid = req.params.uid;
+    const user = await prisma.user.findUnique({ where: { uid } });
+    if (!user) return res.status(404).json({ error: "Not found" });
+
+    const session = await prisma.session.findFirst({
+      where: {
         userId: user.id,
-        interventions,
+        ...(req.query.sessionId ? { id: String(req.query.sessionId) } : {}),
       },
+      orderBy: { startedAt: "desc" },
+    });
+    if (!session) return res.status(404).json({ error: "Session not found" });
+
+    await audit(req, "profile.read", {
+      targetUid: uid,
+      details: { view: "attention", sessionId: session.id },
     });
 
-    res.json({ ok: true, decisionId: decision.id });
+    const [events, moves] = await Promise.all([
+      prisma.event.findMany({
+        where: {
+          userId: user.id,
+          sessionId: session.id,
+          type: { in: [...ATTENTION_EVENT_TYPES, ...IDLE_EVENT_TYPES] },
+        },
+        orderBy: { ts: "asc" },
+        select: { type: true, ts: true, payload: true },
+      }),
+      prisma.move.findMany({
+        where: {
+          isBot: false,
+          sessionId: session.id,
+          droppedAt: { not: null },
+          game: { userId: user.id },
+        },
+        orderBy: { droppedAt: "asc" },
+      }),
+    ]);
+
+    res.json({
+      uid,
+      sessionId: session.id,
+      startedAt: session.startedAt,
+      ...attentionTimeline(events, moves),
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: "Server error" });
   }
 });
 
+// GET /api/admin/heatmap?from=&to= -> hovers per square across all users
+router.get("/admin/heatmap", adminAuth, async (req, res) => {
+  try {
+    const r = await hoverHeatmap({ from: req.query.from, to: req.query.to });
+    if (!r.ok) return res.status(r.status).json({ error: r.error });
+    res.json({ uid: null, ...r.heatmap });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// DELETE /api/admin/users/:uid/events -> drop the raw event log of a uid (owner only)
+// moves, games and profile counters stay
+router.delete("/admin/users/:uid/events", adminAuth, requireRole("owner"), async (req, res) => {
+  try {
+    const uid = req.params.uid;
+    const user = await prisma.user.findUnique({ where: { uid } });
+    if (!user) return res.status(404).json({ error: "Not found" });
+
+    const [deleted] = await prisma.$transaction([
+      prisma.event.deleteMany({ where: { userId: user.id } }),
+      prisma.quarantinedEvent.deleteMany({ where: { uid } }),
+    ]);
+
+    await audit(req, "events.delete", { targetUid: uid, details: { events: deleted.count } });
+
+    res.json({ ok: true, deleted: deleted.count });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ===== Erasure (owner only) =====
+router.get("/admin/erasure-requests", adminAuth, requireRole("owner"), async (req, res) => {
+  try {
+    const [pending, handled, tombstones] = await Promise.all([
+      prisma.erasureRequest.findMany({
+        where: { status: "pending" },
+        orderBy: { requestedAt: "asc" },
+      }),
+      prisma.erasureRequest.findMany({
+        where: { status: { not: "pending" } },
+        orderBy: { handledAt: "desc" },
+        take: 20,
+      }),
+      prisma.erasureTombstone.count(),
+    ]);
+
+    res.json({ pending, handled, tombstones });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// POST /api/admin/users/:uid/erase { mode: erase | anonymise }
+router.post("/admin/users/:uid/erase", adminAuth, requireRole("owner"), async (req, res) => {
+  try {
+    const uid = req.params.uid;
+    const mode = req.body?.mode;
+
+    const r = await eraseUser({ uid, mode, admin: req.admin });
+    if (!r.ok) return res.status(r.status).json({ error: r.error });
+
+    // only the tombstone's hash: the audit trail must not name the uid or its holder
+    await audit(req, mode === "anonymise" ? "user.anonymise" : "user.erase", {
+      targetUid: erasedAuditTarget(uid),
+      details: { removed: r.removed, kept: r.kept },
+    });
+
+    res.json(r);
+  } catch (err) {
+    console.error("ERASE ERROR:", err);
+    res.status(500).json({ error: "Server error", code: err?.code });
+  }
+});
+
+// GET /api/admin/audit?admin=&action=&uid=&before=&take= -> newest first (owner only)
+router.get("/admin/audit", adminAuth, requireRole("owner"), async (req, res) => {
+  try {
+    const take = Math.min(200, Math.max(1, parseInt(req.query.take ?? "50", 10) || 50));
+    const before = req.query.before ? new Date(String(req.query.before)) : null;
+
+    const where = {};
+    if (req.query.admin) where.adminUsername = String(req.query.admin);
+    if (req.query.action) where.action = String(req.query.action);
+    // an erased uid is found under its hash
+    if (req.query.uid) {
+      const uid = String(req.query.uid);
+      where.targetUid = { in: [uid, erasedAuditTarget(uid)] };
+    }
+    if (before && !Number.isNaN(before.getTime())) where.createdAt = { lt: before };
+
+    // one extra row tells whether there is an older page
+    const rows = await prisma.adminAuditLog.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      take: take + 1,
+    });
+    const entries = rows.slice(0, take);
+
+    const admins = await prisma.adminUser.findMany({
+      select: { username: true, role: true },
+      orderBy: { username: "asc" },
+    });
+
+    res.json({
+      entries,
+      nextBefore: rows.length > take ? entries[entries.length - 1].createdAt : null,
+      actions: AUDIT_ACTIONS,
+      admins,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Server error" });
+  }
+});
+
+// ✅ defaults (WMD)
+const DEFAULT_INTERVENTIONS = {
+  nudgeTakeASecond: true,
+  confirmMoves: false,
+};
+
 /**
  * ✅ FIX: interventions should never be empty anymore
  * Default behavior:
@@ -527,16 +2033,10 @@ router.get("/interventions/:uid", async (req, res) => {
   try {
     const uid = req.params.uid;
 
-    // ✅ defaults (WMD)
-    const defaults = {
-      nudgeTakeASecond: true,
-      confirmMoves: false,
-    };
-
     const user = await prisma.user.findUnique({ where: { uid } });
 
     // user not created yet -> still return defaults
-    if (!user) return res.json({ interventions: defaults });
+    if (!user) return res.json({ interventions: DEFAULT_INTERVENTIONS });
 
     const last = await prisma.adminDecision.findFirst({
       where: { userId: user.id },
@@ -545,7 +2045,7 @@ router.get("/interventions/:uid", async (req, res) => {
 
     // merge: admin overrides defaults
     const merged = {
-      ...defaults,
+      ...DEFAULT_INTERVENTIONS,
       ...(last?.interventions ?? {}),
     };
 
@@ -0,0 +1,53 @@
+import { prisma } from "../prisma.js";
+import { replayMoves } from "../analysis/replay.js";
+import { classifyPhase } from "../analysis/gamePhase.js";
+
+/**
+ * Fill Move.phase for moves recorded before phases existed (replays each game):
+ *   npm run moves:phases
+ * Rows after a gap / illegal row stay null, like they are skipped by the game analysis.
+ */
+
+const PAGE_SIZE = 200;
+
+async function main() {
+  let cursor = null;
+  let games = 0;
+  let updated = 0;
+
+  for (;;) {
+    const page = await prisma.game.findMany({
+      where: { moves: { some: { phase: null } } },
+      take: PAGE_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+      orderBy: { id: "asc" },
+      include: { moves: true },
+    });
+    if (!page.length) break;
+
+    for (const game of page) {
+      const { steps } = replayMoves(game.moves);
+      for (const { move, played } of steps) {
+        if (move.phase) continue;
+        await prisma.move.update({
+          where: { id: move.id },
+          data: { phase: classifyPhase(played.before, move.ply) },
+        });
+        updated += 1;
+      }
+      games += 1;
+    }
+
+    if (page.length < PAGE_SIZE) break;
+    cursor = page[page.length - 1].id;
+  }
+
+  console.log(`Phases filled in for ${updated} move(s) in ${games} game(s)`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
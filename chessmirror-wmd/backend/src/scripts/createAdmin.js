@@ -0,0 +1,68 @@
+import readline from "readline";
+import { prisma } from "../prisma.js";
+import { createAdminUser, ADMIN_ROLES } from "../adminAccounts.js";
+
+/**
+ * Bootstrap an admin account:
+ *   npm run admin:create -- <username> [--role viewer|operator|owner]
+ *   docker compose exec api npm run admin:create -- <username>
+ * Password is asked interactively, or read from ADMIN_BOOTSTRAP_PASSWORD (no TTY).
+ * Without --role the first account becomes owner, later ones viewer.
+ */
+
+function askHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+      terminal: true,
+    });
+    // echo the question, not the typed password
+    rl._writeToOutput = (s) => {
+      if (s.includes(question)) rl.output.write(s);
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write("\n");
+      resolve(answer);
+    });
+  });
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const roleAt = args.indexOf("--role");
+  const roleArg = roleAt >= 0 ? args[roleAt + 1] : null;
+  const [username] = args.filter((_, i) => roleAt < 0 || (i !== roleAt && i !== roleAt + 1));
+
+  if (!username || (roleAt >= 0 && !ADMIN_ROLES.includes(roleArg))) {
+    console.error(`Usage: npm run admin:create -- <username> [--role ${ADMIN_ROLES.join("|")}]`);
+    process.exit(1);
+  }
+
+  let password = process.env.ADMIN_BOOTSTRAP_PASSWORD;
+  if (!password) {
+    if (!process.stdin.isTTY) {
+      console.error("No TTY: set ADMIN_BOOTSTRAP_PASSWORD");
+      process.exit(1);
+    }
+    password = await askHidden("Password: ");
+    const again = await askHidden("Repeat password: ");
+    if (password !== again) {
+      console.error("Passwords do not match");
+      process.exit(1);
+    }
+  }
+
+  const role = roleArg ?? ((await prisma.adminUser.count()) === 0 ? "owner" : "viewer");
+
+  const admin = await createAdminUser(username, password, role);
+  console.log(`Admin "${admin.username}" created as ${admin.role} (${admin.id})`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err?.code === "P2002" ? "Username already exists" : err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
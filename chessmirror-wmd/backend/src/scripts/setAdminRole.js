@@ -0,0 +1,25 @@
+import { prisma } from "../prisma.js";
+import { setAdminRole, ADMIN_ROLES } from "../adminAccounts.js";
+
+/**
+ * Change the role of an existing admin account:
+ *   npm run admin:role -- <username> <viewer|operator|owner>
+ */
+
+async function main() {
+  const [username, role] = process.argv.slice(2);
+  if (!username || !ADMIN_ROLES.includes(role)) {
+    console.error(`Usage: npm run admin:role -- <username> <${ADMIN_ROLES.join("|")}>`);
+    process.exit(1);
+  }
+
+  const admin = await setAdminRole(username, role);
+  console.log(`Admin "${admin.username}" is now ${admin.role}`);
+}
+
+main()
+  .catch((err) => {
+    console.error(err?.code === "P2025" ? "Unknown username" : err?.message || err);
+    process.exitCode = 1;
+  })
+  .finally(() => prisma.$disconnect());
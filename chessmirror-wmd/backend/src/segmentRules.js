@@ -0,0 +1,369 @@
+import { Prisma } from "@prisma/client";
+import { prisma } from "./prisma.js";
+import {
+  DEFAULT_RULE_SET,
+  evaluateSegment,
+  segmentStats,
+  validateRuleSet,
+} from "./analysis/segmentation.js";
+import { phaseStats } from "./analysis/gamePhase.js";
+import { EWMA_MOVES, THINK_TIME_BUCKETS, thinkTimeDistribution } from "./analysis/thinkTime.js";
+import { attentionSummary } from "./analysis/attention.js";
+
+/**
+ * Versioned segmentation rule sets (SegmentRuleSet rows):
+ * - draft:   editable by operators, can be previewed against every existing profile
+ * - active:  at most one; labels every profile (Profile.ruleSetVersion records which)
+ * - retired: previously active, kept for reference
+ * Without an active row the built-in DEFAULT_RULE_SET (version 0) is used.
+ * Every label change is kept as a SegmentSnapshot (the label history of a user).
+ */
+
+export const BUILT_IN_RULE_SET = {
+  version: 0,
+  name: "Built-in defaults",
+  status: "active",
+  rules: DEFAULT_RULE_SET,
+};
+
+const PAGE_SIZE = 500;
+const PREVIEW_SAMPLES = 50;
+
+let activeCache = null; // one API process: cleared on activation
+
+export async function activeRuleSet() {
+  if (activeCache) return activeCache;
+
+  const row = await prisma.segmentRuleSet.findFirst({
+    where: { status: "active" },
+    orderBy: { version: "desc" },
+  });
+  const checked = row && validateRuleSet(row.rules);
+  if (row && !checked.ok) console.error(`SEGMENT RULES v${row.version} INVALID, using built-in`);
+
+  activeCache = checked?.ok ? { ...row, rules: checked.rules } : BUILT_IN_RULE_SET;
+  return activeCache;
+}
+
+// all-time hovers per user: raw events + rolled-up days (src/retention.js)
+export async function hoverCounts(userIds) {
+  const [raw, rolled] = await Promise.all([
+    prisma.event.groupBy({
+      by: ["userId"],
+      where: { userId: { in: userIds }, type: "hover" },
+      _count: { _all: true },
+    }),
+    prisma.eventRollup.groupBy({
+      by: ["userId"],
+      where: { userId: { in: userIds }, type: "hover" },
+      _sum: { count: true },
+    }),
+  ]);
+
+  const counts = new Map();
+  for (const r of raw) counts.set(r.userId, r._count._all);
+  for (const r of rolled) counts.set(r.userId, (counts.get(r.userId) ?? 0) + (r._sum.count ?? 0));
+  return counts;
+}
+
+/**
+ * Statistics that need the user's Move rows (player moves only), aggregated in SQL so a
+ * refresh costs a few grouped queries instead of loading every move:
+ * - phases:    per-phase think time / blunder rate / hover density (analysis/gamePhase.js)
+ * - thinkTime: think-time distribution (analysis/thinkTime.js); EWMA over the last EWMA_MOVES
+ * - attention: attention score from the linked moves (analysis/attention.js)
+ * Think time = time on the tab (activeThinkTimeMs once linked, else thinkTimeMs).
+ * @returns Map userId -> { phases, thinkTime, attention }
+ */
+export async function moveStatsByUser(userIds) {
+  if (!userIds.length) return new Map();
+  const users = Prisma.join(userIds);
+  const think = Prisma.sql`COALESCE(m."activeThinkTimeMs", m."thinkTimeMs")`;
+  const playerMoves = Prisma.sql`
+    FROM "Move" m JOIN "Game" g ON g."id" = m."gameId"
+    WHERE m."isBot" = false AND g."userId" IN (${users})`;
+
+  // GROUPING(phase) = 1: the user's row over all moves (moves without a phase only count there)
+  const [groups, buckets, recent] = await Promise.all([
+    prisma.$queryRaw`
+      SELECT g."userId", m."phase", GROUPING(m."phase") AS "overall",
+        COUNT(*)::int AS "moves",
+        (COUNT(*) FILTER (WHERE m."quality" = 'blunder'))::int AS "blunders",
+        AVG(${think})::float AS "meanThinkMs",
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY ${think}) AS "medianThinkMs",
+        percentile_cont(0.1) WITHIN GROUP (ORDER BY ${think}) AS "p10Ms",
+        percentile_cont(0.9) WITHIN GROUP (ORDER BY ${think}) AS "p90Ms",
+        stddev_pop(${think})::float AS "stdDevMs",
+        COALESCE(SUM(m."hoverCount"), 0)::int AS "hovers",
+        COUNT(m."hoverCount")::int AS "hoverMoves",
+        COUNT(m."awayMs")::int AS "linkedMoves",
+        COALESCE(SUM(m."thinkTimeMs") FILTER (WHERE m."awayMs" IS NOT NULL), 0)::float AS "thinkMs",
+        COALESCE(SUM(m."awayMs"), 0)::float AS "awayMs",
+        (COUNT(*) FILTER (WHERE m."afterReturn"))::int AS "movesAfterReturn"
+      ${playerMoves}
+      GROUP BY GROUPING SETS ((g."userId", m."phase"), (g."userId"))`,
+    prisma.$queryRaw`
+      SELECT g."userId",
+        width_bucket(${think}, ${THINK_TIME_BUCKETS}::int[]) AS "bucket",
+        COUNT(*)::int AS "count"
+      ${playerMoves}
+      GROUP BY 1, 2`,
+    prisma.$queryRaw`
+      SELECT "userId", "thinkMs" FROM (
+        SELECT g."userId", ${think} AS "thinkMs", m."createdAt", m."gameId", m."ply",
+          -- an import stores a whole game with one createdAt: game + ply keep the order stable
+          ROW_NUMBER() OVER (
+            PARTITION BY g."userId" ORDER BY m."createdAt" DESC, m."gameId" DESC, m."ply" DESC
+          ) AS "n"
+        ${playerMoves}
+      ) r
+      WHERE "n" <= ${EWMA_MOVES}
+      ORDER BY "userId", "createdAt" ASC, "gameId" ASC, "ply" ASC`,
+  ]);
+
+  const byUser = new Map(
+    userIds.map((id) => [id, { phases: [], overall: null, buckets: new Map(), recent: [] }])
+  );
+  for (const r of groups) {
+    const x = byUser.get(r.userId);
+    if (!x) continue;
+    if (r.overall) x.overall = r;
+    else if (r.phase) x.phases.push(r);
+  }
+  for (const r of buckets) byUser.get(r.userId)?.buckets.set(r.bucket, r.count);
+  for (const r of recent) byUser.get(r.userId)?.recent.push(r.thinkMs);
+
+  const result = new Map();
+  for (const [userId, x] of byUser) {
+    const o = x.overall;
+    result.set(userId, {
+      phases: phaseStats(x.phases),
+      thinkTime: thinkTimeDistribution(
+        o && { ...o, samples: o.moves, meanMs: o.meanThinkMs, medianMs: o.medianThinkMs },
+        x.buckets,
+        x.recent
+      ),
+      attention: attentionSummary(o ?? {}),
+    });
+  }
+  return result;
+}
+
+// profile.update + snapshot of the transition in one transaction
+async function storeLabel(profile, insight, stats, reason) {
+  const data = { segment: insight.label, ruleSetVersion: insight.ruleSetVersion };
+  if (profile.segment === insight.label) {
+    return prisma.profile.update({ where: { id: profile.id }, data });
+  }
+
+  const [updated] = await prisma.$transaction([
+    prisma.profile.update({ where: { id: profile.id }, data }),
+    prisma.segmentSnapshot.create({
+      data: {
+        userId: profile.userId,
+        segment: insight.label,
+        previous: profile.segment,
+        ruleSetVersion: insight.ruleSetVersion,
+        ruleId: insight.ruleId,
+        reason,
+        stats,
+      },
+    }),
+  ]);
+  return updated;
+}
+
+/**
+ * Evaluate the active rule set for one user and store label + version when they changed.
+ * @param profile pass a freshly updated profile to skip the read
+ * @param reason  what triggered it (move / hint / profile), kept on the snapshot
+ * @returns { profile, insight, stats, hoverCount, phases, thinkTime, attention }
+ */
+export async function refreshSegment(userId, { profile, reason = "profile" } = {}) {
+  const current = profile ?? (await prisma.profile.findUnique({ where: { userId } }));
+  const [hovers, moveStats] = await Promise.all([
+    hoverCounts([userId]),
+    moveStatsByUser([userId]),
+  ]);
+  const hoverCount = hovers.get(userId) ?? 0;
+  const { phases, thinkTime, attention } = moveStats.get(userId);
+  const stats = segmentStats(current, hoverCount, { phases, thinkTime, attention });
+  const insight = evaluateSegment(await activeRuleSet(), stats);
+
+  let updated = current;
+  if (
+    current &&
+    (current.segment !== insight.label || current.ruleSetVersion !== insight.ruleSetVersion)
+  ) {
+    updated = await storeLabel(current, insight, stats, reason);
+  }
+
+  return {
+    profile: updated,
+    insight: { ...insight, phases },
+    stats,
+    hoverCount,
+    phases,
+    thinkTime,
+    attention,
+  };
+}
+
+// every profile, PAGE_SIZE at a time -> fn(profile, insight, stats)
+async function forEachLabel(ruleSet, fn) {
+  let cursor = null;
+  for (;;) {
+    const page = await prisma.profile.findMany({
+      take: PAGE_SIZE,
+      ...(cursor ? { skip: 1, cursor: { id: cursor } } : {}),
+      orderBy: { id: "asc" },
+      include: { user: { select: { uid: true } } },
+    });
+    if (!page.length) return;
+
+    const userIds = page.map((p) => p.userId);
+    const [hovers, moveStats] = await Promise.all([hoverCounts(userIds), moveStatsByUser(userIds)]);
+    for (const p of page) {
+      const stats = segmentStats(p, hovers.get(p.userId) ?? 0, moveStats.get(p.userId));
+      await fn(p, evaluateSegment(ruleSet, stats), stats);
+    }
+
+    if (page.length < PAGE_SIZE) return;
+    cursor = page[page.length - 1].id;
+  }
+}
+
+/**
+ * Label every existing profile with `rules` without storing anything.
+ * @returns { total, changed, current: {label: n}, next: {label: n}, transitions, samples }
+ */
+export async function previewRuleSet(rules, version = null) {
+  const result = { total: 0, changed: 0, current: {}, next: {}, transitions: {}, samples: [] };
+
+  await forEachLabel({ version, rules }, (p, insight) => {
+    result.total += 1;
+    result.current[p.segment] = (result.current[p.segment] ?? 0) + 1;
+    result.next[insight.label] = (result.next[insight.label] ?? 0) + 1;
+    if (p.segment === insight.label) return;
+
+    result.changed += 1;
+    const key = `${p.segment} → ${insight.label}`;
+    result.transitions[key] = (result.transitions[key] ?? 0) + 1;
+    if (result.samples.length < PREVIEW_SAMPLES) {
+      result.samples.push({ uid: p.user.uid, from: p.segment, to: insight.label, ruleId: insight.ruleId });
+    }
+  });
+
+  return result;
+}
+
+export async function listRuleSets() {
+  return prisma.segmentRuleSet.findMany({ orderBy: { version: "desc" } });
+}
+
+/**
+ * New draft (version omitted) or edit of an existing draft.
+ * @returns {{ ok: true, ruleSet } | { ok: false, status, error, details? }}
+ */
+export async function saveDraft({ version = null, name, rules, admin }) {
+  const checked = validateRuleSet(rules);
+  if (!checked.ok) return { ok: false, status: 400, error: checked.error, details: checked.details };
+  const label = String(name ?? "").trim().slice(0, 80);
+
+  if (version != null) {
+    const existing = await prisma.segmentRuleSet.findUnique({ where: { version } });
+    if (!existing) return { ok: false, status: 404, error: "Not found" };
+    if (existing.status !== "draft") {
+      return { ok: false, status: 409, error: "Only drafts can be edited" };
+    }
+
+    const ruleSet = await prisma.segmentRuleSet.update({
+      where: { version },
+      data: { name: label || existing.name, rules: checked.rules },
+    });
+    return { ok: true, ruleSet };
+  }
+
+  // versions are never reused; a concurrent draft with the same number fails on the unique
+  const last = await prisma.segmentRuleSet.aggregate({ _max: { version: true } });
+  const next = (last._max.version ?? 0) + 1;
+  const ruleSet = await prisma.segmentRuleSet.create({
+    data: {
+      version: next,
+      name: label || `Rule set v${next}`,
+      rules: checked.rules,
+      createdBy: admin?.username ?? null,
+    },
+  });
+  return { ok: true, ruleSet };
+}
+
+/**
+ * Draft -> active (the previous active one is retired), then relabel every profile.
+ * @returns {{ ok: true, ruleSet, relabeled } | { ok: false, status, error }}
+ */
+export async function activateRuleSet(version, admin) {
+  const existing = await prisma.segmentRuleSet.findUnique({ where: { version } });
+  if (!existing) return { ok: false, status: 404, error: "Not found" };
+  if (existing.status === "active") return { ok: false, status: 409, error: "Already active" };
+
+  const checked = validateRuleSet(existing.rules);
+  if (!checked.ok) return { ok: false, status: 400, error: checked.error, details: checked.details };
+
+  const ruleSet = await prisma.$transaction(async (tx) => {
+    await tx.segmentRuleSet.updateMany({ where: { status: "active" }, data: { status: "retired" } });
+    return tx.segmentRuleSet.update({
+      where: { version },
+      data: { status: "active", activatedAt: new Date(), activatedBy: admin?.username ?? null },
+    });
+  });
+  activeCache = null;
+
+  let relabeled = 0;
+  await forEachLabel({ version, rules: checked.rules }, async (p, insight, stats) => {
+    if (p.segment === insight.label && p.ruleSetVersion === version) return;
+    await storeLabel(p, insight, stats, "ruleset");
+    relabeled += 1;
+  });
+
+  return { ok: true, ruleSet, relabeled };
+}
+
+/**
+ * Label changes of one user, each with the interventions in force at that moment.
+ * @param defaults interventions without any admin decision (GET /api/interventions/:uid)
+ * @returns { timeline: [{ id, at, segment, previous, ..., interventions, decisionId }], decisions }
+ */
+export async function segmentTimeline(userId, defaults) {
+  const [snapshots, decisions] = await Promise.all([
+    prisma.segmentSnapshot.findMany({ where: { userId }, orderBy: { createdAt: "asc" } }),
+    prisma.adminDecision.findMany({ where: { userId }, orderBy: { createdAt: "asc" } }),
+  ]);
+
+  let d = -1;
+  const timeline = snapshots.map((s) => {
+    while (d + 1 < decisions.length && decisions[d + 1].createdAt <= s.createdAt) d += 1;
+    const decision = decisions[d] ?? null;
+    return {
+      id: s.id,
+      at: s.createdAt,
+      segment: s.segment,
+      previous: s.previous,
+      ruleSetVersion: s.ruleSetVersion,
+      ruleId: s.ruleId,
+      reason: s.reason,
+      stats: s.stats,
+      interventions: { ...defaults, ...(decision?.interventions ?? {}) },
+      decisionId: decision?.id ?? null,
+    };
+  });
+
+  return {
+    timeline,
+    decisions: decisions.map((x) => ({
+      id: x.id,
+      at: x.createdAt,
+      interventions: { ...defaults, ...(x.interventions ?? {}) },
+    })),
+  };
+}
@@ -0,0 +1,90 @@
+import { prisma } from "./prisma.js";
+import { consentForUser } from "./consent.js";
+
+/**
+ * Everything stored about one uid, as one JSON bundle (GET /api/me/:uid/export).
+ * Internal ids of other people (admin accounts) are left out; hashed IPs are kept
+ * because they are stored for this uid.
+ */
+
+export const EXPORT_FORMAT_VERSION = 1;
+
+export async function buildUserExport(user) {
+  const [
+    profile,
+    sessions,
+    events,
+    rollups,
+    quarantined,
+    games,
+    decisions,
+    consents,
+    adminAccess,
+    snapshots,
+  ] = await Promise.all([
+    prisma.profile.findUnique({ where: { userId: user.id } }),
+    prisma.session.findMany({ where: { userId: user.id }, orderBy: { startedAt: "asc" } }),
+    prisma.event.findMany({ where: { userId: user.id }, orderBy: { ts: "asc" } }),
+    prisma.eventRollup.findMany({
+      where: { userId: user.id },
+      orderBy: [{ day: "asc" }, { type: "asc" }],
+    }),
+    prisma.quarantinedEvent.findMany({ where: { uid: user.uid }, orderBy: { ts: "asc" } }),
+    prisma.game.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: "asc" },
+      include: { moves: { orderBy: { ply: "asc" } } },
+    }),
+    prisma.adminDecision.findMany({
+      where: { userId: user.id },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.consent.findMany({ where: { userId: user.id }, orderBy: { createdAt: "asc" } }),
+    prisma.adminAuditLog.findMany({
+      where: { targetUid: user.uid },
+      orderBy: { createdAt: "asc" },
+      select: { action: true, createdAt: true },
+    }),
+    prisma.segmentSnapshot.findMany({ where: { userId: user.id }, orderBy: { createdAt: "asc" } }),
+  ]);
+
+  return {
+    format: "chessmirror-export",
+    version: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date(),
+    uid: user.uid,
+    user: {
+      createdAt: user.createdAt,
+      tz: user.tz,
+      lang: user.lang,
+      userAgent: user.userAgent,
+      screenW: user.screenW,
+      screenH: user.screenH,
+    },
+    consent: {
+      current: await consentForUser(user.id),
+      history: consents.map(withoutUserId),
+    },
+    profile: profile && withoutUserId(profile),
+    segmentHistory: snapshots.map(withoutUserId),
+    sessions: sessions.map(withoutUserId),
+    games: games.map(({ userId, moves, ...g }) => ({
+      ...g,
+      moves: moves.map(({ gameId, ...m }) => m),
+    })),
+    events: events.map(withoutUserId),
+    // raw events past their retention (src/retention.js), counted per day
+    eventRollups: rollups.map(withoutUserId),
+    quarantinedEvents: quarantined,
+    interventions: decisions.map(({ id, createdAt, interventions }) => ({
+      id,
+      createdAt,
+      interventions,
+    })),
+    adminAccess,
+  };
+}
+
+function withoutUserId({ userId, ...rest }) {
+  return rest;
+}
@@ -5,15 +5,25 @@ export function hashIp(ip) {
   return crypto.createHash("sha256").update(ip).digest("hex").slice(0, 16);
 }
 
-export function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
+// req.ip honours X-Forwarded-For only from the proxies in TRUST_PROXY (src/index.js);
+// a client-supplied header never picks the rate-limit / hash key
+export function clientIp(req) {
+  return req.ip || req.socket.remoteAddress || "unknown";
+}
+
+/**
+ * TRUST_PROXY -> Express "trust proxy" setting:
+ * unset / "false" = no proxy, "true" = any, a number = proxy hops, else addresses / subnets
+ * ("loopback, 10.0.0.0/8").
+ */
+export function trustProxySetting(raw) {
+  const v = String(raw ?? "").trim();
+  if (!v || v === "false") return false;
+  if (v === "true") return true;
+  if (/^\d+$/.test(v)) return parseInt(v, 10);
+  return v;
 }
 
-export function computeSegment(profile) {
-  // Very simple segmentation rules (good enough for WMD demo)
-  const blunderRate = profile.moveCount > 0 ? profile.blunderCount / profile.moveCount : 0;
-  if (profile.hintCount >= 5) return "learner";
-  if (profile.avgThinkTimeMs <= 2500 && blunderRate >= 0.15) return "impulsive";
-  if (profile.avgThinkTimeMs >= 7000 && blunderRate <= 0.08) return "careful";
-  return "unknown";
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
 }
@@ -7,6 +7,7 @@ import { attachGlobalTracking, track } from "./lib/tracker";
 export default function App() {
   const location = useLocation();
 
+  // listeners only: track() and sessions wait for the player's consent (lib/consent.js)
   useEffect(() => {
     attachGlobalTracking();
   }, []);
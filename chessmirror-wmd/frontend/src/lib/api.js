@@ -1,3 +1,5 @@
+import { hasConsent } from "./consent";
+
 const API_BASE = import.meta.env.VITE_API_BASE || "http://localhost:3001";
 
 async function safeJson(res) {
@@ -32,17 +34,49 @@ async function request(path, opts = {}) {
   return data;
 }
 
-export async function postEvent(event) {
-  return request("/api/track/event", {
+// plain-text responses (PGN export)
+async function requestText(path, opts = {}) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    mode: "cors",
+    credentials: "omit",
+    ...opts,
+  });
+
+  const text = await res.text();
+
+  if (!res.ok) {
+    const err = new Error(`HTTP ${res.status} ${res.statusText} on ${path}`);
+    err.status = res.status;
+    throw err;
+  }
+
+  return text;
+}
+
+export async function postEventBatch(events) {
+  return request("/api/track/batch", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     cache: "no-store",
-    body: JSON.stringify(event),
+    body: JSON.stringify({ events }),
   });
 }
 
-// ✅ helper: collect meta once (safe + trimmed)
+// page is going away: sendBeacon survives unload. text/plain avoids a CORS
+// preflight (the backend parses it). false = the browser refused it.
+export function beaconEventBatch(events) {
+  try {
+    if (!navigator.sendBeacon) return false;
+    const blob = new Blob([JSON.stringify({ events })], { type: "text/plain" });
+    return navigator.sendBeacon(`${API_BASE}/api/track/batch`, blob);
+  } catch {
+    return false;
+  }
+}
+
+// ✅ helper: collect meta once (safe + trimmed); nothing without deviceMeta consent
 function collectMeta() {
+  if (!hasConsent("deviceMeta")) return {};
   try {
     return {
       tz: Intl.DateTimeFormat().resolvedOptions().timeZone,
@@ -56,13 +90,82 @@ function collectMeta() {
   }
 }
 
-export async function startGame(uid) {
+// ===== Consent (see consent.js) =====
+// secret: the uid's secret once it has one (a consent change needs it)
+export async function postConsent(uid, consent, secret = null) {
+  return request("/api/consent", {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      ...(secret ? { Authorization: `Bearer ${secret}` } : {}),
+    },
+    cache: "no-store",
+    body: JSON.stringify({
+      uid,
+      version: consent.version,
+      gameplay: consent.gameplay,
+      microInteractions: consent.microInteractions,
+      deviceMeta: consent.deviceMeta,
+    }),
+  });
+}
+
+// ===== Own data (secret from postConsent) =====
+export async function getMyExport(uid, secret) {
+  return request(`/api/me/${encodeURIComponent(uid)}/export`, {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${secret}` },
+  });
+}
+
+// right to erasure: queued for an admin (owner) to carry out
+export async function requestErasure(uid, secret, mode = "erase") {
+  return request(`/api/me/${encodeURIComponent(uid)}/erasure-request`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${secret}` },
+    cache: "no-store",
+    body: JSON.stringify({ mode }),
+  });
+}
+
+export async function startGame(uid, sessionId) {
   // ✅ now sends meta (backend supports it)
   return request("/api/game/start", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
     cache: "no-store",
-    body: JSON.stringify({ uid, meta: collectMeta() }),
+    body: JSON.stringify({ uid, sessionId, meta: collectMeta() }),
+  });
+}
+
+// ===== Session lifecycle (see tracker.js) =====
+export async function startSession({ uid, sessionId }) {
+  return request("/api/session/start", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    cache: "no-store",
+    body: JSON.stringify({ uid, sessionId, meta: collectMeta() }),
+  });
+}
+
+export async function heartbeatSession({ uid, sessionId, active }) {
+  return request("/api/session/heartbeat", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    cache: "no-store",
+    body: JSON.stringify({ uid, sessionId, active }),
+  });
+}
+
+// keepalive: still delivered while the page is being hidden / unloaded
+export async function endSession({ uid, sessionId, reason, active }) {
+  return request("/api/session/end", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    cache: "no-store",
+    keepalive: true,
+    body: JSON.stringify({ uid, sessionId, reason, active }),
   });
 }
 
@@ -81,6 +184,15 @@ export async function submitMove(payload) {
   });
 }
 
+export async function endGame({ uid, gameId, reason }) {
+  return request("/api/game/end", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    cache: "no-store",
+    body: JSON.stringify({ uid, gameId, reason }),
+  });
+}
+
 export async function getInterventions(uid) {
   const t = Date.now();
   return request(`/api/interventions/${encodeURIComponent(uid)}?t=${t}`, {
@@ -100,31 +212,49 @@ export async function getProfile(uid) {
 }
 
 
-export async function adminListUsers(adminPassword) {
+// ===== Admin (bearer token from adminLogin) =====
+export async function adminLogin(username, password) {
+  return request("/api/admin/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    cache: "no-store",
+    body: JSON.stringify({ username, password }),
+  });
+}
+
+export async function adminLogout(adminToken) {
+  return request("/api/admin/logout", {
+    method: "POST",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+export async function adminListUsers(adminToken) {
   const t = Date.now();
   return request(`/api/admin/users?t=${t}`, {
     method: "GET",
     cache: "no-store",
     headers: {
-      "x-admin-password": adminPassword,
+      Authorization: `Bearer ${adminToken}`,
       "Cache-Control": "no-store",
     },
   });
 }
 
-export async function adminGetProfile(uid, adminPassword) {
+export async function adminGetProfile(uid, adminToken) {
   const t = Date.now();
   return request(`/api/admin/users/${encodeURIComponent(uid)}/profile?t=${t}`, {
     method: "GET",
     cache: "no-store",
     headers: {
-      "x-admin-password": adminPassword,
+      Authorization: `Bearer ${adminToken}`,
       "Cache-Control": "no-store",
     },
   });
 }
 
-export async function adminGetEvents(uid, adminPassword, take = 200) {
+export async function adminGetEvents(uid, adminToken, take = 200) {
   const t = Date.now();
   return request(
     `/api/admin/users/${encodeURIComponent(uid)}/events?take=${take}&t=${t}`,
@@ -132,21 +262,200 @@ export async function adminGetEvents(uid, adminPassword, take = 200) {
       method: "GET",
       cache: "no-store",
       headers: {
-        "x-admin-password": adminPassword,
+        Authorization: `Bearer ${adminToken}`,
         "Cache-Control": "no-store",
       },
     }
   );
 }
 
-export async function adminSetInterventions(uid, adminPassword, interventions) {
+export async function adminGetEventTypes(adminToken) {
+  return request("/api/admin/event-types", {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+export async function adminGetRateLimits(adminToken) {
+  return request("/api/admin/rate-limits", {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+export async function adminGetRetention(adminToken) {
+  return request("/api/admin/retention", {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+export async function adminRunRetention(adminToken) {
+  return request("/api/admin/retention/run", {
+    method: "POST",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+export async function adminGetGameAnalysis(gameId, adminToken) {
+  const t = Date.now();
+  return request(`/api/admin/games/${encodeURIComponent(gameId)}/analysis?t=${t}`, {
+    method: "GET",
+    cache: "no-store",
+    headers: {
+      Authorization: `Bearer ${adminToken}`,
+      "Cache-Control": "no-store",
+    },
+  });
+}
+
+export async function adminGetGamePgn(gameId, adminToken) {
+  return requestText(`/api/admin/games/${encodeURIComponent(gameId)}/pgn`, {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+export async function adminGetUserPgn(uid, adminToken) {
+  return requestText(`/api/admin/users/${encodeURIComponent(uid)}/pgn`, {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+export async function adminImportPgn(uid, adminToken, pgn, playerColor) {
+  return request(`/api/admin/users/${encodeURIComponent(uid)}/import-pgn`, {
+    method: "POST",
+    cache: "no-store",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${adminToken}`,
+    },
+    body: JSON.stringify({ pgn, playerColor: playerColor || undefined }),
+  });
+}
+
+export async function adminSetInterventions(uid, adminToken, interventions) {
   return request(`/api/admin/users/${encodeURIComponent(uid)}/interventions`, {
     method: "POST",
     cache: "no-store",
     headers: {
       "Content-Type": "application/json",
-      "x-admin-password": adminPassword,
+      Authorization: `Bearer ${adminToken}`,
     },
     body: JSON.stringify({ interventions }),
   });
 }
+
+// owner only; filters: { admin, action, uid, before, take }
+export async function adminGetAudit(adminToken, filters = {}) {
+  const qs = new URLSearchParams(
+    Object.entries(filters).filter(([, v]) => v != null && v !== "")
+  ).toString();
+  return request(`/api/admin/audit${qs ? `?${qs}` : ""}`, {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+// owner only
+export async function adminDeleteEvents(uid, adminToken) {
+  return request(`/api/admin/users/${encodeURIComponent(uid)}/events`, {
+    method: "DELETE",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+export async function adminListErasureRequests(adminToken) {
+  return request("/api/admin/erasure-requests", {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+export async function adminEraseUser(uid, adminToken, mode) {
+  return request(`/api/admin/users/${encodeURIComponent(uid)}/erase`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${adminToken}` },
+    cache: "no-store",
+    body: JSON.stringify({ mode }),
+  });
+}
+
+export async function adminGetSegmentHistory(uid, adminToken) {
+  return request(`/api/admin/users/${encodeURIComponent(uid)}/segment-history`, {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+// sessionId null -> latest session
+export async function adminGetAttention(uid, adminToken, sessionId = null) {
+  const qs = sessionId ? `?sessionId=${encodeURIComponent(sessionId)}` : "";
+  return request(`/api/admin/users/${encodeURIComponent(uid)}/attention${qs}`, {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+// ===== Hover heatmaps =====
+// uid null -> all users (only from / to apply)
+export async function adminGetHeatmap(adminToken, uid, filters = {}) {
+  const qs = new URLSearchParams(
+    Object.entries(filters).filter(([, v]) => v != null && v !== "")
+  ).toString();
+  const path = uid ? `/api/admin/users/${encodeURIComponent(uid)}/heatmap` : "/api/admin/heatmap";
+  return request(`${path}${qs ? `?${qs}` : ""}`, {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+// ===== Segmentation rule sets =====
+export async function adminGetSegmentRules(adminToken) {
+  return request("/api/admin/segment-rules", {
+    method: "GET",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
+
+// version null -> new draft, otherwise edit that draft
+export async function adminSaveSegmentRules(adminToken, { version = null, name, rules }) {
+  const path = version == null ? "/api/admin/segment-rules" : `/api/admin/segment-rules/${version}`;
+  return request(path, {
+    method: version == null ? "POST" : "PUT",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${adminToken}` },
+    cache: "no-store",
+    body: JSON.stringify({ name, rules }),
+  });
+}
+
+export async function adminPreviewSegmentRules(adminToken, rules) {
+  return request("/api/admin/segment-rules/preview", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: `Bearer ${adminToken}` },
+    cache: "no-store",
+    body: JSON.stringify({ rules }),
+  });
+}
+
+export async function adminActivateSegmentRules(adminToken, version) {
+  return request(`/api/admin/segment-rules/${version}/activate`, {
+    method: "POST",
+    cache: "no-store",
+    headers: { Authorization: `Bearer ${adminToken}` },
+  });
+}
@@ -0,0 +1,101 @@
+/**
+ * Player consent, kept in this browser (localStorage) and mirrored to the API
+ * per uid (tracker.js syncConsent). Until the player decided nothing is tracked.
+ * - gameplay:          games + moves, game / intervention / sync / error events
+ * - microInteractions: hovers, clicks, focus / visibility / idle, sessions
+ * - deviceMeta:        timezone, language, user agent, screen size
+ * Bump CONSENT_VERSION when the dialog text changes: everyone is asked again.
+ */
+
+export const CONSENT_VERSION = 1;
+const KEY = "cm_consent";
+
+export const CONSENT_CATEGORIES = [
+  {
+    key: "gameplay",
+    title: "Gameplay",
+    description: "Your moves, think time per move and game results. Needed for the profile and reports.",
+  },
+  {
+    key: "microInteractions",
+    title: "Micro-interactions",
+    description: "Hovers, clicks, tab focus and idle time while you play.",
+  },
+  {
+    key: "deviceMeta",
+    title: "Device info",
+    description: "Timezone, language, browser and screen size.",
+  },
+];
+
+// same split as the backend registry (eventTypes.js: interaction + page categories)
+const MICRO_INTERACTION_TYPES = new Set([
+  "hover",
+  "square_click",
+  "square_right_click",
+  "piece_pickup",
+  "drop_attempt",
+  "illegal_move",
+  "move_blocked_ui_lock",
+  "nav",
+  "window_blur",
+  "window_focus",
+  "visibility",
+  "idle_start",
+  "idle_end",
+]);
+
+export function consentCategoryFor(type) {
+  return MICRO_INTERACTION_TYPES.has(type) ? "microInteractions" : "gameplay";
+}
+
+const listeners = new Set();
+
+function read() {
+  try {
+    const c = JSON.parse(localStorage.getItem(KEY) || "null");
+    return c?.version === CONSENT_VERSION ? c : null;
+  } catch {
+    return null;
+  }
+}
+
+let current = read();
+
+// null = not decided yet (or decided on an older dialog version)
+export function getConsent() {
+  return current;
+}
+
+export function hasConsent(category) {
+  return !!current?.[category];
+}
+
+export function setConsent(choices) {
+  current = {
+    version: CONSENT_VERSION,
+    gameplay: !!choices.gameplay,
+    microInteractions: !!choices.microInteractions,
+    deviceMeta: !!choices.deviceMeta,
+    decidedAt: Date.now(),
+  };
+  try {
+    localStorage.setItem(KEY, JSON.stringify(current));
+  } catch {
+    // storage full / blocked -> valid for this page load only
+  }
+  listeners.forEach((fn) => fn(current));
+  return current;
+}
+
+export function subscribeConsent(fn) {
+  listeners.add(fn);
+  return () => listeners.delete(fn);
+}
+
+// decided in another tab
+window.addEventListener("storage", (e) => {
+  if (e.key !== KEY) return;
+  current = read();
+  if (current) listeners.forEach((fn) => fn(current));
+});
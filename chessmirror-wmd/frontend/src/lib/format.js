@@ -0,0 +1,19 @@
+// small display helpers shared by the admin pages
+
+export function fmtDate(d) {
+  try {
+    return new Date(d).toLocaleString();
+  } catch {
+    return String(d ?? "");
+  }
+}
+
+export function oneLine(obj, max = 160) {
+  try {
+    const s = JSON.stringify(obj);
+    if (s.length <= max) return s;
+    return s.slice(0, max) + "…";
+  } catch {
+    return String(obj);
+  }
+}
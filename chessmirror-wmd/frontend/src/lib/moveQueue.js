@@ -0,0 +1,25 @@
+import { createQueue } from "./offlineQueue";
+import { submitMove, endGame } from "./api";
+import { subscribeConsent } from "./consent";
+
+/**
+ * Moves that are not saved yet (no gameId yet, API down, page reloaded).
+ * Sent one by one in play order; a move without gameId waits until
+ * Home attaches one (update + drain).
+ * A game end ({ kind: "end", uid, gameId, reason }) queued behind its moves
+ * is sent once they are stored.
+ */
+export const moveQueue = createQueue("moves", {
+  batchSize: 1,
+  maxItems: 500,
+  send: async ([m]) => {
+    if (!m.gameId) throw new Error("Waiting for gameId");
+    if (m.kind === "end") await endGame(m);
+    else await submitMove(m);
+  },
+});
+
+// gameplay consent withdrawn -> unsaved moves are not sent anymore
+subscribeConsent((consent) => {
+  if (!consent.gameplay) moveQueue.removeWhere(() => true);
+});
@@ -0,0 +1,209 @@
+/**
+ * Durable client-side send queue (localStorage), survives reloads / offline.
+ * - FIFO: items leave the queue only after the server accepted them, in order
+ * - network error / 5xx / 408 / 429: retry later with exponential backoff (+ jitter)
+ * - any other 4xx: the server will never accept it -> dropped (counted)
+ * - one tab drains a queue at a time (short lease in localStorage)
+ */
+
+const LEASE_MS = 15000;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+// a 5xx that keeps coming back is a poison item, not an outage
+const MAX_SERVER_ATTEMPTS = 8;
+
+export function isRetryable(err) {
+  const status = err?.status;
+  if (!status) return true; // offline / DNS / CORS / "not ready yet"
+  return status >= 500 || status === 408 || status === 429;
+}
+
+function backoffDelay(attempt) {
+  const exp = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1));
+  return Math.round(exp * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * @param name      storage name (key = cm_queue_<name>)
+ * @param send      async (items[]) => void, throws on failure (err.status like api.js)
+ * @param batchSize items per send call (1 = strictly one by one)
+ * @param maxItems  oldest items are dropped beyond this
+ */
+export function createQueue(name, { send, batchSize = 1, maxItems = 1000 }) {
+  const key = `cm_queue_${name}`;
+  const leaseKey = `${key}_lease`;
+  const owner = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  const listeners = new Set();
+
+  let seq = 0;
+  let draining = false;
+  let timer = null;
+  let attempt = 0;
+  let dropped = 0;
+  let nextRetryAt = null;
+
+  function read() {
+    try {
+      const items = JSON.parse(localStorage.getItem(key) || "[]");
+      return Array.isArray(items) ? items : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function notify(count = read().length) {
+    const state = { pending: count, dropped, nextRetryAt };
+    listeners.forEach((fn) => fn(state));
+  }
+
+  function write(items) {
+    let kept = items.slice(-maxItems);
+    dropped += items.length - kept.length;
+
+    // quota exceeded -> keep the newer half rather than nothing
+    for (;;) {
+      try {
+        localStorage.setItem(key, JSON.stringify(kept));
+        break;
+      } catch {
+        if (!kept.length) break;
+        const half = kept.slice(Math.ceil(kept.length / 2));
+        dropped += kept.length - half.length;
+        kept = half;
+      }
+    }
+    notify(kept.length);
+  }
+
+  function takeLease() {
+    const now = Date.now();
+    try {
+      const cur = JSON.parse(localStorage.getItem(leaseKey) || "null");
+      if (cur && cur.owner !== owner && cur.until > now) return false;
+      localStorage.setItem(leaseKey, JSON.stringify({ owner, until: now + LEASE_MS }));
+    } catch {
+      // storage unavailable -> just drain from this tab
+    }
+    return true;
+  }
+
+  function releaseLease() {
+    try {
+      const cur = JSON.parse(localStorage.getItem(leaseKey) || "null");
+      if (cur?.owner === owner) localStorage.removeItem(leaseKey);
+    } catch {
+      // ignore
+    }
+  }
+
+  function schedule(delay) {
+    if (timer) window.clearTimeout(timer);
+    nextRetryAt = delay > 0 ? Date.now() + delay : null;
+    timer = window.setTimeout(() => {
+      timer = null;
+      drain();
+    }, delay);
+  }
+
+  function remove(ids) {
+    write(read().filter((x) => !ids.has(x.id)));
+  }
+
+  async function drain() {
+    if (draining) return;
+    if (timer) window.clearTimeout(timer);
+    timer = null;
+
+    if (!takeLease()) {
+      schedule(LEASE_MS);
+      return;
+    }
+
+    draining = true;
+    try {
+      for (;;) {
+        const batch = read().slice(0, batchSize);
+        if (!batch.length) {
+          attempt = 0;
+          nextRetryAt = null;
+          notify(0);
+          return;
+        }
+
+        try {
+          await send(batch.map((x) => x.item));
+        } catch (err) {
+          const tries = (batch[0].tries ?? 0) + 1;
+          const poisoned = err?.status && tries >= MAX_SERVER_ATTEMPTS;
+
+          if (isRetryable(err) && !poisoned) {
+            const ids = new Set(batch.map((x) => x.id));
+            write(read().map((x) => (ids.has(x.id) ? { ...x, tries } : x)));
+
+            attempt += 1;
+            // 429: the server says when the bucket has room again
+            schedule(Math.max(backoffDelay(attempt), err?.data?.retryAfterMs ?? 0));
+            notify();
+            return;
+          }
+
+          // rejected for good -> don't block everything behind it
+          dropped += batch.length;
+        }
+
+        attempt = 0;
+        nextRetryAt = null;
+        remove(new Set(batch.map((x) => x.id)));
+        takeLease();
+      }
+    } finally {
+      draining = false;
+      releaseLease();
+    }
+  }
+
+  function enqueue(itemOrItems) {
+    const list = Array.isArray(itemOrItems) ? itemOrItems : [itemOrItems];
+    if (!list.length) return;
+
+    const stamped = list.map((item) => ({ id: `${owner}-${seq++}`, item }));
+    write([...read(), ...stamped]);
+    if (!draining && !timer) schedule(0);
+  }
+
+  // rewrite queued items in place (e.g. attach a gameId once it is known)
+  function update(fn) {
+    write(read().map((x) => ({ ...x, item: fn(x.item) })));
+  }
+
+  function removeWhere(pred) {
+    write(read().filter((x) => !pred(x.item)));
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    fn({ pending: read().length, dropped, nextRetryAt });
+    return () => listeners.delete(fn);
+  }
+
+  window.addEventListener("online", () => {
+    attempt = 0;
+    drain();
+  });
+  // another tab changed the queue -> refresh counts
+  window.addEventListener("storage", (e) => {
+    if (e.key === key) notify();
+  });
+
+  // leftovers from a previous page load
+  if (read().length) schedule(0);
+
+  return {
+    enqueue,
+    update,
+    removeWhere,
+    drain,
+    subscribe,
+    size: () => read().length,
+  };
+}
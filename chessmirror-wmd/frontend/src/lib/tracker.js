@@ -1,9 +1,92 @@
-import { postEvent } from "./api";
-import { getUid, getSessionId } from "./uid";
+import {
+  postEventBatch,
+  beaconEventBatch,
+  startSession,
+  heartbeatSession,
+  endSession,
+  postConsent,
+} from "./api";
+import { getUid, getSessionId, newSessionId, getUidSecrets, setUidSecret } from "./uid";
+import { createQueue } from "./offlineQueue";
+import { getConsent, hasConsent, subscribeConsent, consentCategoryFor } from "./consent";
 
 let lastHoverSent = 0;
 
+// ===== buffered sending =====
+// events are queued and sent as one /track/batch when FLUSH_SIZE is reached
+// or FLUSH_MS after the first queued event; sendBeacon when the page hides.
+const FLUSH_SIZE = 25;
+const FLUSH_MS = 4000;
+const MAX_BUFFER = 200; // same cap as the backend batch
+
+let buffer = [];
+let flushTimer = null;
+
+// ===== consent =====
+// the API refuses a uid until it has that uid's consent: post it once per uid + decision
+const CONSENT_SYNC_KEY = "cm_consent_synced";
+let consentSync = null; // { key, promise }
+
+function consentSyncKey(uid = getUid()) {
+  const consent = getConsent();
+  return consent ? `${uid}|${consent.decidedAt}` : null;
+}
+
+function consentSynced() {
+  const key = consentSyncKey();
+  return !!key && sessionStorage.getItem(CONSENT_SYNC_KEY) === key;
+}
+
+export function syncConsent(uid = getUid()) {
+  const consent = getConsent();
+  if (!consent) return Promise.resolve(null);
+
+  const key = consentSyncKey(uid);
+  if (sessionStorage.getItem(CONSENT_SYNC_KEY) === key) return Promise.resolve(consent);
+  if (consentSync?.key === key) return consentSync.promise;
+
+  const promise = postConsent(uid, consent, getUidSecrets()[uid])
+    .then((r) => {
+      // first decision for this uid -> secret for "Download my data"
+      if (r?.secret) setUidSecret(uid, r.secret);
+      sessionStorage.setItem(CONSENT_SYNC_KEY, key);
+      return consent;
+    })
+    .catch((e) => {
+      if (consentSync?.key === key) consentSync = null;
+      throw e;
+    });
+  consentSync = { key, promise };
+  return promise;
+}
+
+// flushed batches go through a durable queue: nothing is lost when the API is down
+const eventQueue = createQueue("events", {
+  send: async (events) => {
+    await syncConsent();
+    return postEventBatch(events);
+  },
+  batchSize: 100,
+  maxItems: 2000,
+});
+
+export function subscribeEventQueue(fn) {
+  return eventQueue.subscribe(fn);
+}
+
+// ===== session lifecycle =====
+// start -> heartbeat every HEARTBEAT_MS -> end on hidden tab / pagehide.
+// "idle" = visible tab without any input for IDLE_AFTER_MS.
+const HEARTBEAT_MS = 30000;
+const IDLE_AFTER_MS = 60000;
+
+let lastInputAt = Date.now();
+let idle = false;
+let sessionOpen = false;
+let heartbeatTimer = null;
+
 function meta() {
+  if (!hasConsent("deviceMeta")) return undefined;
   return {
     tz: Intl.DateTimeFormat().resolvedOptions().timeZone,
     lang: navigator.language,
@@ -13,7 +96,37 @@ function meta() {
   };
 }
 
+function takeBuffer() {
+  if (flushTimer) window.clearTimeout(flushTimer);
+  flushTimer = null;
+
+  const events = buffer;
+  buffer = [];
+  // meta is the same for every event: send it once per batch
+  const m = meta();
+  if (events.length && m) events[0] = { ...events[0], meta: m };
+  return events;
+}
+
+export function flushEvents() {
+  const events = takeBuffer();
+  if (events.length) eventQueue.enqueue(events);
+}
+
+function flushWithBeacon() {
+  const events = takeBuffer();
+  if (!events.length) return;
+
+  // older events still queued / consent not on the server yet -> keep them for the next visit
+  if (eventQueue.size() > 0 || !consentSynced() || !beaconEventBatch(events)) {
+    eventQueue.enqueue(events);
+  }
+}
+
 export function track(type, payload = {}) {
+  // not granted (or not decided yet) -> never leaves the page
+  if (!hasConsent(consentCategoryFor(type))) return;
+
   const uid = getUid();
   const sessionId = getSessionId();
   const ts = Date.now();
@@ -22,13 +135,135 @@ export function track(type, payload = {}) {
   if (type === "hover" && ts - lastHoverSent < 120) return;
   if (type === "hover") lastHoverSent = ts;
 
-  postEvent({ uid, sessionId, ts, type, payload, meta: meta() }).catch(() => {});
+  buffer.push({ uid, sessionId, ts, type, payload });
+  if (buffer.length > MAX_BUFFER) buffer = buffer.slice(-MAX_BUFFER);
+
+  if (buffer.length >= FLUSH_SIZE) flushEvents();
+  else if (!flushTimer) flushTimer = window.setTimeout(flushEvents, FLUSH_MS);
+}
+
+function isActive() {
+  return document.visibilityState === "visible" && !idle;
 }
 
+function noteInput() {
+  lastInputAt = Date.now();
+  if (idle) {
+    idle = false;
+    track("idle_end", {});
+  }
+}
+
+function stopHeartbeat() {
+  if (heartbeatTimer) window.clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+async function heartbeat() {
+  if (!sessionOpen) return;
+
+  if (!idle && Date.now() - lastInputAt >= IDLE_AFTER_MS) {
+    idle = true;
+    track("idle_start", { afterMs: IDLE_AFTER_MS });
+  }
+
+  try {
+    await heartbeatSession({ uid: getUid(), sessionId: getSessionId(), active: isActive() });
+  } catch (e) {
+    // server closed / expired it (e.g. laptop slept) -> open again
+    if (e?.data?.restart) {
+      sessionOpen = false;
+      openSession();
+    }
+  }
+}
+
+async function openSession(retry = true) {
+  if (sessionOpen || !hasConsent("microInteractions")) return;
+  sessionOpen = true;
+  lastInputAt = Date.now();
+  idle = false;
+
+  try {
+    await syncConsent();
+    const r = await startSession({ uid: getUid(), sessionId: getSessionId() });
+    stopHeartbeat();
+    heartbeatTimer = window.setInterval(heartbeat, r?.heartbeatMs || HEARTBEAT_MS);
+  } catch (e) {
+    sessionOpen = false;
+    // expired id (long sleep) or id of another uid -> fresh session id
+    if (e?.data?.expired && retry) {
+      newSessionId();
+      return openSession(false);
+    }
+  }
+}
+
+function closeSession(reason, uid = getUid()) {
+  stopHeartbeat();
+  if (!sessionOpen) return;
+  sessionOpen = false;
+
+  endSession({ uid, sessionId: getSessionId(), reason, active: isActive() }).catch(() => {});
+}
+
+/**
+ * New game => new uid: close the old uid's session and open a fresh one.
+ * Call after newUid().
+ */
+export function restartSession(reason, previousUid) {
+  closeSession(reason, previousUid);
+  newSessionId();
+  openSession();
+}
+
+// consent changed: drop what may no longer be sent, open / close the session
+subscribeConsent((consent) => {
+  const allowed = (e) => consent[consentCategoryFor(e.type)];
+  buffer = buffer.filter(allowed);
+  eventQueue.removeWhere((e) => !allowed(e));
+  if (!consent.deviceMeta) eventQueue.update(({ meta: _meta, ...e }) => e);
+
+  if (!consent.microInteractions) closeSession("consent");
+
+  syncConsent()
+    .then(() => {
+      if (attached && document.visibilityState === "visible") openSession();
+    })
+    .catch(() => {});
+});
+
+let attached = false;
+
 export function attachGlobalTracking() {
+  if (attached) return;
+  attached = true;
+
   window.addEventListener("blur", () => track("window_blur", {}));
   window.addEventListener("focus", () => track("window_focus", {}));
   document.addEventListener("visibilitychange", () => {
     track("visibility", { state: document.visibilityState });
+
+    if (document.visibilityState === "hidden") {
+      flushWithBeacon();
+      closeSession("hidden");
+    } else {
+      openSession();
+    }
+  });
+
+  window.addEventListener("pagehide", () => {
+    flushWithBeacon();
+    closeSession("pagehide");
   });
+  // back/forward cache restores the page without a new load
+  window.addEventListener("pageshow", (e) => {
+    if (e.persisted) openSession();
+  });
+
+  for (const type of ["pointerdown", "pointermove", "keydown", "wheel", "touchstart"]) {
+    window.addEventListener(type, noteInput, { passive: true });
+  }
+
+  if (document.visibilityState === "visible") openSession();
 }
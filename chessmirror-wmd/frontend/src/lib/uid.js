@@ -42,3 +42,26 @@ export function newSessionId() {
   sessionStorage.setItem(SID_KEY, sid);
   return sid;
 }
+
+// ===== per-uid export secrets (issued by POST /api/consent) =====
+// localStorage: every uid this browser played with stays exportable after the tab closes
+const SECRETS_KEY = "cm_uid_secrets";
+
+export function getUidSecrets() {
+  try {
+    const secrets = JSON.parse(localStorage.getItem(SECRETS_KEY) || "{}");
+    return secrets && typeof secrets === "object" ? secrets : {};
+  } catch {
+    return {};
+  }
+}
+
+export function setUidSecret(uid, secret) {
+  const secrets = getUidSecrets();
+  secrets[uid] = secret;
+  try {
+    localStorage.setItem(SECRETS_KEY, JSON.stringify(secrets));
+  } catch {
+    // storage full / blocked -> export not possible for this uid
+  }
+}
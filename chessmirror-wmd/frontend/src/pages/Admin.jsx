@@ -1,11 +1,48 @@
 import React, { useEffect, useMemo, useState } from "react";
 import {
+  adminDeleteEvents,
+  adminEraseUser,
   adminGetEvents,
+  adminGetGameAnalysis,
+  adminGetEventTypes,
+  adminGetRateLimits,
+  adminGetRetention,
+  adminGetSegmentHistory,
+  adminGetGamePgn,
   adminGetProfile,
+  adminGetUserPgn,
+  adminImportPgn,
+  adminListErasureRequests,
   adminListUsers,
+  adminLogin,
+  adminLogout,
+  adminRunRetention,
   adminSetInterventions
 } from "../lib/api";
-import { LineChart, Line, XAxis, YAxis, Tooltip, ResponsiveContainer } from "recharts";
+import {
+  BarChart,
+  Bar,
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+  ReferenceLine
+} from "recharts";
+import { fmtDate, oneLine } from "../lib/format";
+import AdminAudit from "./AdminAudit.jsx";
+import AdminHeatmap, { HeatmapPanel } from "./AdminHeatmap.jsx";
+import AdminAttention from "./AdminAttention.jsx";
+import AdminSegments from "./AdminSegments.jsx";
+
+// same order as the backend (adminAccounts.js ADMIN_ROLES)
+const ADMIN_ROLES = ["viewer", "operator", "owner"];
+
+function hasRole(role, required) {
+  const have = ADMIN_ROLES.indexOf(role);
+  return have >= 0 && have >= ADMIN_ROLES.indexOf(required);
+}
 
 function formatMs(ms) {
   if (ms == null) return "—";
@@ -13,29 +50,70 @@ function formatMs(ms) {
   return `${s}s`;
 }
 
-function fmtDate(d) {
-  try {
-    return new Date(d).toLocaleString();
-  } catch {
-    return String(d ?? "");
-  }
+// 252000 -> "4m 12s"
+function fmtDuration(ms) {
+  if (ms == null) return "—";
+  const total = Math.round(ms / 1000);
+  const m = Math.floor(total / 60);
+  const s = total % 60;
+  if (m >= 60) return `${Math.floor(m / 60)}h ${m % 60}m`;
+  return m > 0 ? `${m}m ${s}s` : `${s}s`;
 }
 
-function oneLine(obj, max = 160) {
-  try {
-    const s = JSON.stringify(obj);
-    if (s.length <= max) return s;
-    return s.slice(0, max) + "…";
-  } catch {
-    return String(obj);
-  }
+// backend analysis/gamePhase.js GAME_PHASES
+const PHASES = ["opening", "middlegame", "endgame"];
+
+// per-game / per-session aggregates (backend analysis/gameStats.js)
+function fmtAggregate(st) {
+  if (!st) return "—";
+  return (
+    `${st.moves} moves • ${st.blunders} blunders (${st.blunderRate}%) • ` +
+    `think ${formatMs(st.meanThinkMs)} mean / ${formatMs(st.medianThinkMs)} median • ${st.hints} hints`
+  );
+}
+
+// candidate-move exploration of one player move (backend analysis/exploration.js)
+function fmtExploration(x) {
+  const first =
+    x.destHoveredFirst == null ? "no hovers" : x.destHoveredFirst ? "target hovered first" : "target not first";
+  return (
+    `${x.hoverCount ?? 0} hovers • ${x.exploredSquares} squares • ${x.piecesPickedUp} piece${x.piecesPickedUp === 1 ? "" : "s"} picked up • ` +
+    `${first}${x.firstHoverToDropMs != null ? ` • 1st hover→drop ${formatMs(x.firstHoverToDropMs)}` : ""}`
+  );
+}
+
+function downloadText(filename, text) {
+  const blob = new Blob([text], { type: "application/x-chess-pgn" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function fmtEval(cp, mate) {
+  if (cp == null) return "—";
+  if (mate) return cp > 0 ? "+M" : "-M";
+  const p = Math.round(cp / 10) / 10;
+  return p > 0 ? `+${p}` : String(p);
 }
 
 export default function Admin() {
-  const [adminPassword, setAdminPassword] = useState(
-    localStorage.getItem("cm_admin_pw") || ""
+  // bearer token from /api/admin/login (tab-scoped, never the password)
+  const [adminToken, setAdminToken] = useState(
+    sessionStorage.getItem("cm_admin_token") || ""
   );
-  const [loggedIn, setLoggedIn] = useState(!!adminPassword);
+  const [loggedIn, setLoggedIn] = useState(!!adminToken);
+  const [adminName, setAdminName] = useState(sessionStorage.getItem("cm_admin_name") || "");
+  const [adminRole, setAdminRole] = useState(sessionStorage.getItem("cm_admin_role") || "viewer");
+  const [view, setView] = useState("users"); // users | audit | segments | heatmap
+
+  const canOperate = hasRole(adminRole, "operator");
+  const isOwner = hasRole(adminRole, "owner");
+
+  const [loginUser, setLoginUser] = useState("");
+  const [loginPassword, setLoginPassword] = useState("");
 
   const [users, setUsers] = useState([]);
   const [selectedUid, setSelectedUid] = useState(null);
@@ -53,22 +131,165 @@ export default function Admin() {
   const [query, setQuery] = useState("");
   const [eventsTake, setEventsTake] = useState(120);
 
+  const [importText, setImportText] = useState("");
+  const [importColor, setImportColor] = useState("");
+  const [importing, setImporting] = useState(false);
+  const [importMsg, setImportMsg] = useState("");
+
+  const [eventTypes, setEventTypes] = useState(null);
+  const [rateLimits, setRateLimits] = useState(null);
+  const [erasures, setErasures] = useState(null);
+  const [retention, setRetention] = useState(null);
+  const [segmentHistory, setSegmentHistory] = useState(null);
+  const [heatmapOpen, setHeatmapOpen] = useState(false);
+  const [attentionOpen, setAttentionOpen] = useState(false);
+  const [retentionRunning, setRetentionRunning] = useState(false);
+
+  const [selectedGameId, setSelectedGameId] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [loadingAnalysis, setLoadingAnalysis] = useState(false);
+
+  async function loadEventTypes(open) {
+    if (!open || eventTypes) return;
+    try {
+      setEventTypes(await adminGetEventTypes(adminToken));
+    } catch (e) {
+      setErr(`Event types failed: ${String(e?.message || e)}`);
+    }
+  }
+
+  async function loadRateLimits(open) {
+    if (!open) return;
+    try {
+      setRateLimits(await adminGetRateLimits(adminToken));
+    } catch (e) {
+      setErr(`Rate limits failed: ${String(e?.message || e)}`);
+    }
+  }
+
+  async function loadRetention(open) {
+    if (!open) return;
+    try {
+      setRetention(await adminGetRetention(adminToken));
+    } catch (e) {
+      if (handleAuthError(e)) return;
+      setErr(`Retention failed: ${String(e?.message || e)}`);
+    }
+  }
+
+  async function runRetentionNow() {
+    setRetentionRunning(true);
+    try {
+      await adminRunRetention(adminToken);
+      await loadRetention(true);
+    } catch (e) {
+      if (handleAuthError(e)) return;
+      setErr(`Retention run failed: ${String(e?.message || e)}`);
+    } finally {
+      setRetentionRunning(false);
+    }
+  }
+
+  async function loadErasures(open) {
+    if (!open) return;
+    try {
+      setErasures(await adminListErasureRequests(adminToken));
+    } catch (e) {
+      if (handleAuthError(e)) return;
+      setErr(`Erasure requests failed: ${String(e?.message || e)}`);
+    }
+  }
+
+  // owner only; "anonymise" keeps the games under a new anon_ uid
+  async function eraseUser(uid, mode) {
+    const what =
+      mode === "anonymise"
+        ? `Anonymise ${uid}? Games + moves stay without the uid, everything else is deleted.`
+        : `Erase ${uid} and all of its data? This can't be undone.`;
+    if (!window.confirm(what)) return;
+    setErr("");
+    try {
+      const r = await adminEraseUser(uid, adminToken, mode);
+      if (uid === selectedUid) {
+        setSelectedUid(null);
+        setProfile(null);
+      }
+      await refreshUsers();
+      if (erasures) await loadErasures(true);
+      setErr(mode === "anonymise" ? `✅ Anonymised as ${r.anonUid}.` : `✅ Erased ${uid}.`);
+    } catch (e) {
+      if (handleAuthError(e)) return;
+      setErr(`Erase failed: ${String(e?.data?.error || e?.message || e)}`);
+    }
+  }
+
+  // old builds kept the shared password here
+  useEffect(() => {
+    localStorage.removeItem("cm_admin_pw");
+  }, []);
+
+  function clearSession(message = "") {
+    sessionStorage.removeItem("cm_admin_token");
+    sessionStorage.removeItem("cm_admin_name");
+    sessionStorage.removeItem("cm_admin_role");
+    setAdminToken("");
+    setAdminName("");
+    setAdminRole("viewer");
+    setView("users");
+    setLoggedIn(false);
+    setUsers([]);
+    setSelectedUid(null);
+    setProfile(null);
+    setErr(message);
+  }
+
+  // expired / revoked token -> back to the login screen; 403 -> role too low
+  function handleAuthError(e) {
+    if (e?.status === 403) {
+      setErr(`Your role (${adminRole}) can't do this (needs ${e?.data?.requiredRole ?? "more"}).`);
+      return true;
+    }
+    if (e?.status !== 401) return false;
+    clearSession("Session expired. Please log in again.");
+    return true;
+  }
+
   async function login() {
     setErr("");
     setLoadingUsers(true);
     try {
-      const list = await adminListUsers(adminPassword);
-      localStorage.setItem("cm_admin_pw", adminPassword);
+      const r = await adminLogin(loginUser.trim(), loginPassword);
+      sessionStorage.setItem("cm_admin_token", r.token);
+      sessionStorage.setItem("cm_admin_name", r.admin?.username ?? "");
+      sessionStorage.setItem("cm_admin_role", r.admin?.role ?? "viewer");
+      setAdminToken(r.token);
+      setAdminName(r.admin?.username ?? "");
+      setAdminRole(r.admin?.role ?? "viewer");
+      setLoginPassword("");
       setLoggedIn(true);
-      setUsers(Array.isArray(list) ? list : []);
     } catch (e) {
-      setErr("Admin login failed. Check ADMIN_PASSWORD in .env");
+      if (e?.status === 423 && e?.data?.lockedUntil) {
+        setErr(`Account locked until ${fmtDate(e.data.lockedUntil)}.`);
+      } else if (e?.status === 429) {
+        setErr("Too many login attempts. Try again later.");
+      } else {
+        setErr("Admin login failed. Check username and password.");
+      }
       setLoggedIn(false);
     } finally {
       setLoadingUsers(false);
     }
   }
 
+  async function logout() {
+    try {
+      await adminLogout(adminToken);
+    } catch {
+      // token already invalid -> nothing to revoke
+    }
+    clearSession();
+  }
+
   // Load user list (after login)
   useEffect(() => {
     if (!loggedIn) return;
@@ -77,11 +298,11 @@ export default function Admin() {
     (async () => {
       setLoadingUsers(true);
       try {
-        const list = await adminListUsers(adminPassword);
+        const list = await adminListUsers(adminToken);
         if (!alive) return;
         setUsers(Array.isArray(list) ? list : []);
       } catch (e) {
-        // silent
+        if (alive) handleAuthError(e);
       } finally {
         if (alive) setLoadingUsers(false);
       }
@@ -90,43 +311,120 @@ export default function Admin() {
     return () => {
       alive = false;
     };
-  }, [loggedIn, adminPassword]);
+  }, [loggedIn, adminToken]);
 
   async function selectUser(uid, take = eventsTake) {
     setSelectedUid(uid);
     setLoadingProfile(true);
     setErr("");
+    setSegmentHistory(null);
+    setHeatmapOpen(false);
+    setAttentionOpen(false);
 
     try {
-      const p = await adminGetProfile(uid, adminPassword);
+      const p = await adminGetProfile(uid, adminToken);
       setProfile(p);
 
       // Prefer recentEvents if backend provides them inside profile
       if (Array.isArray(p?.recentEvents)) {
         setEvents(p.recentEvents);
       } else {
-        const ev = await adminGetEvents(uid, adminPassword, take);
+        const ev = await adminGetEvents(uid, adminToken, take);
         setEvents(Array.isArray(ev) ? ev : []);
       }
 
       // reset toggles to defaults (admin can change)
       setConfirmMoves(false);
       setNudgeTakeASecond(true);
+
+      // most recent game -> analysis panel
+      const games = Array.isArray(p?.games) ? p.games : [];
+      loadAnalysis(games[0]?.id ?? null);
     } catch (e) {
-      setErr("Failed to load profile/events. Check API + ADMIN_PASSWORD.");
+      if (handleAuthError(e)) return;
+      setErr("Failed to load profile/events. Check API + admin session.");
     } finally {
       setLoadingProfile(false);
     }
   }
 
+  // label changes + intervention decisions, oldest first
+  async function loadSegmentHistory(open) {
+    if (!open || !selectedUid) return;
+    try {
+      const r = await adminGetSegmentHistory(selectedUid, adminToken);
+      const items = [
+        ...r.timeline.map((t) => ({ kind: "label", ...t })),
+        ...r.decisions.map((d) => ({ kind: "decision", ...d }))
+      ];
+      items.sort((a, b) => new Date(a.at) - new Date(b.at));
+      setSegmentHistory(items);
+    } catch (e) {
+      if (handleAuthError(e)) return;
+      setErr(`Segment history failed: ${String(e?.message || e)}`);
+    }
+  }
+
+  async function loadAnalysis(gameId) {
+    setSelectedGameId(gameId);
+    setAnalysis(null);
+    if (!gameId) return;
+
+    setLoadingAnalysis(true);
+    try {
+      const a = await adminGetGameAnalysis(gameId, adminToken);
+      setAnalysis(a);
+    } catch (e) {
+      setAnalysis(null);
+    } finally {
+      setLoadingAnalysis(false);
+    }
+  }
+
+  async function exportPgn(scope) {
+    setErr("");
+    try {
+      if (scope === "game") {
+        if (!selectedGameId) return;
+        const pgn = await adminGetGamePgn(selectedGameId, adminToken);
+        downloadText(`chessmirror-${selectedGameId}.pgn`, pgn);
+      } else {
+        if (!selectedUid) return;
+        const pgn = await adminGetUserPgn(selectedUid, adminToken);
+        downloadText(`chessmirror-${selectedUid}.pgn`, pgn);
+      }
+    } catch (e) {
+      setErr("PGN export failed.");
+    }
+  }
+
+  async function importPgn() {
+    if (!selectedUid || !importText.trim()) return;
+    setImporting(true);
+    setImportMsg("");
+    try {
+      const r = await adminImportPgn(selectedUid, adminToken, importText, importColor);
+      const games = r?.imported?.length ?? 0;
+      const errors = r?.errors?.length ?? 0;
+      setImportMsg(`✅ Imported ${games} game(s)${errors ? `, ${errors} error(s)` : ""}.`);
+      setImportText("");
+      await refreshSelected();
+    } catch (e) {
+      if (e?.status === 401) return handleAuthError(e);
+      setImportMsg(e?.message || "PGN import failed.");
+    } finally {
+      setImporting(false);
+    }
+  }
+
   async function refreshUsers() {
     if (!loggedIn) return;
     setLoadingUsers(true);
     try {
-      const list = await adminListUsers(adminPassword);
+      const list = await adminListUsers(adminToken);
       setUsers(Array.isArray(list) ? list : []);
     } catch (e) {
-      // ignore
+      handleAuthError(e);
     } finally {
       setLoadingUsers(false);
     }
@@ -142,7 +440,7 @@ export default function Admin() {
     setSaving(true);
     setErr("");
     try {
-      await adminSetInterventions(selectedUid, adminPassword, {
+      await adminSetInterventions(selectedUid, adminToken, {
         confirmMoves,
         nudgeTakeASecond
       });
@@ -150,12 +448,27 @@ export default function Admin() {
       setErr("✅ Saved. User app will pick this up on refresh.");
       setTimeout(() => setErr(""), 2200);
     } catch (e) {
+      if (handleAuthError(e)) return;
       setErr("Failed to save interventions.");
     } finally {
       setSaving(false);
     }
   }
 
+  async function deleteEvents() {
+    if (!selectedUid) return;
+    if (!window.confirm(`Delete every stored event of ${selectedUid}? This can't be undone.`)) return;
+    setErr("");
+    try {
+      const r = await adminDeleteEvents(selectedUid, adminToken);
+      await refreshSelected();
+      setErr(`✅ Deleted ${r?.deleted ?? 0} events.`);
+    } catch (e) {
+      if (handleAuthError(e)) return;
+      setErr("Failed to delete events.");
+    }
+  }
+
   // Chart series
 const moveSeries = useMemo(() => {
   return (profile?.moves || []).map((m, i) => ({
@@ -166,6 +479,21 @@ const moveSeries = useMemo(() => {
   }));
 }, [profile]);
 
+  // think-time histogram buckets (backend analysis/thinkTime.js)
+  const thinkTimeSeries = useMemo(() => {
+    return (profile?.thinkTime?.histogram || []).map((b) => ({
+      bucket: b.toMs == null ? `≥${b.fromMs / 1000}s` : `<${b.toMs / 1000}s`,
+      count: b.count
+    }));
+  }, [profile]);
+
+  const evalSeries = useMemo(() => {
+    return (analysis?.plies || []).map((p) => ({
+      ply: p.ply,
+      evalPawns: p.eval == null ? null : p.eval / 100,
+      san: p.san
+    }));
+  }, [analysis]);
 
   // Stats/insight (backend preferred)
   const stats = profile?.stats || null;
@@ -205,7 +533,7 @@ const moveSeries = useMemo(() => {
           <div>
             <h3 style={{ margin: 0 }}>Admin</h3>
             <p className="small" style={{ margin: "6px 0 0 0" }}>
-              Enter the admin password from your <code>.env</code> (ADMIN_PASSWORD).
+              Log in with an admin account (<code>npm run admin:create -- &lt;username&gt;</code>).
             </p>
           </div>
           <span className="badge">secure</span>
@@ -214,15 +542,24 @@ const moveSeries = useMemo(() => {
         <div className="adminLogin">
           <input
             className="input"
-            value={adminPassword}
-            onChange={(e) => setAdminPassword(e.target.value)}
-            placeholder="ADMIN_PASSWORD"
+            value={loginUser}
+            onChange={(e) => setLoginUser(e.target.value)}
+            placeholder="Username"
+            autoComplete="username"
+          />
+          <input
+            className="input"
+            value={loginPassword}
+            onChange={(e) => setLoginPassword(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && login()}
+            placeholder="Password"
             type="password"
+            autoComplete="current-password"
           />
           <button
             className="btn btn-primary"
             onClick={login}
-            disabled={loadingUsers}
+            disabled={loadingUsers || !loginUser.trim() || !loginPassword}
           >
             {loadingUsers ? "Logging in..." : "Login"}
           </button>
@@ -237,6 +574,41 @@ const moveSeries = useMemo(() => {
     );
   }
 
+  if (view === "audit") {
+    return (
+      <AdminAudit
+        adminToken={adminToken}
+        onAuthError={handleAuthError}
+        onClose={() => setView("users")}
+      />
+    );
+  }
+
+  if (view === "heatmap") {
+    return (
+      <AdminHeatmap
+        adminToken={adminToken}
+        onAuthError={handleAuthError}
+        onClose={() => setView("users")}
+      />
+    );
+  }
+
+  if (view === "segments") {
+    return (
+      <AdminSegments
+        adminToken={adminToken}
+        canOperate={canOperate}
+        isOwner={isOwner}
+        onAuthError={handleAuthError}
+        onClose={() => {
+          setView("users");
+          refreshUsers();
+        }}
+      />
+    );
+  }
+
   // DASHBOARD
   return (
     <div className="adminGrid">
@@ -246,17 +618,34 @@ const moveSeries = useMemo(() => {
           <div>
             <h3 style={{ margin: 0 }}>Users</h3>
             <p className="small" style={{ margin: "6px 0 0 0" }}>
-              Select a UID to view profile + events.
+              Select a UID to view profile + events. Signed in as {adminName}{" "}
+              <span className="badge">{adminRole}</span>
             </p>
           </div>
-          <button
-            className="btn"
-            onClick={refreshUsers}
-            disabled={loadingUsers}
-            title="Refresh users list"
-          >
-            {loadingUsers ? "…" : "Refresh"}
-          </button>
+          <div className="row" style={{ gap: 8 }}>
+            <button
+              className="btn"
+              onClick={refreshUsers}
+              disabled={loadingUsers}
+              title="Refresh users list"
+            >
+              {loadingUsers ? "…" : "Refresh"}
+            </button>
+            <button className="btn" onClick={() => setView("segments")} title="Versioned segmentation rules">
+              Segment rules
+            </button>
+            <button className="btn" onClick={() => setView("heatmap")} title="Hovered squares of all users">
+              Heatmap
+            </button>
+            {isOwner && (
+              <button className="btn" onClick={() => setView("audit")} title="Who read / changed what">
+                Audit log
+              </button>
+            )}
+            <button className="btn" onClick={logout} title={`Logged in as ${adminName} (${adminRole})`}>
+              Logout
+            </button>
+          </div>
         </div>
 
         <div className="adminSearch">
@@ -280,10 +669,19 @@ const moveSeries = useMemo(() => {
               >
                 <div className="userTop">
                   <span className="badge">{u.uid}</span>
-                  <span className="badge">{u.segment}</span>
+                  <span className="badge" title={`rule set v${u.ruleSetVersion ?? "?"}`}>
+                    {u.segment}
+                  </span>
+                  {u.anonymised && <span className="badge" title="Games kept without uid linkage">anon</span>}
+                  {u.rateLimited > 0 && (
+                    <span className="badge q-blunder" title="429 responses">
+                      429 × {u.rateLimited}
+                    </span>
+                  )}
                 </div>
                 <div className="userMeta">
                   moves: <b>{u.moveCount}</b> • blunders: <b>{u.blunderCount}</b>{" "}
+                  • mistakes: <b>{u.mistakeCount ?? 0}</b>{" "}
                   • avg: <b>{formatMs(u.avgThinkTimeMs)}</b> • hints:{" "}
                   <b>{u.hintCount}</b>
                 </div>
@@ -299,6 +697,198 @@ const moveSeries = useMemo(() => {
             <p className="small">No users yet. Play a game first.</p>
           )}
         </div>
+
+        {/* RATE LIMITS */}
+        <details className="eventItem" onToggle={(e) => loadRateLimits(e.currentTarget.open)}>
+          <summary className="eventTop">
+            <span className="badge">429</span>
+            <span className="small">Rate-limited clients</span>
+            <span />
+          </summary>
+
+          {!rateLimits ? (
+            <p className="small">Loading…</p>
+          ) : rateLimits.offenders.length === 0 ? (
+            <p className="small">Nobody hit a limit yet.</p>
+          ) : (
+            <div className="moveList">
+              {rateLimits.offenders.map((o) => (
+                <div key={o.id} className="eventRow">
+                  <div className="eventTop">
+                    <span className="badge">{o.scope}: {o.key}</span>
+                    <span className="small">{o.route}</span>
+                    <span className="small">
+                      {o.count} rejected • last {fmtDate(o.lastAt)}
+                    </span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </details>
+
+        {/* ERASURE REQUESTS */}
+        {isOwner && (
+          <details className="eventItem" onToggle={(e) => loadErasures(e.currentTarget.open)}>
+            <summary className="eventTop">
+              <span className="badge">erasure</span>
+              <span className="small">Erasure requests</span>
+              <span className="small">{erasures ? `${erasures.pending.length} pending` : ""}</span>
+            </summary>
+
+            {!erasures ? (
+              <p className="small">Loading…</p>
+            ) : (
+              <div className="moveList">
+                {erasures.pending.length === 0 && <p className="small">No pending requests.</p>}
+                {erasures.pending.map((r) => (
+                  <div key={r.id} className="eventRow">
+                    <div className="eventTop">
+                      <span className="badge">{r.uid}</span>
+                      <span className="small">
+                        {r.mode} • {fmtDate(r.requestedAt)}
+                      </span>
+                      <span className="row" style={{ gap: 6 }}>
+                        <button className="btn" onClick={() => eraseUser(r.uid, "erase")}>
+                          Erase
+                        </button>
+                        <button className="btn" onClick={() => eraseUser(r.uid, "anonymise")}>
+                          Anonymise
+                        </button>
+                      </span>
+                    </div>
+                  </div>
+                ))}
+                {erasures.handled.map((r) => (
+                  <div key={r.id} className="eventRow" style={{ opacity: 0.6 }}>
+                    <div className="eventTop">
+                      <span className="badge">{r.status}</span>
+                      <span className="small">
+                        {r.mode} • by {r.handledBy ?? "?"}
+                      </span>
+                      <span className="small">{fmtDate(r.handledAt)}</span>
+                    </div>
+                  </div>
+                ))}
+                <p className="small">{erasures.tombstones} uid(s) erased in total.</p>
+              </div>
+            )}
+          </details>
+        )}
+
+        {/* RETENTION */}
+        <details className="eventItem" onToggle={(e) => loadRetention(e.currentTarget.open)}>
+          <summary className="eventTop">
+            <span className="badge">retention</span>
+            <span className="small">Event retention</span>
+            <span className="small">
+              {retention?.runs?.[0] ? `last run ${fmtDate(retention.runs[0].startedAt)}` : ""}
+            </span>
+          </summary>
+
+          {!retention ? (
+            <p className="small">Loading…</p>
+          ) : (
+            <div className="moveList">
+              <p className="small">
+                Expired raw events are rolled up per user and day, then deleted. Runs every{" "}
+                {retention.intervalHours} h{retention.running ? " • running now" : ""}.{" "}
+                {isOwner && (
+                  <button className="btn" onClick={runRetentionNow} disabled={retentionRunning}>
+                    {retentionRunning ? "Running…" : "Run now"}
+                  </button>
+                )}
+              </p>
+
+              {retention.policy
+                .filter((p) => p.days != null)
+                .map((p) => {
+                  const rolled = retention.rollups.find((r) => r.type === p.type);
+                  return (
+                    <div key={p.type} className="eventRow">
+                      <div className="eventTop">
+                        <span className="badge">{p.type}</span>
+                        <span className="small">
+                          {p.days} days ({p.source})
+                        </span>
+                        <span className="small">
+                          {rolled ? `${rolled.events} rolled up since ${fmtDate(rolled.since)}` : ""}
+                        </span>
+                      </div>
+                    </div>
+                  );
+                })}
+              <p className="small" style={{ opacity: 0.75 }}>
+                Kept forever:{" "}
+                {retention.policy
+                  .filter((p) => p.days == null)
+                  .map((p) => p.type)
+                  .join(", ")}
+              </p>
+
+              <h4 style={{ margin: "10px 0 6px 0" }}>Last runs</h4>
+              {retention.runs.length === 0 && <p className="small">The job has not run yet.</p>}
+              {retention.runs.map((r) => (
+                <div key={r.id} className="eventRow" title={r.error ?? oneLine(r.details, 200)}>
+                  <div className="eventTop">
+                    <span className={`badge ${r.status === "failed" ? "q-blunder" : ""}`}>{r.status}</span>
+                    <span className="small">
+                      {fmtDate(r.startedAt)} • {r.trigger}
+                    </span>
+                    <span className="small">
+                      {r.deleted} deleted • {r.rolledUp} rollups
+                    </span>
+                  </div>
+                  {r.error && <div className="small">{r.error}</div>}
+                </div>
+              ))}
+            </div>
+          )}
+        </details>
+
+        {/* EVENT REGISTRY */}
+        <details className="eventItem" onToggle={(e) => loadEventTypes(e.currentTarget.open)}>
+          <summary className="eventTop">
+            <span className="badge">registry</span>
+            <span className="small">
+              Event types{eventTypes ? ` • unknown → ${eventTypes.policy}` : ""}
+            </span>
+            <span />
+          </summary>
+
+          {!eventTypes ? (
+            <p className="small">Loading…</p>
+          ) : (
+            <div className="moveList">
+              {eventTypes.types.map((t) => (
+                <div key={t.type} className="eventRow" title={t.description}>
+                  <div className="eventTop">
+                    <span className="badge">{t.type}</span>
+                    <span className="small">{t.category}</span>
+                    <span className="small">
+                      {t.stored} stored{t.quarantined ? ` • ${t.quarantined} quarantined` : ""}
+                    </span>
+                  </div>
+                  <div className="small" style={{ opacity: 0.75 }}>
+                    {Object.entries(t.fields)
+                      .map(([k, v]) => `${k}: ${v}`)
+                      .join(", ") || "no payload"}
+                  </div>
+                </div>
+              ))}
+
+              {eventTypes.unregistered.map((u) => (
+                <div key={u.type} className="eventRow">
+                  <div className="eventTop">
+                    <span className="badge">{u.type}</span>
+                    <span className="small q-blunder">unregistered</span>
+                    <span className="small">{u.quarantined} quarantined</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </details>
       </div>
 
       {/* RIGHT: PROFILE */}
@@ -321,10 +911,45 @@ const moveSeries = useMemo(() => {
               <div>
                 <h3 style={{ margin: 0 }}>Profile</h3>
                 <p className="small" style={{ margin: "6px 0 0 0" }}>
-                  UID: <span className="badge">{selectedUid}</span>
+                  UID: <span className="badge">{selectedUid}</span>{" "}
+                  <span className="badge" title="Player consent (newest decision)">
+                    {profile?.consent?.decided
+                      ? `consent v${profile.consent.version}: ${[
+                          profile.consent.gameplay && "gameplay",
+                          profile.consent.microInteractions && "interactions",
+                          profile.consent.deviceMeta && "device"
+                        ]
+                          .filter(Boolean)
+                          .join(", ") || "nothing"}`
+                      : "no consent recorded"}
+                  </span>
                 </p>
               </div>
-              <span className="badge">segment: {segment}</span>
+              <div className="row" style={{ gap: 8 }}>
+                <button className="btn" onClick={() => exportPgn("game")} disabled={!selectedGameId}>
+                  PGN (game)
+                </button>
+                <button className="btn" onClick={() => exportPgn("all")}>
+                  PGN (all games)
+                </button>
+                {isOwner && (
+                  <>
+                    <button className="btn" onClick={() => eraseUser(selectedUid, "erase")} title="Owner only, audited">
+                      Erase
+                    </button>
+                    <button
+                      className="btn"
+                      onClick={() => eraseUser(selectedUid, "anonymise")}
+                      title="Keep games + moves without the uid"
+                    >
+                      Anonymise
+                    </button>
+                  </>
+                )}
+                <span className="badge" title="Rule-set version that produced the label (0 = built-in)">
+                  segment: {segment} (v{profile?.profile?.ruleSetVersion ?? "?"})
+                </span>
+              </div>
             </div>
 
             {/* QUICK STATS */}
@@ -344,6 +969,18 @@ const moveSeries = useMemo(() => {
                 <div className="statValue">{avgThinkDisplay}</div>
               </div>
 
+              <div className="statCard">
+                <div className="statLabel">Avg CP loss</div>
+                <div className="statValue">{stats?.avgCpLoss ?? profile?.profile?.avgCpLoss ?? 0}</div>
+              </div>
+
+              <div className="statCard">
+                <div className="statLabel">W / L / D</div>
+                <div className="statValue">
+                  {stats?.wins ?? 0} / {stats?.losses ?? 0} / {stats?.draws ?? 0}
+                </div>
+              </div>
+
               <div className="statCard">
                 <div className="statLabel">Hints</div>
                 <div className="statValue">{profile?.profile?.hintCount ?? 0}</div>
@@ -355,6 +992,19 @@ const moveSeries = useMemo(() => {
                   <div className="statValue">{hoverCount}</div>
                 </div>
               )}
+
+              <div
+                className="statCard"
+                title={
+                  profile?.attention
+                    ? `${profile.attention.linkedMoves} moves linked • away ${formatMs(profile.attention.awayMs)} • ` +
+                      `${profile.attention.movesAfterReturn} right after returning`
+                    : ""
+                }
+              >
+                <div className="statLabel">Attention</div>
+                <div className="statValue">{stats?.attentionScore ?? "—"}</div>
+              </div>
             </div>
 
             {/* INSIGHT */}
@@ -379,32 +1029,261 @@ const moveSeries = useMemo(() => {
               )}
             </div>
 
+            {/* GAME PHASES */}
+            {profile?.phases && (
+              <>
+                <div className="adminHeader" style={{ marginTop: 14, marginBottom: 8 }}>
+                  <h4 style={{ margin: 0 }}>By game phase</h4>
+                  <span className="badge">player moves only</span>
+                </div>
+
+                <div className="moveList">
+                  {PHASES.map((phase) => {
+                    const ph = profile.phases[phase];
+                    return (
+                      <div key={phase} className="moveRow sessionRow">
+                        <span className="moveCell">
+                          <span className="badge">{phase}</span>
+                        </span>
+                        <span className="moveCell small">{ph ? `${ph.moves} moves` : "no moves yet"}</span>
+                        <span className="moveCell small">
+                          {ph &&
+                            `think ${formatMs(ph.meanThinkMs)} mean / ${formatMs(ph.medianThinkMs)} median • ` +
+                              `blunders ${ph.blunderRate}% • hovers/move ${ph.hoversPerMove ?? "—"}`}
+                        </span>
+                      </div>
+                    );
+                  })}
+                </div>
+              </>
+            )}
+
             <hr />
 
-            {/* CHART */}
+            {/* CHARTS */}
+            <div className="chartPair">
+              <div>
+                <div className="adminHeader" style={{ marginBottom: 8 }}>
+                  <h4 style={{ margin: 0 }}>Think time trend (last moves)</h4>
+                  <span className="badge">{(profile?.moves || []).length} samples</span>
+                </div>
+
+                <div className="chartBox">
+                  <ResponsiveContainer>
+                    <LineChart data={moveSeries}>
+                      <XAxis dataKey="i" />
+                      <YAxis tickFormatter={(v) => `${v}s`} />
+                      <Tooltip
+                        formatter={(value, name) => {
+                          if (name === "thinkTimeSec") return [`${Math.round(value * 10) / 10}s`, "Think time"];
+                          return [value, name];
+                        }}
+                        labelFormatter={(label) => `Move #${label}`}
+                      />
+                      <Line type="monotone" dataKey="thinkTimeSec" />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
+              </div>
+
+              <div>
+                <div className="adminHeader" style={{ marginBottom: 8 }}>
+                  <h4 style={{ margin: 0 }}>Eval graph</h4>
+                  <select
+                    className="input"
+                    style={{ width: 170, padding: "6px 8px" }}
+                    value={selectedGameId ?? ""}
+                    onChange={(e) => loadAnalysis(e.target.value || null)}
+                  >
+                    {(profile?.games || []).length === 0 && <option value="">No games</option>}
+                    {(profile?.games || []).map((g) => (
+                      <option key={g.id} value={g.id}>
+                        {fmtDate(g.createdAt)} ({g.plies} ply){g.result ? ` • ${g.result}` : ""}
+                        {g.endReason ? ` (${g.endReason})` : ""}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="chartBox">
+                  {loadingAnalysis ? (
+                    <p className="small">Analysing game…</p>
+                  ) : (
+                    <ResponsiveContainer>
+                      <LineChart data={evalSeries}>
+                        <XAxis dataKey="ply" />
+                        <YAxis domain={[-10, 10]} allowDataOverflow />
+                        <ReferenceLine y={0} stroke="rgba(255,255,255,0.25)" />
+                        <Tooltip
+                          formatter={(value) => [value > 0 ? `+${value}` : value, "Eval (pawns)"]}
+                          labelFormatter={(label) => `Ply ${label}`}
+                        />
+                        <Line type="monotone" dataKey="evalPawns" dot={false} />
+                      </LineChart>
+                    </ResponsiveContainer>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {/* THINK-TIME DISTRIBUTION */}
+            {profile?.thinkTime?.samples > 0 && (
+              <>
+                <div className="adminHeader" style={{ marginTop: 14, marginBottom: 8 }}>
+                  <h4 style={{ margin: 0 }}>Think-time distribution</h4>
+                  <div className="row" style={{ gap: 8, flexWrap: "wrap" }}>
+                    <span className="badge">median {formatMs(profile.thinkTime.medianMs)}</span>
+                    <span className="badge">
+                      p10 {formatMs(profile.thinkTime.p10Ms)} • p90 {formatMs(profile.thinkTime.p90Ms)}
+                    </span>
+                    <span className="badge">σ {formatMs(profile.thinkTime.stdDevMs)}</span>
+                    <span className="badge" title="Exponentially weighted: recent moves count most">
+                      recent {formatMs(profile.thinkTime.ewmaMs)}
+                    </span>
+                    <span className="badge">{profile.thinkTime.samples} moves</span>
+                  </div>
+                </div>
+
+                <div className="chartBox">
+                  <ResponsiveContainer>
+                    <BarChart data={thinkTimeSeries}>
+                      <XAxis dataKey="bucket" />
+                      <YAxis allowDecimals={false} />
+                      <Tooltip formatter={(value) => [value, "Moves"]} labelFormatter={(label) => `Think time ${label}`} />
+                      <Bar dataKey="count" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </>
+            )}
+
+            {/* ANNOTATED MOVES */}
+            {analysis && (
+              <>
+                <div className="adminHeader" style={{ marginTop: 14, marginBottom: 8 }}>
+                  <h4 style={{ margin: 0 }}>Annotated moves</h4>
+                  <div className="row" style={{ gap: 8 }}>
+                    <span className="badge">
+                      accuracy: {analysis.accuracy != null ? `${analysis.accuracy}%` : "—"}
+                    </span>
+                    <span className="badge">
+                      avg cp loss: {analysis.summary?.avgCpLoss ?? "—"}
+                    </span>
+                    <span className="badge">
+                      ?! {analysis.summary?.inaccuracies ?? 0} • ? {analysis.summary?.mistakes ?? 0} • ??{" "}
+                      {analysis.summary?.blunders ?? 0}
+                    </span>
+                  </div>
+                </div>
+
+                <div className="moveList">
+                  {(analysis.plies || []).map((p) => (
+                    <div key={p.ply} className="moveRow">
+                      <span className="small">
+                        {p.moveNumber}
+                        {p.color === "w" ? "." : "…"}
+                      </span>
+                      <span className="moveCell">
+                        <b className={p.quality ? `q-${p.quality}` : ""}>{p.san}</b>
+                        {p.isBot ? (
+                          <span className="badge">bot</span>
+                        ) : (
+                          <span className={`small q-${p.quality ?? "good"}`}>{p.quality ?? "—"}</span>
+                        )}
+                      </span>
+                      <span className="moveCell small">
+                        eval {fmtEval(p.eval, p.mate)}
+                        {!p.isBot && (
+                          <>
+                            {" "}• cpLoss {p.cpLoss ?? "—"} • think {formatMs(p.thinkTimeMs)}
+                            {p.bestMoveUci && p.bestMoveUci !== p.uci && <> • best {p.bestMoveUci}</>}
+                          </>
+                        )}
+                        {p.attention?.awayMs > 0 && (
+                          <span title="Tab blurred / hidden during the think time">
+                            {" "}• away {formatMs(p.attention.awayMs)} (active {formatMs(p.attention.activeThinkTimeMs)})
+                          </span>
+                        )}
+                        {p.attention?.afterReturn && <span className="badge">after return</span>}
+                        {p.exploration && (
+                          <span title="Hovers / clicks / pick-ups during this move's think time">
+                            {" "}• {fmtExploration(p.exploration)}
+                          </span>
+                        )}
+                      </span>
+                    </div>
+                  ))}
+
+                  {analysis.truncatedAt != null && (
+                    <p className="small" style={{ opacity: 0.75 }}>
+                      Replay stopped at ply {analysis.truncatedAt} (missing or illegal stored move).
+                    </p>
+                  )}
+                </div>
+              </>
+            )}
+
+            <hr />
+
+            {/* GAMES */}
             <div className="adminHeader" style={{ marginBottom: 8 }}>
-              <h4 style={{ margin: 0 }}>Think time trend (last moves)</h4>
-              <span className="badge">{(profile?.moves || []).length} samples</span>
+              <h4 style={{ margin: 0 }}>Games</h4>
+              <span className="badge">per game, player moves only</span>
             </div>
 
-            <div className="chartBox">
-              <ResponsiveContainer>
-           <LineChart data={moveSeries}>
-  <XAxis dataKey="i" />
-  <YAxis tickFormatter={(v) => `${v}s`} />
-  <Tooltip
-    formatter={(value, name) => {
-      if (name === "thinkTimeSec") return [`${Math.round(value * 10) / 10}s`, "Think time"];
-      return [value, name];
-    }}
-    labelFormatter={(label) => `Move #${label}`}
-  />
-  <Line type="monotone" dataKey="thinkTimeSec" />
-</LineChart>
-
-              </ResponsiveContainer>
+            {(profile?.games || []).length === 0 ? (
+              <p className="small" style={{ marginTop: 0 }}>No games yet.</p>
+            ) : (
+              <div className="moveList">
+                {profile.games.map((g) => (
+                  <div key={g.id} className="moveRow sessionRow">
+                    <span className="moveCell small">{fmtDate(g.createdAt)}</span>
+                    <span className="moveCell">
+                      <span className="small">{g.result ?? (g.endedAt ? "ended" : "open")}</span>
+                    </span>
+                    <span className="moveCell small">{fmtAggregate(g.stats)}</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <hr />
+
+            {/* SESSIONS */}
+            <div className="adminHeader" style={{ marginBottom: 8 }}>
+              <h4 style={{ margin: 0 }}>Sessions</h4>
+              <span className="badge">
+                {stats?.sessionCount ?? 0} total • avg {fmtDuration(stats?.avgSessionMs)} •{" "}
+                {stats?.gamesPerSession ?? 0} games/session
+              </span>
             </div>
 
+            {(profile?.sessions || []).length === 0 ? (
+              <p className="small" style={{ marginTop: 0 }}>No sessions yet.</p>
+            ) : (
+              <div className="moveList">
+                {profile.sessions.map((s) => (
+                  <div key={s.id} className="moveRow sessionRow">
+                    <span className="moveCell small">{fmtDate(s.startedAt)}</span>
+                    <span className="moveCell">
+                      {s.open ? (
+                        <span className="badge">open</span>
+                      ) : (
+                        <span className="small">{s.endReason ?? "ended"}</span>
+                      )}
+                    </span>
+                    <span className="moveCell small">
+                      {fmtDuration(s.durationMs)} • active {fmtDuration(s.activeMs)} • idle{" "}
+                      {fmtDuration(s.idleMs)}
+                      {s.activeRatio != null && <> ({Math.round(s.activeRatio * 100)}% active)</>}
+                      {" "}• {s.games} games • {s.events} events
+                      {s.stats?.moves > 0 && <> • {fmtAggregate(s.stats)}</>}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <hr />
 
             {/* INTERVENTIONS */}
@@ -415,6 +1294,7 @@ const moveSeries = useMemo(() => {
 
             <p className="small" style={{ marginTop: 0 }}>
               These toggles change the user-facing UI for this UID.
+              {!canOperate && " Read-only: changing them needs the operator role."}
             </p>
 
             <div className="toggleGrid">
@@ -422,6 +1302,7 @@ const moveSeries = useMemo(() => {
                 <input
                   type="checkbox"
                   checked={confirmMoves}
+                  disabled={!canOperate}
                   onChange={(e) => setConfirmMoves(e.target.checked)}
                 />
                 <div>
@@ -436,6 +1317,7 @@ const moveSeries = useMemo(() => {
                 <input
                   type="checkbox"
                   checked={nudgeTakeASecond}
+                  disabled={!canOperate}
                   onChange={(e) => setNudgeTakeASecond(e.target.checked)}
                 />
                 <div>
@@ -455,7 +1337,7 @@ const moveSeries = useMemo(() => {
                 <button
                   className="btn btn-primary"
                   onClick={saveInterventions}
-                  disabled={saving}
+                  disabled={saving || !canOperate}
                 >
                   {saving ? "Saving…" : "Save interventions"}
                 </button>
@@ -475,6 +1357,156 @@ const moveSeries = useMemo(() => {
               )}
             </div>
 
+            {/* HOVER HEATMAP (rendered when opened: every load is an audited profile read) */}
+            <details
+              key={`heatmap-${selectedUid}`}
+              className="eventItem"
+              style={{ marginTop: 12 }}
+              onToggle={(e) => setHeatmapOpen(e.currentTarget.open)}
+            >
+              <summary className="eventTop">
+                <span className="badge">heatmap</span>
+                <span className="small">Hovered squares</span>
+                <span className="small">per game / session / date range</span>
+              </summary>
+              {heatmapOpen && (
+                <div style={{ padding: "10px 0" }}>
+                  <HeatmapPanel
+                    adminToken={adminToken}
+                    uid={selectedUid}
+                    games={profile?.games || []}
+                    sessions={profile?.sessions || []}
+                    onAuthError={handleAuthError}
+                  />
+                </div>
+              )}
+            </details>
+
+            {/* ATTENTION TIMELINE (rendered when opened: every load is an audited profile read) */}
+            <details
+              key={`attention-${selectedUid}`}
+              className="eventItem"
+              style={{ marginTop: 12 }}
+              onToggle={(e) => setAttentionOpen(e.currentTarget.open)}
+            >
+              <summary className="eventTop">
+                <span className="badge">attention</span>
+                <span className="small">Focus per session</span>
+                <span className="small">score {stats?.attentionScore ?? "—"}</span>
+              </summary>
+              {attentionOpen && (
+                <div style={{ padding: "10px 0" }}>
+                  <AdminAttention
+                    adminToken={adminToken}
+                    uid={selectedUid}
+                    sessions={profile?.sessions || []}
+                    onAuthError={handleAuthError}
+                  />
+                </div>
+              )}
+            </details>
+
+            {/* SEGMENT HISTORY */}
+            <details
+              key={selectedUid}
+              className="eventItem"
+              style={{ marginTop: 12 }}
+              onToggle={(e) => loadSegmentHistory(e.currentTarget.open)}
+            >
+              <summary className="eventTop">
+                <span className="badge">timeline</span>
+                <span className="small">Segment history</span>
+                <span className="small">
+                  {segmentHistory ? `${segmentHistory.filter((x) => x.kind === "label").length} changes` : ""}
+                </span>
+              </summary>
+
+              {!segmentHistory ? (
+                <p className="small">Loading…</p>
+              ) : segmentHistory.length === 0 ? (
+                <p className="small">No label changes recorded yet.</p>
+              ) : (
+                <div className="moveList">
+                  {segmentHistory.map((x) =>
+                    x.kind === "decision" ? (
+                      <div key={`d-${x.id}`} className="eventRow" style={{ opacity: 0.75 }}>
+                        <div className="eventTop">
+                          <span className="badge">interventions</span>
+                          <span className="small">{fmtDate(x.at)}</span>
+                          <span className="small">
+                            confirm {x.interventions.confirmMoves ? "on" : "off"} • nudge{" "}
+                            {x.interventions.nudgeTakeASecond ? "on" : "off"}
+                          </span>
+                        </div>
+                      </div>
+                    ) : (
+                      <div key={`s-${x.id}`} className="eventRow" title={oneLine(x.stats, 300)}>
+                        <div className="eventTop">
+                          <span className="badge">
+                            {x.previous ?? "—"} → {x.segment}
+                          </span>
+                          <span className="small">
+                            {fmtDate(x.at)} • {x.reason} • v{x.ruleSetVersion ?? "?"} {x.ruleId}
+                          </span>
+                          <span className="small">
+                            confirm {x.interventions.confirmMoves ? "on" : "off"} • nudge{" "}
+                            {x.interventions.nudgeTakeASecond ? "on" : "off"}
+                          </span>
+                        </div>
+                        <div className="small" style={{ opacity: 0.75 }}>
+                          moves {x.stats?.moves} • avgThink {x.stats?.avgThinkTime}s • blunderRate{" "}
+                          {x.stats?.blunderRate}% • hovers/move {x.stats?.hoversPerMove} • hints{" "}
+                          {x.stats?.hintsUsed}
+                        </div>
+                      </div>
+                    )
+                  )}
+                </div>
+              )}
+            </details>
+
+            <hr />
+
+            {/* PGN IMPORT */}
+            {canOperate && (
+              <details className="eventItem">
+                <summary className="eventTop">
+                  <span className="badge">import</span>
+                  <span className="small">Seed games for this UID from PGN</span>
+                  <span />
+                </summary>
+
+                <textarea
+                  className="input"
+                  style={{ marginTop: 10, minHeight: 120, fontFamily: "monospace" }}
+                  value={importText}
+                  onChange={(e) => setImportText(e.target.value)}
+                  placeholder={'[Event "..."]\n\n1. e4 {[%clk 0:05:00]} e5 ...'}
+                />
+
+                <div className="row" style={{ marginTop: 10, gap: 10 }}>
+                  <select
+                    className="input"
+                    style={{ width: 180, padding: "8px 10px" }}
+                    value={importColor}
+                    onChange={(e) => setImportColor(e.target.value)}
+                  >
+                    <option value="">Player: from tags</option>
+                    <option value="w">Player: white</option>
+                    <option value="b">Player: black</option>
+                  </select>
+                  <button
+                    className="btn btn-primary"
+                    onClick={importPgn}
+                    disabled={importing || !importText.trim()}
+                  >
+                    {importing ? "Importing…" : "Import PGN"}
+                  </button>
+                  {importMsg && <span className="small">{importMsg}</span>}
+                </div>
+              </details>
+            )}
+
             <hr />
 
             {/* EVENTS */}
@@ -482,6 +1514,11 @@ const moveSeries = useMemo(() => {
               <h4 style={{ margin: 0 }}>Recent events</h4>
               <div className="row" style={{ gap: 10 }}>
                 <span className="badge">{events?.length ?? 0} shown</span>
+                {isOwner && (
+                  <button className="btn" onClick={deleteEvents} title="Owner only, audited">
+                    Delete events
+                  </button>
+                )}
                 <select
                   className="input"
                   style={{ width: 120, padding: "8px 10px" }}
@@ -491,7 +1528,7 @@ const moveSeries = useMemo(() => {
                     setEventsTake(v);
                     if (!selectedUid) return;
                     try {
-                      const ev = await adminGetEvents(selectedUid, adminPassword, v);
+                      const ev = await adminGetEvents(selectedUid, adminToken, v);
                       setEvents(Array.isArray(ev) ? ev : []);
                     } catch {}
                   }}
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from "react";
+import { adminGetAttention } from "../lib/api";
+import { fmtDate } from "../lib/format";
+
+function fmtSec(ms) {
+  if (ms == null) return "—";
+  return `${Math.round(ms / 100) / 10}s`;
+}
+
+// Per-session attention timeline: away (blur / hidden tab) and idle stretches, moves as ticks
+export default function AdminAttention({ adminToken, uid, sessions = [], onAuthError }) {
+  const [sessionId, setSessionId] = useState("");
+  const [timeline, setTimeline] = useState(null);
+  const [err, setErr] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+    setErr("");
+    adminGetAttention(uid, adminToken, sessionId || null)
+      .then((r) => alive && setTimeline(r))
+      .catch((e) => {
+        if (!alive || onAuthError(e)) return;
+        setTimeline(null);
+        setErr(e?.status === 404 ? "No sessions yet." : `Failed to load: ${e?.message || e}`);
+      });
+    return () => {
+      alive = false;
+    };
+  }, [uid, sessionId]);
+
+  const span = timeline?.from != null ? Math.max(1, timeline.to - timeline.from) : 1;
+  const pos = (t) => `${((t - timeline.from) / span) * 100}%`;
+  const width = (a, b) => `${Math.max(0.4, ((b - a) / span) * 100)}%`;
+
+  return (
+    <div>
+      <select
+        className="input"
+        style={{ width: 240, padding: "8px 10px" }}
+        value={sessionId}
+        onChange={(e) => setSessionId(e.target.value)}
+      >
+        <option value="">Latest session</option>
+        {sessions.map((s) => (
+          <option key={s.id} value={s.id}>
+            {fmtDate(s.startedAt)}
+          </option>
+        ))}
+      </select>
+
+      {err && <p className="small">{err}</p>}
+
+      {timeline && timeline.from == null && <p className="small">No focus / visibility events in this session.</p>}
+
+      {timeline && timeline.from != null && (
+        <>
+          <p className="small">
+            {fmtDate(timeline.startedAt)} • away {fmtSec(timeline.awayMs)} of {fmtSec(span)} •{" "}
+            {timeline.moves.length} moves ({timeline.moves.filter((m) => m.afterReturn).length} right after
+            returning)
+          </p>
+
+          <div className="attentionTrack">
+            {timeline.idle.map((i) => (
+              <span
+                key={`idle-${i.from}`}
+                className="attentionSpan idle"
+                style={{ left: pos(i.from), width: width(i.from, i.to) }}
+                title={`idle ${fmtSec(i.to - i.from)}`}
+              />
+            ))}
+            {timeline.away.map((i) => (
+              <span
+                key={`away-${i.from}`}
+                className={`attentionSpan ${i.kind}`}
+                style={{ left: pos(i.from), width: width(i.from, i.to) }}
+                title={`${i.kind === "hidden" ? "tab hidden" : "window blurred"} ${fmtSec(i.to - i.from)}`}
+              />
+            ))}
+            {timeline.moves.map((m) => (
+              <span
+                key={`${m.gameId}-${m.ply}`}
+                className={`attentionMove ${m.afterReturn ? "afterReturn" : ""}`}
+                style={{ left: pos(m.at) }}
+                title={
+                  `ply ${m.ply} ${m.san} • think ${fmtSec(m.thinkTimeMs)}` +
+                  (m.awayMs != null ? ` • away ${fmtSec(m.awayMs)}` : "") +
+                  (m.afterReturn ? " • right after returning" : "")
+                }
+              />
+            ))}
+          </div>
+
+          <p className="small" style={{ opacity: 0.75 }}>
+            Yellow = window blurred • red = tab hidden • grey = idle • ticks = moves (red tick = played
+            right after returning)
+          </p>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from "react";
+import { adminGetAudit } from "../lib/api";
+import { fmtDate, oneLine } from "../lib/format";
+
+// Audit log browser (owner only), rendered inside the Admin page
+export default function AdminAudit({ adminToken, onAuthError, onClose }) {
+  const [filters, setFilters] = useState({ admin: "", action: "", uid: "" });
+  const [entries, setEntries] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [actions, setActions] = useState([]);
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function load({ before = null } = {}) {
+    setLoading(true);
+    setErr("");
+    try {
+      const r = await adminGetAudit(adminToken, { ...filters, before, take: 50 });
+      setEntries((prev) => (before ? [...prev, ...r.entries] : r.entries));
+      setNextBefore(r.nextBefore);
+      setActions(r.actions ?? []);
+      setAdmins(r.admins ?? []);
+    } catch (e) {
+      if (onAuthError(e)) return;
+      setErr("Failed to load the audit log.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // reload from the newest entry whenever a filter changes
+  useEffect(() => {
+    load();
+  }, [filters.admin, filters.action]);
+
+  function setFilter(key, value) {
+    setFilters((f) => ({ ...f, [key]: value }));
+  }
+
+  return (
+    <div className="card adminShell">
+      <div className="adminHeader">
+        <div>
+          <h3 style={{ margin: 0 }}>Audit log</h3>
+          <p className="small" style={{ margin: "6px 0 0 0" }}>
+            Every profile read, export and change made by an admin account.
+          </p>
+        </div>
+        <button className="btn" onClick={onClose}>
+          Back to users
+        </button>
+      </div>
+
+      <div className="row" style={{ gap: 10, marginTop: 12 }}>
+        <select
+          className="input"
+          style={{ width: 180, padding: "8px 10px" }}
+          value={filters.admin}
+          onChange={(e) => setFilter("admin", e.target.value)}
+        >
+          <option value="">All admins</option>
+          {admins.map((a) => (
+            <option key={a.username} value={a.username}>
+              {a.username} ({a.role})
+            </option>
+          ))}
+        </select>
+        <select
+          className="input"
+          style={{ width: 180, padding: "8px 10px" }}
+          value={filters.action}
+          onChange={(e) => setFilter("action", e.target.value)}
+        >
+          <option value="">All actions</option>
+          {actions.map((a) => (
+            <option key={a} value={a}>
+              {a}
+            </option>
+          ))}
+        </select>
+        <input
+          className="input"
+          style={{ width: 220 }}
+          value={filters.uid}
+          onChange={(e) => setFilter("uid", e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && load()}
+          placeholder="Player UID (Enter)"
+        />
+        <button className="btn" onClick={() => load()} disabled={loading}>
+          {loading ? "…" : "Refresh"}
+        </button>
+      </div>
+
+      {err && (
+        <div className="alert alert-danger" style={{ marginTop: 12 }}>
+          {err}
+        </div>
+      )}
+
+      <div className="eventsList" style={{ marginTop: 12 }}>
+        {entries.map((a) => (
+          <details key={a.id} className="eventItem">
+            <summary className="eventTop auditTop">
+              <span className="small">{fmtDate(a.createdAt)}</span>
+              <span className="badge">{a.adminUsername}</span>
+              <span className="badge">{a.action}</span>
+              <span className="small" style={{ opacity: 0.75 }}>
+                {a.targetUid ?? ""} {a.details ? oneLine(a.details, 100) : ""}
+              </span>
+            </summary>
+            <pre style={{ marginTop: 10 }}>
+              {JSON.stringify({ ...a.details, ipHash: a.ipHash }, null, 2)}
+            </pre>
+          </details>
+        ))}
+
+        {!loading && entries.length === 0 && <p className="small">No audit entries.</p>}
+      </div>
+
+      {nextBefore && (
+        <button
+          className="btn"
+          style={{ marginTop: 10 }}
+          onClick={() => load({ before: nextBefore })}
+          disabled={loading}
+        >
+          Older entries
+        </button>
+      )}
+    </div>
+  );
+}
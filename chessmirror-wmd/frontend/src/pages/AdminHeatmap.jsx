@@ -0,0 +1,174 @@
+import React, { useEffect, useState } from "react";
+import { adminGetHeatmap } from "../lib/api";
+import { fmtDate } from "../lib/format";
+
+const FILES = ["a", "b", "c", "d", "e", "f", "g", "h"];
+const RANKS = [8, 7, 6, 5, 4, 3, 2, 1];
+
+// "2026-01-20" (date input) -> ISO start of that local day; `endOfDay` -> start of the next day
+function dayToIso(value, endOfDay = false) {
+  if (!value) return null;
+  const d = new Date(`${value}T00:00:00`);
+  if (endOfDay) d.setDate(d.getDate() + 1);
+  return d.toISOString();
+}
+
+// 8x8 board (white at the bottom), square colour intensity = hovers relative to the hottest square
+export function HeatmapBoard({ squares = [], max = 0 }) {
+  const bySquare = Object.fromEntries(squares.map((s) => [s.square, s]));
+
+  return (
+    <div className="heatmapBoard">
+      {RANKS.flatMap((rank, r) =>
+        FILES.map((file, f) => {
+          const square = `${file}${rank}`;
+          const s = bySquare[square];
+          const heat = s && max > 0 ? s.count / max : 0;
+          return (
+            <div
+              key={square}
+              className={`heatmapSquare ${(r + f) % 2 ? "dark" : "light"}`}
+              title={s ? `${square}: ${s.count} hovers • ${s.perMove ?? "—"}/move • ${s.share}%` : square}
+            >
+              <span className="heatmapHeat" style={{ opacity: heat }} />
+              <span className="heatmapLabel">{s?.perMove ?? (f === 0 || r === 7 ? square : "")}</span>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
+
+// filters + board; uid null = all users (only the date range applies)
+export function HeatmapPanel({ adminToken, uid = null, games = [], sessions = [], onAuthError }) {
+  const [filters, setFilters] = useState({ gameId: "", sessionId: "", from: "", to: "" });
+  const [heatmap, setHeatmap] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [err, setErr] = useState("");
+
+  async function load() {
+    setLoading(true);
+    setErr("");
+    try {
+      const r = await adminGetHeatmap(adminToken, uid, {
+        gameId: uid ? filters.gameId : null,
+        sessionId: uid ? filters.sessionId : null,
+        from: dayToIso(filters.from),
+        to: dayToIso(filters.to, true)
+      });
+      setHeatmap(r);
+    } catch (e) {
+      if (onAuthError(e)) return;
+      setErr(`Failed to load the heatmap: ${e?.message || e}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, [uid, filters.gameId, filters.sessionId, filters.from, filters.to]);
+
+  function setFilter(key, value) {
+    setFilters((f) => ({ ...f, [key]: value }));
+  }
+
+  return (
+    <div>
+      <div className="row" style={{ gap: 10, flexWrap: "wrap" }}>
+        {uid && (
+          <>
+            <select
+              className="input"
+              style={{ width: 200, padding: "8px 10px" }}
+              value={filters.gameId}
+              onChange={(e) => setFilter("gameId", e.target.value)}
+            >
+              <option value="">All games</option>
+              {games.map((g) => (
+                <option key={g.id} value={g.id}>
+                  {fmtDate(g.createdAt)}
+                  {g.result ? ` • ${g.result}` : ""}
+                </option>
+              ))}
+            </select>
+            <select
+              className="input"
+              style={{ width: 200, padding: "8px 10px" }}
+              value={filters.sessionId}
+              onChange={(e) => setFilter("sessionId", e.target.value)}
+            >
+              <option value="">All sessions</option>
+              {sessions.map((s) => (
+                <option key={s.id} value={s.id}>
+                  {fmtDate(s.startedAt)}
+                </option>
+              ))}
+            </select>
+          </>
+        )}
+        <input
+          className="input"
+          type="date"
+          style={{ width: 160 }}
+          value={filters.from}
+          onChange={(e) => setFilter("from", e.target.value)}
+          title="From (inclusive)"
+        />
+        <input
+          className="input"
+          type="date"
+          style={{ width: 160 }}
+          value={filters.to}
+          onChange={(e) => setFilter("to", e.target.value)}
+          title="To (inclusive)"
+        />
+      </div>
+
+      {err && (
+        <div className="alert alert-danger" style={{ marginTop: 12 }}>
+          {err}
+        </div>
+      )}
+
+      {loading && !heatmap ? (
+        <p className="small">Loading heatmap…</p>
+      ) : (
+        heatmap && (
+          <>
+            <p className="small">
+              {heatmap.total} hovers • {heatmap.moves} player moves • {heatmap.hoversPerMove ?? "—"} hovers/move
+              {heatmap.rolledUp > 0 && ` • ${heatmap.rolledUp} from rolled-up days`}
+              {" "}• numbers on the squares = hovers per move
+            </p>
+            <HeatmapBoard squares={heatmap.squares} max={heatmap.max} />
+          </>
+        )
+      )}
+    </div>
+  );
+}
+
+// Global hover heatmap (all users), rendered inside the Admin page
+export default function AdminHeatmap({ adminToken, onAuthError, onClose }) {
+  return (
+    <div className="card adminShell">
+      <div className="adminHeader">
+        <div>
+          <h3 style={{ margin: 0 }}>Hover heatmap</h3>
+          <p className="small" style={{ margin: "6px 0 0 0" }}>
+            Where attention goes across all players, normalised per player move.
+          </p>
+        </div>
+        <button className="btn" onClick={onClose}>
+          Back to users
+        </button>
+      </div>
+
+      <div style={{ marginTop: 12 }}>
+        <HeatmapPanel adminToken={adminToken} onAuthError={onAuthError} />
+      </div>
+    </div>
+  );
+}
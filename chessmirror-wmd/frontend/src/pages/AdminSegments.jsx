@@ -0,0 +1,242 @@
+import React, { useEffect, useState } from "react";
+import {
+  adminActivateSegmentRules,
+  adminGetSegmentRules,
+  adminPreviewSegmentRules,
+  adminSaveSegmentRules
+} from "../lib/api";
+import { fmtDate } from "../lib/format";
+
+function countList(counts) {
+  return Object.entries(counts ?? {})
+    .sort((a, b) => b[1] - a[1])
+    .map(([label, n]) => `${label}: ${n}`)
+    .join(" • ");
+}
+
+// Segmentation rule sets: edit drafts, preview them against every profile, activate one
+export default function AdminSegments({ adminToken, canOperate, isOwner, onAuthError, onClose }) {
+  const [data, setData] = useState(null);
+  const [selected, setSelected] = useState(null); // version
+  const [name, setName] = useState("");
+  const [text, setText] = useState("");
+  const [preview, setPreview] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  const ruleSets = data ? [...data.ruleSets, data.builtIn] : [];
+  const current = ruleSets.find((r) => r.version === selected) ?? null;
+  const editable = canOperate && current?.status === "draft";
+
+  function open(ruleSet) {
+    setSelected(ruleSet.version);
+    setName(ruleSet.name);
+    setText(JSON.stringify(ruleSet.rules, null, 2));
+    setPreview(null);
+    setErr("");
+  }
+
+  async function load(version = selected) {
+    try {
+      const r = await adminGetSegmentRules(adminToken);
+      setData(r);
+      const list = [...r.ruleSets, r.builtIn];
+      open(list.find((x) => x.version === version) ?? list.find((x) => x.version === r.activeVersion));
+    } catch (e) {
+      if (onAuthError(e)) return;
+      setErr("Failed to load the rule sets.");
+    }
+  }
+
+  useEffect(() => {
+    load();
+  }, []);
+
+  function parsed() {
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      setErr(`Invalid JSON: ${e.message}`);
+      return null;
+    }
+  }
+
+  // server validation errors -> one readable line
+  function showError(e, what) {
+    if (onAuthError(e)) return;
+    const fields = e?.data?.details?.fieldErrors;
+    const detail = fields ? Object.entries(fields).map(([k, v]) => `${k}: ${v.join(", ")}`).join("; ") : "";
+    setErr(`${what}: ${e?.message || e}${detail ? ` (${detail})` : ""}`);
+  }
+
+  async function run(what, fn) {
+    setErr("");
+    setBusy(true);
+    try {
+      await fn();
+    } catch (e) {
+      showError(e, what);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function runPreview() {
+    const rules = parsed();
+    if (!rules) return;
+    run("Preview failed", async () => setPreview(await adminPreviewSegmentRules(adminToken, rules)));
+  }
+
+  function save(asNew) {
+    const rules = parsed();
+    if (!rules) return;
+    run("Save failed", async () => {
+      const r = await adminSaveSegmentRules(adminToken, {
+        version: asNew ? null : selected,
+        name: asNew ? "" : name,
+        rules
+      });
+      await load(r.ruleSet.version);
+    });
+  }
+
+  function activate() {
+    if (!window.confirm(`Activate v${selected}? Every profile gets relabelled with it.`)) return;
+    run("Activation failed", async () => {
+      const r = await adminActivateSegmentRules(adminToken, selected);
+      await load(selected);
+      setErr(`✅ v${selected} active, ${r.relabeled} profile(s) relabelled.`);
+    });
+  }
+
+  return (
+    <div className="card adminShell">
+      <div className="adminHeader">
+        <div>
+          <h3 style={{ margin: 0 }}>Segmentation rules</h3>
+          <p className="small" style={{ margin: "6px 0 0 0" }}>
+            First matching rule wins. Active: <span className="badge">v{data?.activeVersion ?? "…"}</span>
+            {!canOperate && " Read-only: editing needs the operator role."}
+          </p>
+        </div>
+        <button className="btn" onClick={onClose}>
+          Back to users
+        </button>
+      </div>
+
+      {err && (
+        <div className="alert alert-danger" style={{ marginTop: 12 }}>
+          {err}
+        </div>
+      )}
+
+      <div className="row" style={{ gap: 8, marginTop: 12, flexWrap: "wrap" }}>
+        {ruleSets.map((r) => (
+          <button
+            key={r.version}
+            className={`btn ${r.version === selected ? "btn-primary" : ""}`}
+            onClick={() => open(r)}
+            title={r.activatedAt ? `activated ${fmtDate(r.activatedAt)} by ${r.activatedBy ?? "?"}` : ""}
+          >
+            v{r.version} {r.name} <span className="badge">{r.status}</span>
+          </button>
+        ))}
+      </div>
+
+      {current && (
+        <>
+          <div className="row" style={{ gap: 10, marginTop: 12 }}>
+            <input
+              className="input"
+              style={{ width: 260 }}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              disabled={!editable}
+              placeholder="Name"
+            />
+            {current.createdBy && <span className="small">by {current.createdBy}</span>}
+          </div>
+
+          <textarea
+            className="input"
+            style={{ marginTop: 10, minHeight: 320, fontFamily: "monospace" }}
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            readOnly={!canOperate}
+            spellCheck={false}
+          />
+
+          <div className="row" style={{ marginTop: 10, gap: 10 }}>
+            {canOperate && (
+              <button className="btn" onClick={runPreview} disabled={busy}>
+                Preview on existing users
+              </button>
+            )}
+            {editable && (
+              <button className="btn" onClick={() => save(false)} disabled={busy}>
+                Save draft
+              </button>
+            )}
+            {canOperate && (
+              <button className="btn" onClick={() => save(true)} disabled={busy}>
+                Save as new draft
+              </button>
+            )}
+            {isOwner && current.status !== "active" && current.version !== 0 && (
+              <button className="btn btn-primary" onClick={activate} disabled={busy}>
+                Activate v{current.version}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {preview && (
+        <div className="card" style={{ marginTop: 14 }}>
+          <h4 style={{ margin: 0 }}>Preview</h4>
+          <p className="small">
+            {preview.total} profiles • <b>{preview.changed}</b> would change label
+          </p>
+          <p className="small">Now: {countList(preview.current) || "—"}</p>
+          <p className="small">With these rules: {countList(preview.next) || "—"}</p>
+          {preview.changed > 0 && <p className="small">Changes: {countList(preview.transitions)}</p>}
+
+          <div className="moveList">
+            {preview.samples.map((s) => (
+              <div key={s.uid} className="eventRow">
+                <div className="eventTop">
+                  <span className="badge">{s.uid}</span>
+                  <span className="small">
+                    {s.from} → {s.to}
+                  </span>
+                  <span className="small">rule: {s.ruleId}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {data && (
+        <details className="eventItem" style={{ marginTop: 14 }}>
+          <summary className="eventTop">
+            <span className="badge">metrics</span>
+            <span className="small">What a rule can test (ops: {data.ops.join(" ")})</span>
+            <span />
+          </summary>
+          <div className="moveList">
+            {Object.entries(data.metrics).map(([key, m]) => (
+              <div key={key} className="eventRow">
+                <div className="eventTop">
+                  <span className="badge">{key}</span>
+                  <span className="small">{m.description}</span>
+                  <span />
+                </div>
+              </div>
+            ))}
+          </div>
+        </details>
+      )}
+    </div>
+  );
+}
@@ -10,9 +10,36 @@
 import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Chess } from "chess.js";
 import { Chessboard } from "react-chessboard";
-import { getUid, newUid, newSessionId } from "../lib/uid";
-import { track } from "../lib/tracker";
-import { getInterventions, startGame, submitMove, getProfile } from "../lib/api";
+import { getUid, newUid, getSessionId, getUidSecrets } from "../lib/uid";
+import { track, restartSession, subscribeEventQueue, syncConsent } from "../lib/tracker";
+import {
+  CONSENT_CATEGORIES,
+  getConsent,
+  hasConsent,
+  setConsent,
+  subscribeConsent
+} from "../lib/consent";
+import { moveQueue } from "../lib/moveQueue";
+import { isRetryable } from "../lib/offlineQueue";
+import {
+  getInterventions,
+  startGame,
+  submitMove,
+  getProfile,
+  endGame,
+  getMyExport,
+  requestErasure
+} from "../lib/api";
+
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
 
 const fenKey = (uid) => `cm_fen_${uid}`;
 const gameKey = (uid) => `cm_game_${uid}`;
@@ -164,86 +191,19 @@ function gameOutcomeLabel(ch) {
     return "GAME OVER";
   }
 }
-function fmt(n, d = 1) {
-  const x = Number(n);
-  if (!Number.isFinite(x)) return "—";
-  return x.toFixed(d);
+// ms -> seconds with one decimal ("—" when unknown)
+function fmtSec(ms) {
+  if (ms == null) return "—";
+  return (Math.round(ms / 100) / 10).toFixed(1);
 }
 
-function getBehaviorInsight(stats) {
-  const moveCount = stats?.moves ?? stats?.moveCount ?? 0;
-  const avgThinkTime = stats?.avgThinkTime ?? 0; // seconds
-  const blunderRate = stats?.blunderRate ?? 0;   // %
-  const hoverCount = stats?.hoverCount ?? 0;
-  const hintsUsed = stats?.hintsUsed ?? 0;
-
-  const hoversPerMove = moveCount > 0 ? hoverCount / moveCount : 0;
-
-  // ✅ warming up
-  if (moveCount < 6) {
-    return {
-      label: "Warming up",
-      text: `Not enough stable data yet (moves=${moveCount}). Play a few more moves to lock in a reliable profile.`
-    };
-  }
-
-  // Impulsive
-  if (avgThinkTime <= 2.2 && blunderRate >= 25) {
-    return {
-      label: "Impulsive",
-      text:
-        `You play very fast (avgThink≈${fmt(avgThinkTime)}s) while making many costly mistakes (blunderRate=${fmt(blunderRate, 0)}%). ` +
-        `That combo strongly indicates impulsive decisions rather than calculated lines.`
-    };
-  }
-
-  // Reflective
-  if (avgThinkTime >= 6.0 && blunderRate <= 20) {
-    return {
-      label: "Reflective",
-      text:
-        `You take your time (avgThink≈${fmt(avgThinkTime)}s) and your mistakes stay controlled (blunderRate=${fmt(blunderRate, 0)}%). ` +
-        `This pattern matches reflective play: deeper evaluation before committing.`
-    };
-  }
-
-  // Hesitant
-  if (avgThinkTime >= 4.0 && hoversPerMove >= 4.0) {
-    return {
-      label: "Hesitant",
-      text:
-        `You spend longer per move (avgThink≈${fmt(avgThinkTime)}s) and explore many squares (hovers/move≈${fmt(hoversPerMove)}). ` +
-        `That suggests hesitation: lots of searching before finally committing.`
-    };
-  }
-
-  // Explorer
-  if (hoversPerMove >= 5.0) {
-    return {
-      label: "Explorer",
-      text:
-        `Your exploration is very high (hovers/move≈${fmt(hoversPerMove)}). ` +
-        `That can be strong, but it’s most effective when you shortlist 1–2 candidate moves instead of scanning everything.`
-    };
-  }
-
-  // Unstable (alleen als echt)
-  if (blunderRate >= 35) {
-    return {
-      label: "Unstable",
-      text:
-        `Your blunder rate is very high (${fmt(blunderRate, 0)}%), which points to inconsistent execution or focus. ` +
-        `Stabilizing your routine (checks → captures → threats) should reduce these spikes.`
-    };
-  }
-
-  // Balanced default
-  return {
-    label: "Balanced",
-    text:
-      `Your pace and accuracy are fairly consistent (avgThink≈${fmt(avgThinkTime)}s, blunderRate=${fmt(blunderRate, 0)}%). ` +
-      `Exploration is moderate (hovers/move≈${fmt(hoversPerMove)}), which fits a balanced decision style overall.`
-  };
+// reason sent to POST /api/game/end (server re-checks it from the stored moves)
+function gameEndReason(ch) {
+  const label = gameOutcomeLabel(ch);
+  if (label === "CHECKMATE") return "checkmate";
+  if (label === "STALEMATE") return "stalemate";
+  if (label === "DRAW") return "draw";
+  return null;
 }
 
 export default function Home() {
@@ -261,6 +221,16 @@ export default function Home() {
   });
 
   const [status, setStatus] = useState("ready");
+
+  // ===== consent (lib/consent.js): nothing is tracked or saved before a decision =====
+  const [consent, setConsentState] = useState(() => getConsent());
+  const [consentOpen, setConsentOpen] = useState(() => !getConsent());
+  const [consentDraft, setConsentDraft] = useState(() => ({
+    gameplay: false,
+    microInteractions: false,
+    deviceMeta: false,
+    ...getConsent()
+  }));
   const [lastQuality, setLastQuality] = useState(null);
 
   const [interventions, setInterventions] = useState({});
@@ -287,9 +257,10 @@ const lastConfirmAtRef = useRef(0);
   const thinkStartRef = useRef(performance.now());
   const startedForUidRef = useRef(null);
 
-  const pendingMovesRef = useRef([]);
-  const flushingRef = useRef(false);
+  // durable queues (localStorage): counts for the status area
   const [pendingCount, setPendingCount] = useState(0);
+  const [pendingEvents, setPendingEvents] = useState(0);
+  const [syncRetrying, setSyncRetrying] = useState(false);
 
   const botThinkingRef = useRef(false);
   const botTimerRef = useRef(null);
@@ -300,6 +271,10 @@ const lastConfirmAtRef = useRef(0);
 
   const [segment, setSegment] = useState("UNKNOWN");
   const [profileStats, setProfileStats] = useState(null);
+  // label + explanation from the backend rule set (same evaluator as the admin view)
+  const [profileInsight, setProfileInsight] = useState(null);
+  // per-game aggregates (newest first) -> the post-game report describes this game
+  const [profileGames, setProfileGames] = useState([]);
 
   const hoverBurstRef = useRef({ count: 0, windowStart: 0 });
 
@@ -313,6 +288,9 @@ const lastConfirmAtRef = useRef(0);
   const reportShownForThresholdRef = useRef(false); // prevent spam at 30 moves
   const reportOpenRef = useRef(false);
 
+  // gameId that already got its /game/end call (no double end)
+  const endedGameRef = useRef(null);
+
   useEffect(() => {
     reportOpenRef.current = reportOpen;
   }, [reportOpen]);
@@ -410,16 +388,23 @@ function shouldAskConfirmNow(nextFullMoves) {
 }
 
   async function refreshProfile(forUid) {
+    if (!hasConsent("gameplay")) return;
     try {
       const p = await getProfile(forUid);
       setSegment(normalizeSegment(p?.segment ?? "UNKNOWN"));
       setProfileStats(p?.stats ?? null);
+      setProfileInsight(p?.insight ?? null);
+      setProfileGames(Array.isArray(p?.games) ? p.games : []);
+      return p;
     } catch (e) {
       track("profile_fetch_error", { message: String(e?.message || e) });
     }
   }
 
   async function ensureGameStarted(forUid, force = false) {
+    // no gameplay consent -> the game is only played locally
+    if (!hasConsent("gameplay")) return null;
+
     const cached = sessionStorage.getItem(gameKey(forUid));
     if (cached && !force) {
       setGameId(cached);
@@ -431,7 +416,8 @@ function shouldAskConfirmNow(nextFullMoves) {
 
     try {
       setStatus((s) => (s === "saving" || s === "bot" ? s : "starting"));
-      const g = await startGame(forUid);
+      await syncConsent(forUid);
+      const g = await startGame(forUid, getSessionId());
       const gid = parseGameId(g);
       if (!gid) throw new Error("startGame returned no gameId");
 
@@ -450,26 +436,48 @@ function shouldAskConfirmNow(nextFullMoves) {
     }
   }
 
-  async function flushPendingMoves(gid, forUid) {
-    if (!gid || flushingRef.current) return;
-    flushingRef.current = true;
+  async function reportGameEnd(reason, forUid = uid, gid = gameId) {
+    if (!reason || !gid || endedGameRef.current === gid || !hasConsent("gameplay")) return;
+    endedGameRef.current = gid;
 
-    try {
-      const queue = pendingMovesRef.current.filter((m) => m.uid === forUid);
-      pendingMovesRef.current = pendingMovesRef.current.filter((m) => m.uid !== forUid);
-      setPendingCount(pendingMovesRef.current.length);
+    const end = { kind: "end", uid: forUid, gameId: gid, reason };
 
-      for (const m of queue) {
-        await submitMove({ ...m, gameId: gid });
-      }
-      track("pending_moves_flushed", { uid: forUid, count: queue.length });
+    // moves still queued -> the end goes behind them, sent once they are stored
+    if (moveQueue.size() > 0) {
+      moveQueue.enqueue(end);
+      track("game_end_queued", { uid: forUid, gameId: gid, reason });
+      return;
+    }
+
+    try {
+      const r = await endGame(end);
+      track("game_end_saved", { uid: forUid, gameId: gid, reason, result: r?.result ?? null });
+      if (forUid === uid) refreshProfile(forUid);
     } catch (e) {
-      track("pending_moves_flush_error", { message: String(e?.message || e) });
-    } finally {
-      flushingRef.current = false;
+      track("game_end_error", { reason, message: String(e?.message || e) });
+      if (isRetryable(e)) moveQueue.enqueue(end);
+      else endedGameRef.current = null;
     }
   }
 
+  // queued moves of this uid get the gameId, then the queue sends in order
+  async function flushPendingMoves(gid, forUid) {
+    if (!gid) return;
+
+    const before = moveQueue.size();
+    moveQueue.update((m) => (m.uid === forUid && !m.gameId ? { ...m, gameId: gid } : m));
+    await moveQueue.drain();
+
+    const left = moveQueue.size();
+    if (before > 0) track("pending_moves_flushed", { uid: forUid, sent: before - left, left });
+  }
+
+  // a move that failed for a transient reason goes to the durable queue
+  function queueMove(payload, reason) {
+    moveQueue.enqueue(payload);
+    track("move_queued", { uid: payload.uid, ply: payload.ply, isBot: !!payload.isBot, reason });
+  }
+
   // --- BOT LOGIC ---
   function chooseBotMode() {
     if (recentBlundersRef.current >= 2) return "trap";
@@ -522,22 +530,24 @@ function shouldAskConfirmNow(nextFullMoves) {
     return { move: picked, mode, intent };
   }
 
-function openReport({ reason, chessAfter, isFinal }) {
+function openReport({ reason, chessAfter, isFinal, outcome: outcomeOverride }) {
   if (reportOpenRef.current) return;
 
-  const outcome = gameOutcomeLabel(chessAfter) || "MIDGAME";
+  const outcome = outcomeOverride || gameOutcomeLabel(chessAfter) || "MIDGAME";
 
   const stats = profileStats ?? null;
+  // this game's own aggregates; lifetime stats stay as evidence for the style label
+  const game = profileGames.find((g) => g.id === gameId)?.stats ?? null;
 
   const plyFromHistory = chessAfter?.history?.().length ?? 0;
   const fullMovesFromHistory = Math.floor(plyFromHistory / 2);
 
-  const fullMovesFromStats = stats?.moves ?? 0;
+  const fullMovesFromStats = game?.moves ?? stats?.moves ?? 0;
 
   const fullMoves = Math.max(fullMovesFromStats, fullMovesFromHistory);
   const ply = fullMoves * 2;
 
-  const insight = getBehaviorInsight(stats);
+  const insight = profileInsight;
 
   const data = {
     reason,
@@ -548,6 +558,7 @@ function openReport({ reason, chessAfter, isFinal }) {
     lastQuality: lastQuality ?? null,
     segment: normalizeSegment(segment),
     stats,
+    game,
     insight
   };
 
@@ -555,6 +566,14 @@ function openReport({ reason, chessAfter, isFinal }) {
   setReportLocked(!!isFinal);
   setReportOpen(true);
 
+  // the last move may not be counted yet -> refresh and update the open report
+  if (gameId) {
+    refreshProfile(uid).then((p) => {
+      const fresh = p?.games?.find((g) => g.id === gameId)?.stats;
+      if (fresh) setReportData((d) => (d ? { ...d, game: fresh } : d));
+    });
+  }
+
   track("report_open", {
     uid,
     reason,
@@ -610,7 +629,7 @@ function openReport({ reason, chessAfter, isFinal }) {
       botTimerRef.current = null;
 
       try {
-        let gid = gameId;
+        let gid = hasConsent("gameplay") ? gameId : null;
         if (!gid) gid = await ensureGameStarted(uid, true);
         if (gid) await flushPendingMoves(gid, uid);
 
@@ -644,21 +663,33 @@ function openReport({ reason, chessAfter, isFinal }) {
         });
 
         if (gid) {
+          const botPayload = {
+            uid,
+            gameId: gid,
+            fenBefore,
+            uci: botUci,
+            san: played.san,
+            ply: botPly,
+            thinkTimeMs: botThinkMs,
+            isBot: true
+          };
+
           try {
-            await submitMove({
-              uid,
-              gameId: gid,
-              fenBefore,
-              uci: botUci,
-              san: played.san,
-              ply: botPly,
-              thinkTimeMs: botThinkMs,
-              isBot: true
-            });
-            track("bot_move_saved", { uid, gameId: gid, ply: botPly, botMode: pick.mode });
+            // earlier moves still queued -> stay behind them (ply order)
+            if (moveQueue.size() > 0) {
+              queueMove(botPayload, "behind_pending");
+              await flushPendingMoves(gid, uid);
+            } else {
+              await submitMove(botPayload);
+              track("bot_move_saved", { uid, gameId: gid, ply: botPly, botMode: pick.mode });
+            }
           } catch (e) {
             track("bot_move_save_error", { message: String(e?.message || e) });
+            if (isRetryable(e)) queueMove(botPayload, "save_failed");
           }
+
+          // ✅ bot delivered mate / draw -> record the result (queued behind unsaved moves)
+          if (base.isGameOver()) reportGameEnd(gameEndReason(base), uid, gid);
         }
 
         // ✅ after bot move: maybe report
@@ -723,9 +754,9 @@ function openReport({ reason, chessAfter, isFinal }) {
     refreshProfile(uid);
   }, [uid]);
 
-  // start game forced
+  // start game forced (again once gameplay consent is given)
   useEffect(() => {
-    if (!uid) return;
+    if (!uid || !consent?.gameplay) return;
     let alive = true;
 
     (async () => {
@@ -738,7 +769,112 @@ function openReport({ reason, chessAfter, isFinal }) {
       alive = false;
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [uid]);
+  }, [uid, consent?.gameplay]);
+
+  // consent decided / changed (also from another tab)
+  useEffect(() => {
+    return subscribeConsent((c) => {
+      setConsentState(c);
+      setConsentDraft({
+        gameplay: c.gameplay,
+        microInteractions: c.microInteractions,
+        deviceMeta: c.deviceMeta
+      });
+      setConsentOpen(false);
+    });
+  }, []);
+
+  // every uid this browser got a secret for (a new game = a new uid)
+  const [exporting, setExporting] = useState(false);
+  const [exportMsg, setExportMsg] = useState("");
+
+  async function downloadMyData() {
+    const secrets = Object.entries(getUidSecrets());
+    if (!secrets.length) {
+      setExportMsg("Nothing stored for this browser yet.");
+      return;
+    }
+
+    setExporting(true);
+    setExportMsg("");
+    const exports = [];
+    const failed = [];
+    for (const [forUid, secret] of secrets) {
+      try {
+        exports.push(await getMyExport(forUid, secret));
+      } catch (e) {
+        failed.push({ uid: forUid, error: String(e?.message || e) });
+      }
+    }
+    setExporting(false);
+
+    if (exports.length) {
+      downloadJson(`chessmirror-my-data-${new Date().toISOString().slice(0, 10)}.json`, {
+        exportedAt: new Date().toISOString(),
+        uids: exports.map((x) => x.uid),
+        exports,
+        failed
+      });
+    }
+    setExportMsg(
+      failed.length ? `${exports.length} exported, ${failed.length} failed.` : `${exports.length} UID(s) exported.`
+    );
+  }
+
+  // erasure request for every uid with a secret; tracking stops right away
+  async function deleteMyData() {
+    const secrets = Object.entries(getUidSecrets());
+    if (!secrets.length) {
+      setExportMsg("Nothing stored for this browser yet.");
+      return;
+    }
+    if (!window.confirm("Request deletion of all data of this browser? Your games and profile will be erased.")) {
+      return;
+    }
+
+    setExporting(true);
+    setExportMsg("");
+    let requested = 0;
+    for (const [forUid, secret] of secrets) {
+      try {
+        await requestErasure(forUid, secret, "erase");
+        requested++;
+      } catch {
+        // already erased / unknown uid -> nothing left to request
+      }
+    }
+    setExporting(false);
+
+    setConsent(Object.fromEntries(CONSENT_CATEGORIES.map((c) => [c.key, false])));
+    setExportMsg(`Deletion requested for ${requested} UID(s). Tracking is off.`);
+  }
+
+  function saveConsent(choices) {
+    setConsent(choices);
+    setConsentOpen(false);
+  }
+
+  // pending counts of the durable queues
+  useEffect(() => {
+    let movesRetrying = false;
+    let eventsRetrying = false;
+
+    const offMoves = moveQueue.subscribe((q) => {
+      setPendingCount(q.pending);
+      movesRetrying = !!q.nextRetryAt;
+      setSyncRetrying(movesRetrying || eventsRetrying);
+    });
+    const offEvents = subscribeEventQueue((q) => {
+      setPendingEvents(q.pending);
+      eventsRetrying = !!q.nextRetryAt;
+      setSyncRetrying(movesRetrying || eventsRetrying);
+    });
+
+    return () => {
+      offMoves();
+      offEvents();
+    };
+  }, []);
 
   // interventions (admin)
   useEffect(() => {
@@ -768,20 +904,33 @@ function openReport({ reason, chessAfter, isFinal }) {
     }
   }, [interventions]);
 
+  function resignGame() {
+    if (reportLocked || !gameId) return;
+
+    cancelBot();
+    track("game_resign", { uid, gameId });
+    reportGameEnd("resign", uid, gameId);
+
+    openReport({ reason: "resign", chessAfter: chess, isFinal: true, outcome: "RESIGNED" });
+  }
+
   function resetGame() {
     const oldUid = uid;
 
+    // ✅ leaving an unfinished game -> abort it server-side
+    if (gameId && !reportLocked) reportGameEnd("abort", oldUid, gameId);
+
     sessionStorage.removeItem(fenKey(oldUid));
     sessionStorage.removeItem(gameKey(oldUid));
 
     const freshUid = newUid();
-    newSessionId();
+    restartSession("reset", oldUid);
 
     sessionStorage.removeItem(fenKey(freshUid));
     sessionStorage.removeItem(gameKey(freshUid));
 
-    pendingMovesRef.current = pendingMovesRef.current.filter((m) => m.uid !== oldUid);
-    setPendingCount(pendingMovesRef.current.length);
+    // moves that never got a game can't be stored anymore
+    moveQueue.removeWhere((m) => m.uid === oldUid && !m.gameId);
 
     cancelBot();
     clearNudgeTimers();
@@ -868,7 +1017,10 @@ function applyMove(sourceSquare, targetSquare, piece) {
     uci: `${sourceSquare}${targetSquare}`,
     san: move.san,
     ply: next.history().length,
-    thinkTimeMs: Math.round(thinkTimeMs)
+    thinkTimeMs: Math.round(thinkTimeMs),
+    // client clock + session of the drop: the backend links this move's hovers / clicks to it
+    // (only tracked with microInteractions consent, so only sent with it)
+    ...(hasConsent("microInteractions") ? { droppedAt: Date.now(), sessionId: getSessionId() } : {})
   };
 
   const playerMetaForBot = {
@@ -882,17 +1034,25 @@ function applyMove(sourceSquare, targetSquare, piece) {
   // report check
   maybeTriggerReport(next, { afterPlayerMove: true });
 
-  if (!gameId) {
-    pendingMovesRef.current.push(payload);
-    setPendingCount(pendingMovesRef.current.length);
-    track("move_queued_no_game", { uid, ply: payload.ply });
+  // no gameplay consent -> nothing is saved, the bot just answers
+  if (!hasConsent("gameplay")) {
+    if (!(next.isGameOver && next.isGameOver())) queueBotResponse(next, playerMetaForBot);
+    return true;
+  }
+
+  if (!gameId || moveQueue.size() > 0) {
+    // no game yet, or earlier moves still queued -> keep ply order via the queue
+    queueMove(payload, gameId ? "behind_pending" : "no_game");
 
     (async () => {
-      const gid = await ensureGameStarted(uid, true);
+      const gid = gameId || (await ensureGameStarted(uid, true));
       if (gid) await flushPendingMoves(gid, uid);
 
       if (!(next.isGameOver && next.isGameOver())) {
         queueBotResponse(next, playerMetaForBot);
+      } else if (gid) {
+        // queued behind the moves the flush could not send yet
+        reportGameEnd(gameEndReason(next), uid, gid);
       }
       refreshProfile(uid);
     })();
@@ -912,6 +1072,9 @@ function applyMove(sourceSquare, targetSquare, piece) {
 
       if (!(next.isGameOver && next.isGameOver())) {
         queueBotResponse(next, { ...playerMetaForBot, quality: r.quality });
+      } else {
+        // ✅ player delivered mate / draw -> record the result (move is stored now)
+        reportGameEnd(gameEndReason(next), uid, gameId);
       }
 
       refreshProfile(uid);
@@ -925,12 +1088,17 @@ function applyMove(sourceSquare, targetSquare, piece) {
         setGameId(null);
         startedForUidRef.current = null;
 
-        pendingMovesRef.current.push(payload);
-        setPendingCount(pendingMovesRef.current.length);
-        track("move_requeued_after_fk", { uid, ply: payload.ply });
+        queueMove({ ...payload, gameId: undefined }, "game_missing");
 
         const gid = await ensureGameStarted(uid, true);
         if (gid) await flushPendingMoves(gid, uid);
+        if (gid && next.isGameOver && next.isGameOver()) {
+          reportGameEnd(gameEndReason(next), uid, gid);
+        }
+      } else if (isRetryable(e)) {
+        // API down / 5xx -> durable queue retries with backoff
+        queueMove(payload, "save_failed");
+        if (next.isGameOver && next.isGameOver()) reportGameEnd(gameEndReason(next), uid, gameId);
       }
 
       if (!(next.isGameOver && next.isGameOver())) {
@@ -972,6 +1140,10 @@ const nextFullMoves = currentFullMoves + 1;        // na jouw move
     track("square_click", { square });
   }
 
+  function onPieceDragBegin(piece, sourceSquare) {
+    track("piece_pickup", { square: sourceSquare, piece });
+  }
+
   function onSquareRightClick(square) {
     track("square_right_click", { square });
   }
@@ -1020,6 +1192,7 @@ const nextFullMoves = currentFullMoves + 1;        // na jouw move
     if (!silent) {
       track("hint_used", {
         kind: "dynamic_panel",
+        gameId: gameId || null,
         segment: data.segment,
         hoverBurst: data.hoverBurst,
         thinkTimeMs: data.thinkTimeMs
@@ -1057,7 +1230,9 @@ const draggable = !botThinking && !reportLocked && !reportOpen && !confirmOpen;
 
   function reportTitle() {
     if (!reportData) return "Report";
-    if (reportData.reason === "gameOver") return `Post-Game Report • ${reportData.outcome}`;
+    if (reportData.reason === "gameOver" || reportData.reason === "resign") {
+      return `Post-Game Report • ${reportData.outcome}`;
+    }
     if (reportData.reason === "threshold") return `Checkpoint Report • Move ${reportData.fullMoves}`;
     return "Report";
   }
@@ -1071,6 +1246,7 @@ const draggable = !botThinking && !reportLocked && !reportOpen && !confirmOpen;
             <Chessboard
               position={chess.fen()}
               onPieceDrop={onPieceDrop}
+              onPieceDragBegin={onPieceDragBegin}
               onSquareClick={onSquareClick}
               onSquareRightClick={onSquareRightClick}
               onMouseOverSquare={onMouseOverSquare}
@@ -1087,6 +1263,13 @@ const draggable = !botThinking && !reportLocked && !reportOpen && !confirmOpen;
           <button className="btn btn-primary" onClick={toggleHint} disabled={reportOpen}>
             {hintOpen ? "Hide hint" : "Hint"}
           </button>
+          <button
+            className="btn"
+            onClick={resignGame}
+            disabled={reportLocked || reportOpen || !gameId}
+          >
+            Resign
+          </button>
         </div>
 
         {/* ✅ HINT PANEL */}
@@ -1158,7 +1341,7 @@ const draggable = !botThinking && !reportLocked && !reportOpen && !confirmOpen;
         <h3 style={{ marginTop: 0 }}>What gets collected</h3>
         <ul className="small">
           <li>Every navigation, click, hover (downsampled), focus/blur, hint usage</li>
-          <li>Each move: SAN/UCI, think time, and a simple move-quality label</li>
+          <li>Each move: SAN/UCI, think time, and a graded move-quality label (best → blunder)</li>
           <li>Bot moves saved too (DB move + bot_move event with metadata)</li>
           <li>Device metadata: timezone/language/screen size/user-agent (trimmed)</li>
         </ul>
@@ -1202,7 +1385,23 @@ const draggable = !botThinking && !reportLocked && !reportOpen && !confirmOpen;
         </p>
 
         <p className="small" style={{ opacity: 0.75 }}>
-          Pending moves: <span className="badge">{pendingCount}</span>
+          Pending sync: <span className="badge">{pendingCount} moves</span>{" "}
+          <span className="badge">{pendingEvents} events</span>
+          {syncRetrying && <> • offline, retrying…</>}
+        </p>
+
+        <p className="small" style={{ opacity: 0.75 }}>
+          {consent?.gameplay ? "Your games are saved for your profile." : "Games are not saved (no gameplay consent)."}{" "}
+          <button className="btn" onClick={() => setConsentOpen(true)}>
+            Privacy settings
+          </button>{" "}
+          <button className="btn" onClick={downloadMyData} disabled={exporting}>
+            {exporting ? "Exporting…" : "Download my data"}
+          </button>{" "}
+          <button className="btn" onClick={deleteMyData} disabled={exporting}>
+            Delete my data
+          </button>
+          {exportMsg && <> {exportMsg}</>}
         </p>
       </div>
 {/* ===== CONFIRM MOVE MODAL ===== */}
@@ -1271,6 +1470,77 @@ const draggable = !botThinking && !reportLocked && !reportOpen && !confirmOpen;
   </div>
 )}
 
+      {/* ===== CONSENT MODAL ===== */}
+      {consentOpen && (
+        <div
+          style={{
+            position: "fixed",
+            inset: 0,
+            background: "rgba(0,0,0,0.55)",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            padding: 16,
+            zIndex: 10000
+          }}
+        >
+          <div
+            className="card"
+            style={{
+              width: "min(560px, 95vw)",
+              maxHeight: "90vh",
+              overflow: "auto",
+              borderRadius: 18
+            }}
+          >
+            <h3 style={{ marginTop: 0 }}>What may ChessMirror record?</h3>
+            <p className="small" style={{ opacity: 0.85 }}>
+              This research demo builds a profile from how you play. Pick what you allow; you can
+              change it later under “Privacy settings”. Without gameplay you can still play, but
+              nothing is saved.
+            </p>
+
+            <div className="toggleGrid">
+              {CONSENT_CATEGORIES.map((c) => (
+                <label key={c.key} className="toggle">
+                  <input
+                    type="checkbox"
+                    checked={!!consentDraft[c.key]}
+                    onChange={(e) => setConsentDraft((d) => ({ ...d, [c.key]: e.target.checked }))}
+                  />
+                  <div>
+                    <div className="toggleTitle">{c.title}</div>
+                    <div className="toggleDesc">{c.description}</div>
+                  </div>
+                </label>
+              ))}
+            </div>
+
+            <div className="row" style={{ justifyContent: "flex-end", gap: 10, marginTop: 14 }}>
+              <button
+                className="btn"
+                onClick={() =>
+                  saveConsent({ gameplay: false, microInteractions: false, deviceMeta: false })
+                }
+              >
+                Reject all
+              </button>
+              <button className="btn" onClick={() => saveConsent(consentDraft)}>
+                Save choices
+              </button>
+              <button
+                className="btn btn-primary"
+                onClick={() =>
+                  saveConsent({ gameplay: true, microInteractions: true, deviceMeta: true })
+                }
+              >
+                Accept all
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* ===== REPORT MODAL ===== */}
       {reportOpen && reportData && (
         <div
@@ -1316,7 +1586,22 @@ const draggable = !botThinking && !reportLocked && !reportOpen && !confirmOpen;
 
             <div style={{ marginTop: 12 }}>
               <div className="small" style={{ opacity: 0.9, marginBottom: 6 }}>
-                Snapshot
+                This game
+              </div>
+              <div className="small" style={{ opacity: 0.85 }}>
+                {reportData.game ? (
+                  <>
+                    moves={reportData.game.moves} • blunders={reportData.game.blunders} • mistakes=
+                    {reportData.game.mistakes} • think={fmtSec(reportData.game.meanThinkMs)}s mean /{" "}
+                    {fmtSec(reportData.game.medianThinkMs)}s median • hints={reportData.game.hints}
+                  </>
+                ) : (
+                  <>Not saved on the server (no gameplay consent or still syncing).</>
+                )}
+              </div>
+
+              <div className="small" style={{ opacity: 0.9, margin: "10px 0 6px 0" }}>
+                All games
               </div>
               <div className="small" style={{ opacity: 0.85 }}>
                 {reportData.stats ? (